@@ -1 +1,2 @@
 export { default as default } from './src/choropleth-legend';
+export { default as BivariateLegend } from './src/bivariate-legend';
@@ -0,0 +1,224 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+import { bindAll, flatMap, isEqual, map, noop, sortBy } from 'lodash';
+
+import { CommonPropTypes, numberFormat, PureComponent } from '../../../utils';
+
+import styles from './bivariate-legend.css';
+
+// px offsets of labels from the matrix
+const TICK_LABEL_OFFSET = 12;
+const AXIS_LABEL_OFFSET = 26;
+
+export default class BivariateLegend extends PureComponent {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      hoveredCell: null,
+    };
+
+    bindAll(this, [
+      'onMouseLeave',
+      'onMouseOver',
+    ]);
+  }
+
+  onMouseLeave(event, cell) {
+    this.setState({ hoveredCell: null });
+    this.props.onMouseLeave(event, cell, this);
+  }
+
+  onMouseOver(event, cell) {
+    this.setState({ hoveredCell: cell });
+    this.props.onMouseOver(event, cell, this);
+  }
+
+  /**
+   * Cell to highlight: props.highlightedCell, if given, otherwise that hovered
+   * @return {Array|null} [column, row]
+   */
+  getHighlightedCell() {
+    const { highlightedCell } = this.props;
+    return highlightedCell === undefined ? this.state.hoveredCell : highlightedCell;
+  }
+
+  renderLabels(size) {
+    const { colorScale, tickFormat, xLabel, yLabel } = this.props;
+    const [xMin, xMax] = colorScale.x.domain();
+    const [yMin, yMax] = colorScale.y.domain();
+
+    return (
+      <g>
+        <text className={styles['tick-label']} dy="0.35em" y={size + TICK_LABEL_OFFSET}>
+          {tickFormat(xMin)}
+        </text>
+        <text
+          className={styles['tick-label']}
+          dy="0.35em"
+          textAnchor="end"
+          x={size}
+          y={size + TICK_LABEL_OFFSET}
+        >
+          {tickFormat(xMax)}
+        </text>
+        <text
+          className={styles['axis-label']}
+          dy="0.35em"
+          textAnchor="middle"
+          x={size / 2}
+          y={size + AXIS_LABEL_OFFSET}
+        >
+          {xLabel}
+        </text>
+        <g transform="rotate(-90)">
+          <text className={styles['tick-label']} dy="0.35em" x={-size} y={-TICK_LABEL_OFFSET}>
+            {tickFormat(yMin)}
+          </text>
+          <text
+            className={styles['tick-label']}
+            dy="0.35em"
+            textAnchor="end"
+            y={-TICK_LABEL_OFFSET}
+          >
+            {tickFormat(yMax)}
+          </text>
+          <text
+            className={styles['axis-label']}
+            dy="0.35em"
+            textAnchor="middle"
+            x={-size / 2}
+            y={-AXIS_LABEL_OFFSET}
+          >
+            {yLabel}
+          </text>
+        </g>
+      </g>
+    );
+  }
+
+  render() {
+    const {
+      cellClassName,
+      cellSize,
+      className,
+      colorScale,
+      highlightedCellClassName,
+      margins,
+      style,
+    } = this.props;
+    const colors = colorScale.colors();
+    const rows = colors.length;
+    const size = cellSize * rows;
+    const highlightedCell = this.getHighlightedCell();
+
+    const cells = flatMap(colors, (rowColors, row) =>
+      map(rowColors, (fill, column) => ({
+        cell: [column, row],
+        fill,
+        highlighted: isEqual([column, row], highlightedCell),
+      }))
+    );
+
+    return (
+      <svg
+        className={classNames(styles['bivariate-legend'], className)}
+        height={margins.top + size + margins.bottom}
+        style={style}
+        width={margins.left + size + margins.right}
+      >
+        <g transform={`translate(${margins.left}, ${margins.top})`}>
+          {/* draw highlighted cell last, such that its stroke is not painted over */}
+          {map(sortBy(cells, 'highlighted'), ({ cell, fill, highlighted }) => (
+            <rect
+              className={classNames(styles.cell, cellClassName, {
+                [styles['highlighted-cell']]: highlighted,
+                [highlightedCellClassName]: highlighted && highlightedCellClassName,
+              })}
+              fill={fill}
+              height={cellSize}
+              key={cell.join('-')}
+              onMouseLeave={event => this.onMouseLeave(event, cell)}
+              onMouseOver={event => this.onMouseOver(event, cell)}
+              width={cellSize}
+              x={cell[0] * cellSize}
+              y={(rows - 1 - cell[1]) * cellSize}
+            />
+          ))}
+          {this.renderLabels(size)}
+        </g>
+      </svg>
+    );
+  }
+}
+
+BivariateLegend.propTypes = {
+  /* classname applied to each cell */
+  cellClassName: CommonPropTypes.className,
+
+  /* px width and height of each cell */
+  cellSize: PropTypes.number,
+
+  /* classname applied to <svg> */
+  className: CommonPropTypes.className,
+
+  /*
+   bivariate color scale (see bivariateColorScale) of which the color matrix is drawn,
+   with its first variable increasing to the right, and its second upward
+   */
+  colorScale: PropTypes.func.isRequired,
+
+  /*
+   [column, row] of the cell to highlight, e.g., that of a location hovered on the map;
+   if given (including as null), overrides highlighting of the hovered cell
+   */
+  highlightedCell: PropTypes.arrayOf(PropTypes.number),
+
+  /* classname applied to the highlighted cell */
+  highlightedCellClassName: CommonPropTypes.className,
+
+  /* px margins around the matrix, in which labels are drawn */
+  margins: PropTypes.shape({
+    top: PropTypes.number,
+    right: PropTypes.number,
+    bottom: PropTypes.number,
+    left: PropTypes.number,
+  }),
+
+  /*
+   e.g., highlight features of the cell on the map (see <Choropleth /> highlightedCell);
+   signature: function(event, [column, row], BivariateLegend) {...}
+   */
+  onMouseLeave: PropTypes.func,
+
+  /*
+   e.g., highlight features of the cell on the map (see <Choropleth /> highlightedCell);
+   signature: function(event, [column, row], BivariateLegend) {...}
+   */
+  onMouseOver: PropTypes.func,
+
+  /* inline styles applied to <svg> */
+  style: PropTypes.object,
+
+  /* formats the extents of each domain */
+  tickFormat: PropTypes.func,
+
+  /* label of the first variable, drawn below the matrix */
+  xLabel: PropTypes.string,
+
+  /* label of the second variable, drawn left of the matrix */
+  yLabel: PropTypes.string,
+};
+
+BivariateLegend.defaultProps = {
+  cellSize: 20,
+  margins: {
+    top: 10,
+    right: 10,
+    bottom: 40,
+    left: 40,
+  },
+  onMouseLeave: noop,
+  onMouseOver: noop,
+  tickFormat: numberFormat,
+};
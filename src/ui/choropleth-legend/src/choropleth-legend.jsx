@@ -1,16 +1,18 @@
 import React, { PropTypes } from 'react';
-import { assign } from 'lodash';
+import { assign, isFinite, map } from 'lodash';
 import { scaleLinear } from 'd3';
 
 import {
   numberFormat,
+  propResolver,
   propsChanged,
   PureComponent,
   stateFromPropUpdates,
 } from '../../../utils';
 
+import ColorBlocks from './color-blocks';
 import LinearGradient from './linear-gradient';
-import { Scatter } from '../../shape';
+import { FillPattern, patternPropType, Scatter } from '../../shape';
 import Slider from './slider';
 import { XAxis } from '../../axis';
 
@@ -18,6 +20,12 @@ import styles from './choropleth-legend.css';
 
 const subtractMarginsFromWidth = (width, margins) => width - (margins.left + margins.right);
 
+// px dimensions of swatches; width of labels is estimated from the number of characters
+const SWATCH_SIZE = 10;
+const SWATCH_LABEL_OFFSET = 4;
+const SWATCH_SPACING = 12;
+const SWATCH_CHARACTER_WIDTH = 6;
+
 export default class ChoroplethLegend extends PureComponent {
   constructor(props) {
     super(props);
@@ -42,6 +50,70 @@ export default class ChoroplethLegend extends PureComponent {
     ));
   }
 
+  /**
+   * render the uncertainty interval of each datum as a line through its density plot symbol
+   */
+  renderIntervals() {
+    const { colorScale, data, keyField, lowerField, upperField, valueField } = this.props;
+    const { scatterScaleMap } = this.state;
+
+    return (
+      <g className={styles['density-intervals']}>
+        {map(data, (datum, index) => {
+          const value = propResolver(datum, valueField);
+          const lower = propResolver(datum, lowerField);
+          const upper = propResolver(datum, upperField);
+          if (!isFinite(lower) || !isFinite(upper)) return null;
+
+          return (
+            <line
+              key={keyField ? propResolver(datum, keyField) : index}
+              stroke={colorScale(value)}
+              x1={scatterScaleMap.x(lower)}
+              x2={scatterScaleMap.x(upper)}
+            />
+          );
+        })}
+      </g>
+    );
+  }
+
+  /**
+   * render a row of swatches (e.g., of fills for missing and clamped data), within the top margin
+   */
+  renderSwatches() {
+    const { margins, swatches } = this.props;
+    let x = 0;
+
+    return (
+      <g className={styles.swatches} transform={`translate(0, ${-margins.top})`}>
+        {map(swatches, ({ fill, label }) => {
+          const swatchX = x;
+          x += SWATCH_SIZE + SWATCH_LABEL_OFFSET
+            + (label.length * SWATCH_CHARACTER_WIDTH) + SWATCH_SPACING;
+          return (
+            <g key={label} transform={`translate(${swatchX}, 0)`}>
+              <rect
+                fill={fill}
+                height={SWATCH_SIZE}
+                stroke="#999"
+                strokeWidth={0.5}
+                width={SWATCH_SIZE}
+              />
+              <text
+                dy="0.35em"
+                x={SWATCH_SIZE + SWATCH_LABEL_OFFSET}
+                y={SWATCH_SIZE / 2}
+              >
+                {label}
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    );
+  }
+
   render() {
     const {
       axisTickFormat,
@@ -49,9 +121,11 @@ export default class ChoroplethLegend extends PureComponent {
       domain,
       width,
       height,
+      lowerField,
       margins,
       colorSteps,
       colorScale,
+      upperField,
       x1,
       x2,
       data,
@@ -61,8 +135,11 @@ export default class ChoroplethLegend extends PureComponent {
       onMouseMove,
       onMouseOver,
       onSliderMove,
+      patterns,
       selectedLocations,
       sliderHandleFormat,
+      swatches,
+      thresholds,
       unit,
       zoom,
     } = this.props;
@@ -78,7 +155,14 @@ export default class ChoroplethLegend extends PureComponent {
 
     return (
       <svg width={width} height={height}>
+        {patterns.length > 0 && (
+          <defs>
+            {map(patterns, pattern => <FillPattern key={pattern.id} {...pattern} />)}
+          </defs>
+        )}
         <g transform={`translate(${margins.left}, ${margins.top})`}>
+          {swatches.length > 0 && this.renderSwatches()}
+          {lowerField !== undefined && upperField !== undefined && this.renderIntervals()}
           <Scatter
             colorScale={colorScale}
             data={data}
@@ -93,13 +177,22 @@ export default class ChoroplethLegend extends PureComponent {
             symbolClassName={styles['density-circle']}
           />
           <g transform={`translate(0, ${10 + (5 * zoom)})`}>
-            <LinearGradient
-              colors={colorSteps}
-              x1={x1}
-              x2={x2}
-              width={adjustedWidth}
-              height={sliderHeight}
-            />
+            {thresholds ? (
+              <ColorBlocks
+                colors={colorSteps}
+                height={sliderHeight}
+                thresholds={thresholds}
+                xScale={scatterScaleMap.x}
+              />
+            ) : (
+              <LinearGradient
+                colors={colorSteps}
+                x1={x1}
+                x2={x2}
+                width={adjustedWidth}
+                height={sliderHeight}
+              />
+            )}
             <Slider
               domain={domain}
               xScale={sliderScale}
@@ -119,6 +212,7 @@ export default class ChoroplethLegend extends PureComponent {
               scales={scatterScaleMap}
               translate={axisTranslate}
               tickFormat={axisTickFormat}
+              tickValues={thresholds ? ColorBlocks.getEdges(thresholds, domain) : undefined}
               width={adjustedWidth}
             />
           </g>
@@ -145,7 +239,10 @@ ChoroplethLegend.propTypes = {
   /* function that accepts data as param, returns color */
   colorScale: PropTypes.func.isRequired,
 
-  /* array of color steps, e.g. ['#fff', '#ccc', '#000', ...] */
+  /*
+   array of color steps, e.g. ['#fff', '#ccc', '#000', ...];
+   if thresholds are given, the color of each class
+   */
   colorSteps: PropTypes.array.isRequired,
 
   /* array of datum objects */
@@ -167,6 +264,16 @@ ChoroplethLegend.propTypes = {
     PropTypes.func,
   ]),
 
+  /*
+   a property on datum objects or function which accepts datum, of the lower bound of the
+   uncertainty interval of its value; if given, along with upperField,
+   the interval of each datum is drawn as a line through its density plot symbol
+   */
+  lowerField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* margins to subtract from width and height */
   margins: PropTypes.shape({
     top: PropTypes.number,
@@ -205,6 +312,12 @@ ChoroplethLegend.propTypes = {
    */
   onSliderMove: PropTypes.func,
 
+  /*
+   SVG pattern fills to which swatches may refer by 'url(#<id>)'; see <FillPattern />
+   not needed if the patterns are already defined in the document (e.g., by <Choropleth />)
+   */
+  patterns: PropTypes.arrayOf(patternPropType),
+
   /* [min, max] for slider in data space */
   rangeExtent: PropTypes.array.isRequired,
 
@@ -212,9 +325,31 @@ ChoroplethLegend.propTypes = {
 
   sliderHandleFormat: PropTypes.func,
 
+  /*
+   labeled fills to display alongside the color scale, within the top margin,
+   e.g., [{ fill: 'url(#missing)', label: 'No data' }]
+   */
+  swatches: PropTypes.arrayOf(PropTypes.shape({
+    fill: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+  })),
+
+  /*
+   ascending thresholds between the classes of a classed color scale (see d3 scaleThreshold);
+   if given, the color of each class is drawn as a block in place of the gradient,
+   and the axis is labeled at the edges of the blocks
+   */
+  thresholds: PropTypes.arrayOf(PropTypes.number),
+
   /* unit of data; axis label */
   unit: PropTypes.string,
 
+  /* upper bound of the uncertainty interval of datum; see lowerField */
+  upperField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   valueField: PropTypes.oneOfType([
     PropTypes.string,
     PropTypes.func,
@@ -261,7 +396,9 @@ ChoroplethLegend.defaultProps = {
     bottom: 50,
     left: 100
   },
+  patterns: [],
   sliderHandleFormat: numberFormat,
+  swatches: [],
   x1: 0,
   x2: 100,
   xScale: scaleLinear(),
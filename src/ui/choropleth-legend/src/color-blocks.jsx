@@ -0,0 +1,54 @@
+import React, { PropTypes } from 'react';
+import { bisectRight } from 'd3';
+import { filter, map } from 'lodash';
+
+import { PureComponent } from '../../../utils';
+
+export default class ColorBlocks extends PureComponent {
+  /**
+   * Edges of the classes of a classed color scale within a domain
+   * @param {Array} thresholds - ascending thresholds between classes
+   * @param {Array} domain - [min, max]
+   * @return {Array} [min, ...thresholds within domain, max]
+   */
+  static getEdges(thresholds, [min, max]) {
+    return [min, ...filter(thresholds, threshold => threshold > min && threshold < max), max];
+  }
+
+  render() {
+    const { colors, height, thresholds, xScale } = this.props;
+    const edges = ColorBlocks.getEdges(thresholds, xScale.domain());
+
+    return (
+      <g>
+        {map(edges.slice(0, -1), (edge, index) => {
+          const x = xScale(edge);
+          return (
+            <rect
+              fill={colors[bisectRight(thresholds, edge)]}
+              height={height}
+              key={edge}
+              stroke="none"
+              width={Math.max(0, xScale(edges[index + 1]) - x)}
+              x={x}
+            />
+          );
+        })}
+      </g>
+    );
+  }
+}
+
+ColorBlocks.propTypes = {
+  /* color of each class, i.e., thresholds.length + 1 colors */
+  colors: PropTypes.array.isRequired,
+
+  /* px height of blocks */
+  height: PropTypes.number.isRequired,
+
+  /* ascending thresholds between classes; see d3 scaleThreshold */
+  thresholds: PropTypes.arrayOf(PropTypes.number).isRequired,
+
+  /* scale that positions values along the x-axis */
+  xScale: PropTypes.func.isRequired,
+};
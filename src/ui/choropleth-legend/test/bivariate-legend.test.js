@@ -0,0 +1,87 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+
+import { bivariateColorScale } from '../../../utils';
+
+import { BivariateLegend } from '../';
+import styles from '../src/bivariate-legend.css';
+
+chai.use(chaiEnzyme());
+
+describe('<BivariateLegend />', () => {
+  const colors = [
+    ['a', 'b', 'c'],
+    ['d', 'e', 'f'],
+    ['g', 'h', 'i'],
+  ];
+  const colorScale = bivariateColorScale([0, 90], [0, 30], colors);
+  const findCell = (wrapper, fill) => wrapper.find('rect').filterWhere(node =>
+    node.prop('fill') === fill
+  );
+
+  it('draws a square of cells, the second variable increasing upward', () => {
+    const wrapper = shallow(<BivariateLegend cellSize={10} colorScale={colorScale} />);
+    expect(wrapper.find('rect')).to.have.length(9);
+
+    expect(findCell(wrapper, 'a')).to.have.prop('x', 0);
+    expect(findCell(wrapper, 'a')).to.have.prop('y', 20);
+    expect(findCell(wrapper, 'c')).to.have.prop('x', 20);
+    expect(findCell(wrapper, 'g')).to.have.prop('y', 0);
+  });
+
+  it('labels each variable, and the extents of its domain', () => {
+    const wrapper = shallow(
+      <BivariateLegend
+        colorScale={colorScale}
+        tickFormat={value => `${value}%`}
+        xLabel="prevalence"
+        yLabel="change"
+      />
+    );
+    const labels = wrapper.find('text').map(node => node.text());
+
+    expect(labels).to.include.members(['0%', '90%', '30%', 'prevalence', 'change']);
+  });
+
+  it('highlights the hovered cell, and calls onMouseOver and onMouseLeave with it', () => {
+    const onMouseOver = sinon.spy();
+    const onMouseLeave = sinon.spy();
+    const wrapper = shallow(
+      <BivariateLegend
+        colorScale={colorScale}
+        onMouseLeave={onMouseLeave}
+        onMouseOver={onMouseOver}
+      />
+    );
+    const event = {};
+
+    findCell(wrapper, 'f').simulate('mouseOver', event);
+    expect(onMouseOver.calledWith(event, [2, 1], wrapper.instance())).to.equal(true);
+    expect(findCell(wrapper, 'f')).to.have.className(styles['highlighted-cell']);
+
+    // highlighted cell is drawn last
+    expect(wrapper.find('rect').last()).to.have.prop('fill', 'f');
+
+    findCell(wrapper, 'f').simulate('mouseLeave', event);
+    expect(onMouseLeave.calledWith(event, [2, 1], wrapper.instance())).to.equal(true);
+    expect(wrapper.find(`.${styles['highlighted-cell']}`)).to.have.length(0);
+  });
+
+  it('highlights highlightedCell, if given, in place of the hovered cell', () => {
+    const wrapper = shallow(
+      <BivariateLegend
+        colorScale={colorScale}
+        highlightedCell={[0, 2]}
+        highlightedCellClassName="foo"
+      />
+    );
+    findCell(wrapper, 'f').simulate('mouseOver', {});
+
+    expect(findCell(wrapper, 'f')).to.not.have.className(styles['highlighted-cell']);
+    expect(findCell(wrapper, 'g')).to.have.className(styles['highlighted-cell']);
+    expect(findCell(wrapper, 'g')).to.have.className('foo');
+  });
+});
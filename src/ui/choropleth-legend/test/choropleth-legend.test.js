@@ -47,6 +47,79 @@ describe('<ChoroplethLegend />', () => {
     });
   });
 
+  it('draws blocks of color, labeled at their edges, in place of the gradient if classed', () => {
+    const wrapper = shallow(<ChoroplethLegend
+      colorScale={noop}
+      colorSteps={['a', 'b', 'c']}
+      data={data}
+      domain={[100, 200]}
+      keyField={keyField}
+      margins={margins}
+      rangeExtent={[100, 200]}
+      thresholds={[120, 150]}
+      valueField={valueField}
+      width={600}
+      xScale={scaleLinear()}
+    />);
+
+    expect(wrapper.find('LinearGradient')).to.not.be.present();
+    expect(wrapper.find('ColorBlocks')).to.have.prop('thresholds').deep.equal([120, 150]);
+    expect(wrapper.find('XAxis')).to.have.prop('tickValues').deep.equal([100, 120, 150, 200]);
+  });
+
+  it('renders labeled swatches and pattern definitions', () => {
+    const wrapper = shallow(<ChoroplethLegend
+      colorScale={noop}
+      colorSteps={colorSteps}
+      data={data}
+      domain={domain}
+      keyField={keyField}
+      margins={margins}
+      patterns={[{ id: 'missing', type: 'hatch' }]}
+      rangeExtent={domain}
+      swatches={[
+        { fill: 'url(#missing)', label: 'No data' },
+        { fill: '#ccc', label: 'Outside range' },
+      ]}
+      valueField={valueField}
+      width={600}
+      xScale={scaleLinear()}
+    />);
+
+    expect(wrapper.find('defs').find('FillPattern')).to.have.prop('id', 'missing');
+
+    const swatches = wrapper.find('rect');
+    expect(swatches).to.have.length(2);
+    expect(swatches.first()).to.have.attr('fill', 'url(#missing)');
+    expect(wrapper.find('text').first()).to.have.text('No data');
+  });
+
+  it('draws the uncertainty interval of each datum', () => {
+    const wrapper = shallow(<ChoroplethLegend
+      colorScale={() => 'red'}
+      colorSteps={colorSteps}
+      data={data}
+      domain={domain}
+      lowerField={`${valueField}_lb`}
+      margins={margins}
+      rangeExtent={domain}
+      upperField={`${valueField}_ub`}
+      valueField={valueField}
+      width={600}
+      xScale={scaleLinear()}
+    />);
+
+    const xScale = scaleLinear()
+      .domain(domain)
+      .range([0, 560])
+      .clamp(true);
+    const intervals = wrapper.find('line');
+    expect(intervals).to.have.length(data.length);
+    expect(intervals.first()).to.have.attr('stroke', 'red');
+    expect(intervals.first()).to.have.attr('x1', `${xScale(data[0][`${valueField}_lb`])}`);
+    expect(intervals.first()).to.have.attr('x2', `${xScale(data[0][`${valueField}_ub`])}`);
+  });
+
   describe('xScale', () => {
     it('accepts continuous d3Scales', () => {
       [scaleLinear, scalePow, scaleLog].forEach(scale => {
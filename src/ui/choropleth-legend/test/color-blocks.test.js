@@ -0,0 +1,53 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import { scaleLinear } from 'd3';
+
+import ColorBlocks from '../src/color-blocks';
+
+chai.use(chaiEnzyme());
+
+describe('ChoroplethLegend <ColorBlocks />', () => {
+  const xScale = scaleLinear().domain([0, 100]).range([0, 200]);
+
+  it('resolves the edges of classes within a domain', () => {
+    expect(ColorBlocks.getEdges([10, 50], [0, 100])).to.deep.equal([0, 10, 50, 100]);
+    expect(ColorBlocks.getEdges([-10, 50, 150], [0, 100])).to.deep.equal([0, 50, 100]);
+  });
+
+  it('draws a block of the color of each class, spanning its edges', () => {
+    const wrapper = shallow(
+      <ColorBlocks
+        colors={['a', 'b', 'c']}
+        height={10}
+        thresholds={[10, 50]}
+        xScale={xScale}
+      />
+    );
+    const blocks = wrapper.find('rect');
+
+    expect(blocks).to.have.length(3);
+    expect(blocks.at(0)).to.have.prop('fill', 'a');
+    expect(blocks.at(0)).to.have.prop('x', 0);
+    expect(blocks.at(0)).to.have.prop('width', 20);
+    expect(blocks.at(1)).to.have.prop('fill', 'b');
+    expect(blocks.at(1)).to.have.prop('x', 20);
+    expect(blocks.at(1)).to.have.prop('width', 80);
+    expect(blocks.at(2)).to.have.prop('fill', 'c');
+    expect(blocks.at(2)).to.have.prop('width', 100);
+  });
+
+  it('colors blocks by class when thresholds fall outside of the domain', () => {
+    const wrapper = shallow(
+      <ColorBlocks
+        colors={['a', 'b', 'c']}
+        height={10}
+        thresholds={[-10, 50]}
+        xScale={xScale}
+      />
+    );
+
+    expect(wrapper.find('rect').map(block => block.prop('fill'))).to.deep.equal(['b', 'c']);
+  });
+});
@@ -0,0 +1,277 @@
+import React, { PropTypes } from 'react';
+import { geoPath, scaleLinear } from 'd3';
+import {
+  assign,
+  get as getValue,
+  includes,
+  isFinite,
+  map,
+  max,
+  sortBy,
+} from 'lodash';
+
+import {
+  CommonDefaultProps,
+  CommonPropTypes,
+  propResolver,
+  propsChanged,
+  PureComponent,
+  stateFromPropUpdates,
+} from '../../../utils';
+
+import { Symbol } from '../../shape';
+
+export default class BubbleLayer extends PureComponent {
+  /**
+   * Resolve the value by which a feature's bubble is sized;
+   * sizeField is applied in the same way as <FeatureLayer /> applies valueField
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props
+   * @param {Object} props.data - data keyed by keyField
+   * @param {String|Function} props.sizeField
+   * @return {Number|undefined}
+   */
+  static getSize(feature, datum, { data, sizeField }) {
+    return typeof sizeField === 'function'
+      ? sizeField(data, feature)
+      : getValue(datum, sizeField);
+  }
+
+  /**
+   * Resolve the bubble of each feature that has a finite size value,
+   * sorted by descending size so that smaller bubbles are drawn on top of larger ones
+   * @param {Object} props
+   * @return {Array} [{ datum, feature, geometryKey, value }, ...]
+   */
+  static getBubbles({ data, features, geometryKeyField, sizeField }) {
+    const bubbles = features.reduce((acc, feature) => {
+      const geometryKey = propResolver(feature, geometryKeyField);
+      if (!geometryKey) return acc;
+
+      const datum = getValue(data, [geometryKey]);
+      const value = BubbleLayer.getSize(feature, datum, { data, sizeField });
+      if (!isFinite(value)) return acc;
+
+      acc.push({ datum, feature, geometryKey, value });
+      return acc;
+    }, []);
+
+    return sortBy(bubbles, bubble => -bubble.value);
+  }
+
+  /**
+   * Default size scale: maps values linearly to symbol area,
+   * such that the largest value is drawn with an area of maxSize
+   * @param {Array} bubbles - as returned by BubbleLayer.getBubbles
+   * @param {Number} maxSize - px^2
+   * @return {Function}
+   */
+  static getSizeScale(bubbles, maxSize) {
+    return scaleLinear()
+      .domain([0, max(map(bubbles, 'value')) || 1])
+      .range([0, maxSize])
+      .clamp(true);
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.state = stateFromPropUpdates(BubbleLayer.propUpdates, {}, props, {});
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(stateFromPropUpdates(BubbleLayer.propUpdates, this.props, nextProps, {}));
+  }
+
+  render() {
+    const {
+      className,
+      fill,
+      onClick,
+      onMouseLeave,
+      onMouseMove,
+      onMouseOver,
+      scale,
+      selectedLocations,
+      symbolClassName,
+      symbolSelectedClassName,
+      symbolSelectedStyle,
+      symbolStyle,
+      symbolType,
+      translate,
+    } = this.props;
+    const { centroids, sizeScale, sortedBubbles } = this.state;
+
+    return (
+      <g className={className}>
+        {
+          map(sortedBubbles, ({ datum, geometryKey, value }) => {
+            const centroid = centroids[geometryKey];
+            if (!centroid || !isFinite(centroid[0]) || !isFinite(centroid[1])) return null;
+
+            return (
+              <Symbol
+                className={symbolClassName}
+                datum={datum}
+                fill={fill}
+                key={geometryKey}
+                onClick={onClick}
+                onMouseLeave={onMouseLeave}
+                onMouseMove={onMouseMove}
+                onMouseOver={onMouseOver}
+                selected={includes(selectedLocations, datum)}
+                selectedClassName={symbolSelectedClassName}
+                selectedStyle={symbolSelectedStyle}
+                size={sizeScale(value)}
+                style={symbolStyle}
+                symbolType={symbolType}
+                translateX={(centroid[0] * scale) + translate[0]}
+                translateY={(centroid[1] * scale) + translate[1]}
+              />
+            );
+          })
+        }
+      </g>
+    );
+  }
+}
+
+BubbleLayer.propTypes = {
+  /* classname applied to <g> containing bubbles */
+  className: CommonPropTypes.className,
+
+  /* data keyed by location id; see <FeatureLayer /> */
+  data: PropTypes.object.isRequired,
+
+  /* array of geoJSON feature objects, e.g.: [{ geometry: [Object], properties: [Object] }] */
+  features: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /* fill color of bubbles */
+  fill: PropTypes.string,
+
+  /* uniquely identifying field of geometry objects; see <FeatureLayer /> */
+  geometryKeyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* px^2 area of the largest bubble; ignored if sizeScale is provided */
+  maxSize: PropTypes.number,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onClick: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseLeave: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseMove: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseOver: PropTypes.func,
+
+  /* d3 projection, if features are unprojected; see <Choropleth /> */
+  projection: PropTypes.func,
+
+  /* zoom scale applied to (projected) features */
+  scale: PropTypes.number.isRequired,
+
+  /* array of data */
+  selectedLocations: PropTypes.arrayOf(PropTypes.object),
+
+  /*
+    key of datum that holds the value by which to size bubbles
+    if a string, used as property access for data[feature[geometryKeyField]][sizeField]
+    if a function, passed all data (object keyed by keyField) and current feature
+  */
+  sizeField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /*
+   fn that accepts value of sizeField, and returns px^2 area of bubble
+   if omitted, values are scaled linearly to area, from 0 to maxSize
+   */
+  sizeScale: PropTypes.func,
+
+  /* classname applied to each symbol */
+  symbolClassName: CommonPropTypes.className,
+
+  /* classname applied to selected symbols */
+  symbolSelectedClassName: CommonPropTypes.className,
+
+  /* selected style object or function to pass to each symbol; if a function, receives datum */
+  symbolSelectedStyle: CommonPropTypes.style,
+
+  /* base style object or function to pass to each symbol; if a function, receives datum */
+  symbolStyle: CommonPropTypes.style,
+
+  /* type of symbol; see <Symbol /> */
+  symbolType: PropTypes.string,
+
+  /* zoom translate applied to (projected) features */
+  translate: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
+
+BubbleLayer.defaultProps = {
+  fill: 'steelblue',
+  maxSize: 1000,
+  onClick: CommonDefaultProps.noop,
+  onMouseLeave: CommonDefaultProps.noop,
+  onMouseMove: CommonDefaultProps.noop,
+  onMouseOver: CommonDefaultProps.noop,
+  projection: null,
+  selectedLocations: [],
+  symbolSelectedStyle: {
+    stroke: '#000',
+    strokeWidth: 2,
+  },
+  symbolStyle: {
+    fillOpacity: 0.7,
+    stroke: '#fff',
+    strokeWidth: 0.5,
+  },
+  symbolType: 'circle',
+};
+
+BubbleLayer.propUpdates = {
+  // centroids of features in unzoomed (base) space, keyed by geometryKey
+  centroids: (accum, key, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['features', 'geometryKeyField', 'projection'])) {
+      return accum;
+    }
+    const path = geoPath().projection(nextProps.projection || null);
+    return assign(accum, {
+      centroids: nextProps.features.reduce((acc, feature) => {
+        const geometryKey = propResolver(feature, nextProps.geometryKeyField);
+        /* eslint-disable no-param-reassign */
+        if (geometryKey) acc[geometryKey] = path.centroid(feature);
+        /* eslint-enable no-param-reassign */
+        return acc;
+      }, {}),
+    });
+  },
+
+  sortedBubbles: (accum, key, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, [
+      'data',
+      'features',
+      'geometryKeyField',
+      'maxSize',
+      'selectedLocations',
+      'sizeField',
+      'sizeScale',
+    ])) {
+      return accum;
+    }
+    const bubbles = BubbleLayer.getBubbles(nextProps);
+    return assign(accum, {
+      sizeScale: nextProps.sizeScale || BubbleLayer.getSizeScale(bubbles, nextProps.maxSize),
+
+      // render selected bubbles last, as <FeatureLayer /> does selected paths
+      sortedBubbles: sortBy(bubbles, bubble => includes(nextProps.selectedLocations, bubble.datum)),
+    });
+  },
+};
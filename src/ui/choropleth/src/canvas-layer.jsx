@@ -0,0 +1,514 @@
+import React, { PropTypes } from 'react';
+import {
+  bindAll,
+  find,
+  forEach,
+  get as getValue,
+  has,
+  includes,
+  noop,
+  some,
+  sortBy,
+  toString,
+  uniq,
+} from 'lodash';
+import { geoPath } from 'd3';
+
+import {
+  CommonPropTypes,
+  propResolver,
+  PureComponent,
+} from '../../../utils';
+
+import { FillPattern, patternPropType } from '../../shape';
+import FeatureLayer from './feature-layer';
+import Path from './path';
+
+/**
+ * parse a numeric style value (e.g., '2px', 0.5)
+ * @param {String|Number} value
+ * @param {Number} fallback - returned if value does not parse to a number
+ * @return {Number}
+ */
+function parseStyleNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * parse an svg stroke-dasharray (e.g., '5, 5') for CanvasRenderingContext2D::setLineDash
+ * @param {String|Number} [dashArray]
+ * @return {Array}
+ */
+function parseDashArray(dashArray) {
+  if (!dashArray) return [];
+  return String(dashArray)
+    .split(/[\s,]+/)
+    .map(parseFloat)
+    .filter(n => !isNaN(n));
+}
+
+/**
+ * @return {Number} ratio of physical pixels to css pixels
+ */
+function getPixelRatio() {
+  return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+}
+
+export default class CanvasLayer extends PureComponent {
+  /**
+   * Encode index of a feature as a unique color for the hit canvas;
+   * index is offset by one so that transparent black never resolves to a feature
+   * @param {Number} index
+   * @return {String} rgb color string
+   */
+  static encodeIndex(index) {
+    /* eslint-disable no-bitwise */
+    const id = index + 1;
+    return `rgb(${(id >> 16) & 255},${(id >> 8) & 255},${id & 255})`;
+    /* eslint-enable no-bitwise */
+  }
+
+  /**
+   * Inverse of CanvasLayer.encodeIndex
+   * @param {Array} rgb - [r, g, b] channel values
+   * @return {Number} feature index, -1 if color does not encode a feature
+   */
+  static decodeIndex([r, g, b]) {
+    /* eslint-disable no-bitwise */
+    return ((r << 16) | (g << 8) | b) - 1;
+    /* eslint-enable no-bitwise */
+  }
+
+  /**
+   * Fill and stroke the current path of a canvas context with an inline-style object,
+   * as computed for <Path /> (e.g., { fill: 'red', stroke: '#000', strokeWidth: '1px' })
+   * @param {CanvasRenderingContext2D} context
+   * @param {Object} style
+   */
+  static paint(context, style) {
+    /* eslint-disable no-param-reassign */
+    const opacity = parseStyleNumber(style.opacity, 1);
+
+    if (style.fill && style.fill !== 'none') {
+      context.globalAlpha = opacity * parseStyleNumber(style.fillOpacity, 1);
+      context.fillStyle = style.fill;
+      context.fill();
+    }
+
+    if (style.stroke && style.stroke !== 'none') {
+      context.globalAlpha = opacity * parseStyleNumber(style.strokeOpacity, 1);
+      context.strokeStyle = style.stroke;
+      context.lineWidth = parseStyleNumber(style.strokeWidth, 1);
+      context.setLineDash(parseDashArray(style.strokeDasharray));
+      context.stroke();
+    }
+
+    context.globalAlpha = 1;
+    /* eslint-enable no-param-reassign */
+  }
+
+  constructor(props) {
+    super(props);
+
+    // features drawn to the hit canvas, indexed by their encoded color
+    this._hitFeatures = [];
+    this._hitCanvasDirty = true;
+    this._hovered = null;
+
+    // CanvasPatterns drawn from props.patterns, keyed by id
+    this._canvasPatterns = {};
+
+    bindAll(this, [
+      'handleEvent',
+      'saveCanvasRef',
+    ]);
+  }
+
+  componentDidMount() {
+    this.draw();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.patterns !== this.props.patterns) this._canvasPatterns = {};
+    this.draw();
+  }
+
+  /**
+   * resolve datum and fill of each feature in a feature layer
+   * @param {Object} layer
+   * @return {Array} [{ feature, datum, fill, selected }, ...]
+   */
+  resolveFeatures(layer) {
+    const {
+      colorScale,
+      data,
+      geometryKeyField,
+      lowerField,
+      missingFill,
+      secondaryValueField,
+      selectedLocations,
+      uncertaintyScale,
+      upperField,
+      valueField,
+    } = this.props;
+    const collection = getValue(this.props.cache, ['feature', layer.name]);
+    if (!collection) return [];
+
+    return collection.features.reduce((acc, feature) => {
+      const geometryKey = propResolver(feature, geometryKeyField);
+      if (!geometryKey) return acc;
+
+      const datum = getValue(data, [geometryKey]);
+      acc.push({
+        datum,
+        feature,
+        fill: FeatureLayer.getFill(feature, datum, {
+          colorScale,
+          data,
+          lowerField,
+          missingFill,
+          secondaryValueField,
+          uncertaintyScale,
+          upperField,
+          valueField,
+        }),
+        selected: includes(selectedLocations, datum),
+      });
+      return acc;
+    }, []);
+  }
+
+  /**
+   * Key of the highlighted feature: props.focusKey or that of props.focus, if given,
+   * otherwise that hovered; see <FeatureLayer />
+   * @return {String|null}
+   */
+  getHighlightedKey() {
+    const { focus, focusKey, geometryKeyField, keyField } = this.props;
+    if (focusKey !== undefined) return focusKey === null ? null : toString(focusKey);
+    if (focus !== undefined) return focus ? toString(propResolver(focus, keyField)) : null;
+    return this._hovered ? toString(propResolver(this._hovered.feature, geometryKeyField)) : null;
+  }
+
+  /**
+   * resolve a fill that refers to a pattern (e.g., 'url(#missing)') to a CanvasPattern
+   * @param {CanvasRenderingContext2D} context
+   * @param {String} fill
+   * @return {String|CanvasPattern}
+   */
+  resolveFill(context, fill) {
+    const id = FillPattern.parseUrl(fill);
+    if (!id) return fill;
+
+    const pattern = find(this.props.patterns, { id });
+    if (!has(this._canvasPatterns, id)) {
+      this._canvasPatterns[id] = pattern && FillPattern.createCanvasPattern(context, pattern);
+    }
+
+    // fall back to the color of the pattern if it cannot be drawn
+    return this._canvasPatterns[id] || getValue(pattern, 'color', 'none');
+  }
+
+  draw() {
+    const context = this._canvasNode && this._canvasNode.getContext('2d');
+    if (!context) return;
+
+    const { height, layers, width } = this.props;
+    const ratio = getPixelRatio();
+    const path = geoPath()
+      .projection(this.props.pathGenerator.projection())
+      .context(context);
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    forEach(layers, (layer) => {
+      if (!layer.visible) return;
+
+      switch (layer.type) {
+        case 'feature': {
+          const style = layer.style || Path.defaultProps.style;
+          const selectedStyle = layer.selectedStyle || Path.defaultProps.selectedStyle;
+          const { hoverStyle } = layer;
+          const highlightedKey = hoverStyle ? this.getHighlightedKey() : null;
+          const highlightedCell = hoverStyle ? this.props.highlightedCell : null;
+          const { geometryKeyField } = this.props;
+          const resolved = this.resolveFeatures(layer).map(item => ({
+            ...item,
+            hovered: (highlightedKey !== null
+              && toString(propResolver(item.feature, geometryKeyField)) === highlightedKey)
+              || FeatureLayer.isInCell(item.feature, item.datum, highlightedCell, this.props),
+          }));
+
+          // draw selected, then highlighted, features last so that their borders are not painted over
+          const sorted = sortBy(resolved, ['selected', 'hovered']);
+          forEach(sorted, ({ feature, fill, hovered, selected }) => {
+            context.beginPath();
+            path(feature);
+            const computedStyle = Path.getStyle({
+              feature,
+              fill,
+              hovered,
+              hoverStyle,
+              selected,
+              selectedStyle,
+              style,
+            });
+            CanvasLayer.paint(context, {
+              ...computedStyle,
+              fill: this.resolveFill(context, computedStyle.fill),
+            });
+          });
+          break;
+        }
+        case 'mesh': {
+          const mesh = getValue(this.props.cache, ['mesh', layer.name]);
+          if (!mesh) return;
+          context.beginPath();
+          path(mesh);
+          CanvasLayer.paint(context, {
+            fill: 'none',
+            ...(typeof layer.style === 'function' ? layer.style(mesh) : layer.style),
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    this._hitCanvasDirty = true;
+  }
+
+  /**
+   * draw every feature of visible feature layers, each filled with a color encoding its index,
+   * to an offscreen canvas; lazily called on the first mouse event after a redraw
+   */
+  drawHitCanvas() {
+    const { height, layers, width } = this.props;
+    if (!this._hitCanvas) this._hitCanvas = document.createElement('canvas');
+    this._hitCanvas.width = width;
+    this._hitCanvas.height = height;
+    this._hitFeatures = [];
+    this._hitCanvasDirty = false;
+
+    const context = this._hitCanvas.getContext('2d');
+    if (!context) return;
+
+    const path = geoPath()
+      .projection(this.props.pathGenerator.projection())
+      .context(context);
+
+    forEach(layers, (layer) => {
+      if (!layer.visible || layer.type !== 'feature') return;
+      forEach(this.resolveFeatures(layer), (resolved) => {
+        context.beginPath();
+        path(resolved.feature);
+        context.fillStyle = CanvasLayer.encodeIndex(this._hitFeatures.length);
+        context.fill();
+        this._hitFeatures.push(resolved);
+      });
+    });
+  }
+
+  /**
+   * @param {Number} x - px offset from left edge of canvas
+   * @param {Number} y - px offset from top edge of canvas
+   * @return {Object|null} { feature, datum, ... } of topmost feature at point
+   */
+  featureAt(x, y) {
+    if (this._hitCanvasDirty) this.drawHitCanvas();
+    const context = this._hitCanvas && this._hitCanvas.getContext('2d');
+    if (!context) return null;
+
+    // indices encoded by the 3x3 pixels centered on the pixel under the point
+    const pixels = context.getImageData(Math.floor(x) - 1, Math.floor(y) - 1, 3, 3).data;
+    const indices = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+      indices.push(CanvasLayer.decodeIndex([pixels[i], pixels[i + 1], pixels[i + 2]]));
+    }
+
+    // antialiasing along shared borders blends the colors of neighboring features,
+    // which can decode to an unrelated feature (or to none); confirm that a candidate contains
+    // the point, trying the feature under it first, then those around it, topmost first
+    const path = geoPath()
+      .projection(this.props.pathGenerator.projection())
+      .context(context);
+    const hit = find(uniq([indices[4], ...sortBy(indices, index => -index)]), (index) => {
+      const candidate = this._hitFeatures[index];
+      if (!candidate) return false;
+      context.beginPath();
+      path(candidate.feature);
+      return context.isPointInPath(x, y);
+    });
+    return hit === undefined ? null : this._hitFeatures[hit];
+  }
+
+  /**
+   * resolve mouse events on the (overlaid) map to features and call event handlers
+   * with the same signature as <Path />: function(event, datum, CanvasLayer) {...}
+   * @param {Object} event - click, mousemove, or mouseleave event
+   */
+  handleEvent(event) {
+    const { onClick, onMouseLeave, onMouseMove, onMouseOver } = this.props;
+    const hit = event.type === 'mouseleave' ? null : this.hitTest(event);
+
+    if (event.type === 'click') {
+      if (hit) onClick(event, hit.datum, this);
+      return;
+    }
+
+    // emulate mouseover and mouseleave of individual features
+    if (getValue(hit, 'feature') !== getValue(this._hovered, 'feature')) {
+      if (this._hovered) onMouseLeave(event, this._hovered.datum, this);
+      if (hit) onMouseOver(event, hit.datum, this);
+      this._hovered = hit;
+
+      // redraw to highlight the hovered feature
+      if (this.props.focus === undefined && this.props.focusKey === undefined
+          && some(this.props.layers, layer => layer.visible && layer.hoverStyle)) {
+        this.draw();
+      }
+    }
+
+    if (hit && event.type === 'mousemove') onMouseMove(event, hit.datum, this);
+  }
+
+  /**
+   * @param {Object} event - mouse event
+   * @return {Object|null} { feature, datum, ... } of topmost feature under the pointer
+   */
+  hitTest(event) {
+    if (!this._canvasNode) return null;
+    const rect = this._canvasNode.getBoundingClientRect();
+    return this.featureAt(event.clientX - rect.left, event.clientY - rect.top);
+  }
+
+  saveCanvasRef(ref) {
+    this._canvasNode = ref;
+  }
+
+  render() {
+    const { className, height, width } = this.props;
+    const ratio = getPixelRatio();
+
+    return (
+      <canvas
+        className={className}
+        height={height * ratio}
+        ref={this.saveCanvasRef}
+        style={{ width: `${width}px`, height: `${height}px` }}
+        width={width * ratio}
+      />
+    );
+  }
+}
+
+CanvasLayer.propTypes = {
+  /* geoJSON extracted from topology, of shape { feature: {...}, mesh: {...} } */
+  cache: PropTypes.object.isRequired,
+
+  /* classname to apply to canvas */
+  className: CommonPropTypes.className,
+
+  /* fn that accepts keyfield, and returns fill color for feature */
+  colorScale: PropTypes.func.isRequired,
+
+  /* data keyed by location id; see <FeatureLayer /> */
+  data: PropTypes.object.isRequired,
+
+  /* datum of the feature to highlight with layer.hoverStyle; see <FeatureLayer /> */
+  focus: PropTypes.object,
+
+  /* geometry key of the feature to highlight with layer.hoverStyle; see <FeatureLayer /> */
+  focusKey: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ]),
+
+  /* uniquely identifying field of geometry objects; see <FeatureLayer /> */
+  geometryKeyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* px height of canvas */
+  height: PropTypes.number.isRequired,
+
+  /* [column, row] of a bivariate color scale to highlight with layer.hoverStyle; see <FeatureLayer /> */
+  highlightedCell: PropTypes.arrayOf(PropTypes.number),
+
+  /* unique key of datum; see <FeatureLayer /> */
+  keyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* layers to draw, in order; same shape as <Choropleth /> layers */
+  layers: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /* key of datum that holds the lower bound of its value, to desaturate by; see <FeatureLayer /> */
+  lowerField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* fill of features without a value; see <FeatureLayer /> */
+  missingFill: PropTypes.string,
+
+  /* signature: function(event, datum, CanvasLayer) {...} */
+  onClick: PropTypes.func,
+
+  /* signature: function(event, datum, CanvasLayer) {...} */
+  onMouseLeave: PropTypes.func,
+
+  /* signature: function(event, datum, CanvasLayer) {...} */
+  onMouseMove: PropTypes.func,
+
+  /* signature: function(event, datum, CanvasLayer) {...} */
+  onMouseOver: PropTypes.func,
+
+  /* d3 geoPath; its projection is used to draw to canvas */
+  pathGenerator: PropTypes.func.isRequired,
+
+  /* patterns to which fills may refer (e.g., 'url(#missing)'); see <FillPattern /> */
+  patterns: PropTypes.arrayOf(patternPropType),
+
+  /* key of datum that holds a second value, for bivariate fills; see <FeatureLayer /> */
+  secondaryValueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* array of data */
+  selectedLocations: PropTypes.arrayOf(PropTypes.object),
+
+  /* fn that accepts value, lower, and upper, and returns uncertainty; see <FeatureLayer /> */
+  uncertaintyScale: PropTypes.func,
+
+  /* key of datum that holds the upper bound of its value; see <FeatureLayer /> */
+  upperField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* key of datum that holds the value to display; see <FeatureLayer /> */
+  valueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* px width of canvas */
+  width: PropTypes.number.isRequired,
+};
+
+CanvasLayer.defaultProps = {
+  missingFill: '#ccc',
+  onClick: noop,
+  onMouseLeave: noop,
+  onMouseMove: noop,
+  onMouseOver: noop,
+  patterns: [],
+  selectedLocations: [],
+};
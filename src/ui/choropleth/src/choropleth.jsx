@@ -1,34 +1,85 @@
 import React, { PropTypes } from 'react';
 import classNames from 'classnames';
 import {
-  geoClipExtent,
-  geoPath,
-  geoTransform,
+  dragDisable,
+  dragEnable,
+  event as d3Event,
+  mouse,
   select,
   zoom,
   zoomIdentity,
   zoomTransform,
 } from 'd3';
 import { presimplify } from 'topojson';
-import { bindAll, filter, has, isEqual, keyBy, memoize } from 'lodash';
+import {
+  bindAll,
+  filter,
+  flatMap,
+  get as getValue,
+  has,
+  includes,
+  isEqual,
+  isFunction,
+  keyBy,
+  map,
+  memoize,
+  pick,
+  some,
+  toString,
+  uniq,
+} from 'lodash';
 import {
   calcCenterPoint,
   calcScale,
   calcTranslate,
+  CommonDefaultProps,
   CommonPropTypes,
+  computeBounds,
   concatAndComputeGeoJSONBounds,
-  extractGeoJSON,
+  exactlyOneOfProp,
+  extractLayers,
+  extractLayersAndInsets,
+  getProjection,
+  meshFilterTypes,
+  processGeometry,
+  projectionTypes,
   propResolver,
+  propsChanged,
   quickMerge,
+  requestGeometry,
 } from '../../../utils';
 
 import style from './choropleth.css';
+import BubbleLayer from './bubble-layer';
+import CanvasLayer from './canvas-layer';
 import FeatureLayer from './feature-layer';
+import Inset from './inset';
+import LabelLayer from './label-layer';
+import Minimap from './minimap';
+import Overlays from './overlays';
 import Path from './path';
+import PointLayer from './point-layer';
 import Controls from './controls';
+import { getSelectionRing, intersectsArea } from './selection';
+import {
+  calcInsetViews,
+  calcMinimapView,
+  calcTranslateExtent,
+  createClipExtent,
+  createPathGenerator,
+  isSameTransform,
+} from './view';
+import Spinner from '../../spinner';
+import { FillPattern, patternPropType } from '../../shape';
+
+// proportion of the map occupied by features zoomed to
+const ZOOM_TO_FIT_PROPORTION = 0.9;
+
+// layer types drawn by <CanvasLayer /> when renderer === 'canvas'
+const CANVAS_LAYER_TYPES = ['feature', 'mesh'];
 
-// slightly pad clip extent so that the boundary of the map does not show borders
-const CLIP_EXTENT_PADDING = 1;
+// namespace of listeners of area selection (see props.selectionMode)
+const SELECT_AREA_EVENT = 'ihme-ui-choropleth-select';
 
 export default class Choropleth extends React.Component {
   /**
@@ -42,42 +93,128 @@ export default class Choropleth extends React.Component {
     return keyBy(data, (datum) => propResolver(datum, keyField));
   }
 
+  /**
+   * @param {String|Object} [projection] - name of projection (see utils/geo::projectionTypes)
+   *                                       or d3 projection
+   * @return {Object|null} d3 projection, or null if geometry is preprojected
+   */
+  static resolveProjection(projection) {
+    if (typeof projection !== 'string') return projection || null;
+    const projectionFactory = getProjection(projection);
+    return projectionFactory ? projectionFactory() : null;
+  }
+
+  /**
+   * extract layers as GeoJSON from either topojson or named GeoJSON objects
+   * @see utils/geo::extractLayers
+   */
+  static extractLayers(topology, geojson, layers) {
+    return extractLayers(topology, geojson, layers);
+  }
+
+  /**
+   * extract layers, moving features of insets out of the main map and into layers of their insets
+   * @see utils/geo::extractLayersAndInsets
+   */
+  static extractLayersAndInsets(topology, geojson, layers, props) {
+    return extractLayersAndInsets(topology, geojson, layers, props);
+  }
+
+  /**
+   * options with which geometryWorker processes geometry (see utils/geometry-worker);
+   * null if any cannot be posted to a worker, e.g., a d3 projection or the filterFn of a layer
+   * @param {Object} props
+   * @return {Object|null}
+   */
+  static getGeometryRequest({ geojson, geometryKeyField, insets, layers, projection, topology }) {
+    // points layers carry their own data rather than referring to geometry
+    const geometryLayers = filter(layers, layer => layer.visible && layer.type !== 'points');
+
+    if ((projection && typeof projection !== 'string')
+        || (insets.length && isFunction(geometryKeyField))
+        || some(geometryLayers, layer => layer.filterFn || some(layer.meshFilter, isFunction))) {
+      return null;
+    }
+
+    return {
+      geojson,
+      geometryKeyField: isFunction(geometryKeyField) ? undefined : geometryKeyField,
+      insets: map(insets, inset => pick(inset, ['locations', 'name'])),
+      layers: map(geometryLayers, layer => pick(layer, ['meshFilter', 'name', 'object', 'type'])),
+      projection,
+      topology,
+    };
+  }
+
   constructor(props) {
     super(props);
 
-    const extractedGeoJSON = extractGeoJSON(presimplify(props.topology), props.layers);
-    const bounds = concatAndComputeGeoJSONBounds(extractedGeoJSON);
+    this.projection = Choropleth.resolveProjection(props.projection);
+    this.measure = Overlays.resolveMeasure(this.projection, props.topology);
+    this.simplification = props.simplification;
 
-    const scale = calcScale(props.width, props.height, bounds);
-
-    const translate = calcTranslate(props.width, props.height, scale, bounds);
-    this.clipExtent = geoClipExtent()
-      .extent([
-        [-CLIP_EXTENT_PADDING, -CLIP_EXTENT_PADDING],
-        [props.width + CLIP_EXTENT_PADDING, props.height + CLIP_EXTENT_PADDING]
-      ]);
-    this.zoom = zoom()
-      .scaleExtent([Math.max(scale, props.minZoom), Math.max(scale, props.maxZoom)]);
+    this.clipExtent = createClipExtent(props.width, props.height);
+    this.zoom = zoom();
 
     this.calcMeshLayerStyle = memoize(this.calcMeshLayerStyle);
 
+    let geometryState;
+    if (props.geometryWorker && Choropleth.getGeometryRequest(props)) {
+      // geometry is processed by geometryWorker once mounted; nothing is drawn in the meantime
+      geometryState = {
+        bounds: null,
+        cache: {},
+        insetCache: {},
+        insetViews: {},
+        loading: true,
+        minimapView: null,
+        pathGenerator: this.calcPathGenerator(1, [0, 0]),
+        scale: 1,
+        scaleBase: 1,
+        translate: [0, 0],
+      };
+    } else {
+      const { cache, insetCache } = Choropleth.extractLayersAndInsets(
+        this.presimplifyTopology(props.topology),
+        props.geojson,
+        props.layers,
+        props
+      );
+      geometryState = this.calcGeometryState(props, {
+        bounds: concatAndComputeGeoJSONBounds(cache, this.projection),
+        cache,
+        insetCache,
+      });
+    }
+
     this.state = {
-      bounds,
-      scale,
-      scaleBase: scale,
-      translate,
-      pathGenerator: this.createPathGenerator(scale, translate, this.clipExtent),
-      cache: { ...extractedGeoJSON, },
-      processedData: Choropleth.processData(props.data, props.keyField)
+      ...geometryState,
+      processedData: Choropleth.processData(props.data, props.keyField),
+      selectionArea: null,
     };
 
     bindAll(this, [
       'currentZoomTransform',
+      'onCanvasDoubleClick',
+      'onCanvasEvent',
+      'onInsetMouseEnter',
+      'onMinimapPan',
+      'onPathDoubleClick',
+      'onPointClusterClick',
+      'saveCanvasRef',
       'saveSvgRef',
+      'selectAreaEnd',
+      'selectAreaMove',
+      'selectAreaStart',
+      'syncZoomTransform',
       'zoomEvent',
+      'zoomFilter',
       'zoomIn',
       'zoomOut',
       'zoomReset',
+      'zoomToFeatures',
+      'zoomToLocations',
+      'zoomToSelection',
     ]);
   }
 
@@ -86,68 +223,150 @@ export default class Choropleth extends React.Component {
 
     this._svgSelection.call(
       this.zoom
+        .filter(this.zoomFilter)
         .on('zoom.ihme-ui-choropleth', this.zoomEvent)
     );
 
-    this._svgSelection.call(
-      this.zoom.transform,
-      zoomIdentity
-        .translate(x, y)
-        .scale(this.state.scale)
-    );
+    // shift-drag selects area, and is ignored by zoom; see zoomFilter
+    this._svgSelection.on(`mousedown.${SELECT_AREA_EVENT}`, this.selectAreaStart);
+
+    this.syncZoomTransform({ k: this.state.scale, x, y });
+
+    if (this.state.loading) {
+      this.requestGeometry(Choropleth.getGeometryRequest(this.props));
+    }
   }
 
   componentWillReceiveProps(nextProps) {
     // build up new state
     const state = {};
 
-    // if topology or layers change, calc new bounds, and if bounds change, calc new scale
-    if (nextProps.topology !== this.props.topology || nextProps.layers !== this.props.layers) {
-      let topology;
+    const projectionChanged = nextProps.projection !== this.props.projection;
+    if (projectionChanged) {
+      this.projection = Choropleth.resolveProjection(nextProps.projection);
+    }
+
+    // path generators of the map, its insets, and its minimap are recreated below
+    const simplificationChanged = nextProps.simplification !== this.props.simplification;
+    if (simplificationChanged) {
+      this.simplification = nextProps.simplification;
+    }
+
+    // if geometry or layers change, calc new bounds, and if bounds change, calc new scale
+    const geometryChanged = nextProps.topology !== this.props.topology
+      || nextProps.geojson !== this.props.geojson;
+
+    if (projectionChanged || geometryChanged) {
+      this.measure = Overlays.resolveMeasure(this.projection, nextProps.topology);
+    }
+
+    // features extracted into insets must be re-extracted from geometry
+    const insetsChanged = nextProps.insets !== this.props.insets;
+    const layersChanged = nextProps.layers !== this.props.layers;
+
+    // geometry is processed by geometryWorker, if given, and fit to the map once processed
+    // (see requestGeometry), drawing previous geometry in the meantime; changes of layers
+    // that do not change what the worker extracts (e.g., of style) need not be processed
+    const workerRequest = nextProps.geometryWorker
+      ? Choropleth.getGeometryRequest(nextProps)
+      : null;
+    const workerLayersChanged = !!workerRequest && layersChanged && !isEqual(
+      workerRequest.layers,
+      getValue(Choropleth.getGeometryRequest(this.props), 'layers')
+    );
+    const geometryRequest = workerRequest && (
+      geometryChanged || insetsChanged || projectionChanged || workerLayersChanged
+    )
+      ? workerRequest
+      : null;
+    if (geometryRequest) {
+      state.loading = true;
+    } else if (!workerRequest && (geometryChanged || insetsChanged || layersChanged)) {
+      const topology = this.presimplifyTopology(nextProps.topology);
       let cache;
-      if (nextProps.topology === this.props.topology) {
-        topology = nextProps.topology;
+      let insetCache;
+      if (!geometryChanged && !insetsChanged) {
         cache = { ...this.state.cache };
+        insetCache = { ...this.state.insetCache };
       } else {
-        topology = presimplify(nextProps.topology);
         cache = {};
+        insetCache = {};
       }
 
       const visibleLayers = filter(nextProps.layers, { visible: true });
 
       const uncachedLayers = filter(visibleLayers, (layer) =>
-        layer.type === 'mesh' || !has(cache[layer.type], layer.name)
+        // points layers carry their own data rather than referring to geometry;
+        // layers of every other type than mesh are extracted as feature collections
+        layer.type !== 'points' && (layer.type === 'mesh' || !has(cache.feature, layer.name))
       );
 
-      if (uncachedLayers.length) {
-        state.cache = {
-          ...quickMerge({}, cache, extractGeoJSON(topology, uncachedLayers))
-        };
-
-        const bounds = concatAndComputeGeoJSONBounds(state.cache);
+      if (uncachedLayers.length || insetsChanged) {
+        const extracted = Choropleth.extractLayersAndInsets(
+          topology,
+          nextProps.geojson,
+          uncachedLayers,
+          nextProps
+        );
+        state.cache = { ...quickMerge({}, cache, extracted.cache) };
+        state.insetCache = quickMerge({}, insetCache, extracted.insetCache);
+
+        const bounds = concatAndComputeGeoJSONBounds(state.cache, this.projection);
         if (!isEqual(bounds, this.state.bounds)) {
           state.bounds = bounds;
         }
       }
     }
 
-    // if the component has been resized or has new bounds, set a new base scale and translate
-    if ((nextProps.width !== this.props.width) ||
+    // projected geometry occupies entirely different bounds
+    if (projectionChanged && !geometryRequest) {
+      state.bounds = concatAndComputeGeoJSONBounds(
+        state.cache || this.state.cache,
+        this.projection
+      );
+    }
+
+    if (state.insetCache || (projectionChanged && !geometryRequest) || simplificationChanged) {
+      state.insetViews = calcInsetViews(
+        nextProps.insets,
+        state.insetCache || this.state.insetCache,
+        this.projection,
+        this.simplification
+      );
+    }
+
+    const minimapPropNames = ['layers', 'minimap', 'minimapHeight', 'minimapWidth'];
+    if (state.cache || state.bounds || (projectionChanged && !geometryRequest)
+        || simplificationChanged || propsChanged(this.props, nextProps, minimapPropNames)) {
+      state.minimapView = calcMinimapView(
+        nextProps,
+        state.bounds || this.state.bounds,
+        state.cache || this.state.cache,
+        this.projection
+      );
+    }
+
+    // if the component has been resized or has new bounds, set a new base scale and translate;
+    // before geometry is first processed, it has no bounds
+    if ((state.bounds || this.state.bounds) && (
+        (nextProps.width !== this.props.width) ||
         (nextProps.height !== this.props.height) ||
-        state.bounds) {
-      this.clipExtent = this.clipExtent
-        .extent([
-          [-CLIP_EXTENT_PADDING, -CLIP_EXTENT_PADDING],
-          [nextProps.width + CLIP_EXTENT_PADDING, nextProps.height + CLIP_EXTENT_PADDING]
-        ]);
+        state.bounds)) {
+      this.clipExtent = createClipExtent(nextProps.width, nextProps.height, this.clipExtent);
       const bounds = state.bounds || this.state.bounds;
 
       state.scaleBase = calcScale(nextProps.width, nextProps.height, bounds);
+      this.updateZoomExtent(nextProps, bounds, state.scaleBase);
       // new scale equals scale at which bounds fit perfectly within new width and height
       // transformed by how zoomed the current scale is (how much scaleFactor has been applied)
       state.scale = state.scaleBase * (this.state.scale / this.state.scaleBase);
 
-      if (state.bounds) {
+      if (nextProps.zoomTransform) {
+        // if zoom is controlled, view is given by zoomTransform, however the map is resized
+        const { k, x, y } = nextProps.zoomTransform;
+        state.scale = k;
+        state.translate = [x, y];
+      } else if (state.bounds) {
         // if state.bounds is set when topology or layers change drastically, reset calculations
         state.translate = calcTranslate(nextProps.width, nextProps.height,
                                         state.scaleBase, bounds);
@@ -162,18 +381,33 @@ export default class Choropleth extends React.Component {
                                         state.scale, bounds, center);
       }
 
-      state.pathGenerator = this.createPathGenerator(
-        state.scale,
-        state.translate,
-        this.clipExtent
-      );
+      state.pathGenerator = this.calcPathGenerator(state.scale, state.translate);
 
-      this._svgSelection.call(
-        this.zoom.transform,
-        zoomIdentity
-          .translate(state.translate[0], state.translate[1])
-          .scale(state.scale)
-      );
+      if (nextProps.zoomTransform) {
+        this.syncZoomTransform(nextProps.zoomTransform);
+      } else {
+        this._svgSelection.call(
+          this.zoom.transform,
+          zoomIdentity
+            .translate(state.translate[0], state.translate[1])
+            .scale(state.scale)
+        );
+      }
+    } else if (nextProps.constrainPan !== this.props.constrainPan
+               || nextProps.panPadding !== this.props.panPadding) {
+      this.updateZoomExtent(nextProps, this.state.bounds, this.state.scaleBase);
+    }
+
+    // if zoom is controlled, view follows zoomTransform
+    if (nextProps.zoomTransform && nextProps.zoomTransform !== this.props.zoomTransform) {
+      Object.assign(state, this.calcZoomState(nextProps.zoomTransform));
+      if (!isSameTransform(nextProps.zoomTransform, this.currentZoomTransform())) {
+        this.syncZoomTransform(nextProps.zoomTransform);
+      }
+    }
+
+    if (simplificationChanged && !state.pathGenerator) {
+      state.pathGenerator = this.calcPathGenerator(this.state.scale, this.state.translate);
     }
 
     // if the data has changed, transform it to be consumable by <Layer />
@@ -185,6 +419,99 @@ export default class Choropleth extends React.Component {
     if (Object.keys(state).length) {
       this.setState(state);
     }
+
+    if (geometryRequest) this.requestGeometry(geometryRequest);
+  }
+
+  componentWillUnmount() {
+    this.cancelGeometryRequest();
+
+    // end any selection gesture in progress
+    if (this._selectAreaView) {
+      select(this._selectAreaView)
+        .on(`mousemove.${SELECT_AREA_EVENT}`, null)
+        .on(`mouseup.${SELECT_AREA_EVENT}`, null);
+    }
+  }
+
+  /**
+   * in canvas mode, mouse events land on the svg overlay;
+   * <CanvasLayer /> resolves them to the feature under the pointer
+   * @param {Object} event
+   */
+  onCanvasEvent(event) {
+    // insets are drawn to svg, and handle their own mouse events
+    if (this._canvasLayer && !this.isWithinInset(event.target)) {
+      this._canvasLayer.handleEvent(event);
+    }
+  }
+
+  onCanvasDoubleClick(event) {
+    const hit = this._canvasLayer && this._canvasLayer.hitTest(event);
+    if (hit) this.zoomToFeatures([hit.feature]);
+  }
+
+  /**
+   * in canvas mode, features of the main map are no longer hovered once the pointer enters an inset
+   * @param {Object} event
+   */
+  onInsetMouseEnter(event) {
+    if (this._canvasLayer) this._canvasLayer.handleEvent({ ...event, type: 'mouseleave' });
+  }
+
+  /**
+   * pan by the offset of the minimap's viewport as it is dragged
+   * @param {Number} dx - px, in minimap space
+   * @param {Number} dy - px, in minimap space
+   */
+  onMinimapPan(dx, dy) {
+    const { minimapView } = this.state;
+    if (!minimapView || !this._svgSelection) return;
+
+    // minimap space -> unzoomed (base) space, in which zoom.translateBy is given;
+    // the map moves opposite the viewport
+    const { scale } = minimapView;
+    this._svgSelection.call(this.zoom.translateBy, -dx / scale, -dy / scale);
+  }
+
+  onPathDoubleClick(event, datum, path) {
+    this.zoomToFeatures([path.props.feature]);
+  }
+
+  onPointClusterClick(event, data, pointLayer) {
+    const { dataAccessors } = pointLayer.props;
+    this.zoomToFeatures(map(data, datum => PointLayer.toFeature(datum, dataAccessors)));
+  }
+
+  /**
+   * set viewport extent of zoom behavior and,
+   * if constrainPan, limit panning to bounds of geometry
+   * @param {Object} props
+   * @param {Array} bounds
+   * @param {Number} scaleBase
+   */
+  updateZoomExtent(props, bounds, scaleBase) {
+    const { constrainPan, height, panPadding, width } = props;
+    this.zoom
+      .extent([[0, 0], [width, height]])
+      .translateExtent(constrainPan && bounds
+        ? calcTranslateExtent(bounds, scaleBase, panPadding)
+        : [[-Infinity, -Infinity], [Infinity, Infinity]]
+      );
+  }
+
+  /**
+   * presimplify topology (see ./view::createPathGenerator), once per topology;
+   * topojson.presimplify mutates topology in place
+   * @param {Object} [topology]
+   * @return {Object} topology
+   */
+  presimplifyTopology(topology) {
+    if (topology && topology !== this._presimplifiedTopology) {
+      presimplify(topology);
+      this._presimplifiedTopology = topology;
+    }
+    return topology;
   }
 
   /**
@@ -208,43 +535,238 @@ export default class Choropleth extends React.Component {
   }
 
   /**
-   * @param {array} scale
-   * @param {array} translate
-   * @param {object} clipExtent - d3.geo.clipExtent
-   * @returns {function}
-   */
-  createPathGenerator(scale, translate, clipExtent) {
-    const transform = geoTransform({
-      point(x, y, z) {
-        // mike bostock math
-        const area = 1 / scale / scale;
-        const pointX = x * scale + translate[0];
-        const pointY = y * scale + translate[1];
-
-        if (z >= area) {
-          this.stream.point(pointX, pointY);
+   * @param {Number} scale
+   * @param {Array} translate
+   * @return {Function} path generator of the map, at scale and translate
+   */
+  calcPathGenerator(scale, translate) {
+    return createPathGenerator(
+      this.projection,
+      this.simplification,
+      scale,
+      translate,
+      this.clipExtent
+    );
+  }
+
+  /**
+   * @param {Object} transform - zoom transform, i.e., { k, x, y }
+   * @return {Object} state derived from zoom transform
+   */
+  calcZoomState(transform) {
+    const scale = transform.k;
+    const translate = [transform.x, transform.y];
+    return {
+      scale,
+      translate,
+      pathGenerator: this.calcPathGenerator(scale, translate),
+    };
+  }
+
+  /**
+   * fit newly processed geometry to the map
+   * @param {Object} props
+   * @param {Object} geometry - { bounds, cache, insetCache }; see utils/geometry-worker
+   * @return {Object} state
+   */
+  calcGeometryState(props, { bounds, cache, insetCache }) {
+    const scaleBase = calcScale(props.width, props.height, bounds);
+    this.zoom
+      .scaleExtent([Math.max(scaleBase, props.minZoom), Math.max(scaleBase, props.maxZoom)]);
+    this.updateZoomExtent(props, bounds, scaleBase);
+
+    // if zoom is controlled, view is given by zoomTransform
+    const { zoomTransform: transform } = props;
+    const scale = transform ? transform.k : scaleBase;
+    const translate = transform
+      ? [transform.x, transform.y]
+      : calcTranslate(props.width, props.height, scale, bounds);
+
+    return {
+      bounds,
+      cache,
+      insetCache,
+      insetViews: calcInsetViews(props.insets, insetCache, this.projection, this.simplification),
+      loading: false,
+      minimapView: calcMinimapView(props, bounds, cache, this.projection),
+      pathGenerator: this.calcPathGenerator(scale, translate),
+      scale,
+      scaleBase,
+      translate,
+    };
+  }
+
+  /**
+   * process geometry within geometryWorker, then fit it to the map;
+   * if the worker fails, geometry is processed on the main thread instead
+   * @param {Object} request - as returned by Choropleth.getGeometryRequest
+   */
+  requestGeometry(request) {
+    this.cancelGeometryRequest();
+    this._cancelGeometryRequest = requestGeometry(
+      this.props.geometryWorker,
+      request,
+      (error, result) => {
+        this._cancelGeometryRequest = null;
+        const geometry = error ? processGeometry(request) : result;
+
+        // e.g., layers have changed, but not the extent of geometry; keep the current view
+        if (this.state.bounds && isEqual(geometry.bounds, this.state.bounds)) {
+          const { scale, translate } = this.state;
+          this.setState({
+            ...this.calcGeometryState(this.props, geometry),
+            pathGenerator: this.calcPathGenerator(scale, translate),
+            scale,
+            translate,
+          });
+          return;
         }
+
+        const state = this.calcGeometryState(this.props, geometry);
+        this.setState(state);
+        this.syncZoomTransform({ k: state.scale, x: state.translate[0], y: state.translate[1] });
       }
+    );
+  }
+
+  cancelGeometryRequest() {
+    if (this._cancelGeometryRequest) this._cancelGeometryRequest();
+    this._cancelGeometryRequest = null;
+  }
+
+  /**
+   * @param {Object} node - DOM node, e.g., target of an event
+   * @return {Boolean} whether node is within an inset
+   */
+  isWithinInset(node) {
+    let current = node;
+    while (current && current !== this._svgNode) {
+      if (current.getAttribute && current.getAttribute('data-inset')) return true;
+      current = current.parentNode;
+    }
+    return false;
+  }
+
+  /**
+   * call onSelectArea with every feature of visible feature layers that intersects an area
+   * @param {Array} ring - closed ring in screen space, i.e., [[x, y], ..., [x, y]]
+   */
+  selectArea(ring) {
+    const { geometryKeyField, layers, onSelectArea } = this.props;
+    const { cache, pathGenerator, processedData } = this.state;
+
+    const features = flatMap(filter(layers, { type: 'feature', visible: true }), (layer) => {
+      const collection = getValue(cache, ['feature', layer.name]);
+      if (!collection) return [];
+      return filter(collection.features, feature => intersectsArea(feature, pathGenerator, ring));
     });
 
-    return geoPath().projection({
-      stream: (pointStream) => transform.stream(clipExtent.stream(pointStream))
+    const data = uniq(features.reduce((acc, feature) => {
+      const datum = processedData[propResolver(feature, geometryKeyField)];
+      if (datum) acc.push(datum);
+      return acc;
+    }, []));
+
+    onSelectArea(features, data);
+  }
+
+  selectAreaStart() {
+    if (!this.props.selectionMode || !d3Event.shiftKey || d3Event.button) return;
+
+    // prevent text selection while dragging, and suppress the click that ends the gesture
+    this._selectAreaView = d3Event.view;
+    dragDisable(this._selectAreaView);
+
+    this._selectAreaPoints = [mouse(this._svgNode)];
+    select(this._selectAreaView)
+      .on(`mousemove.${SELECT_AREA_EVENT}`, this.selectAreaMove)
+      .on(`mouseup.${SELECT_AREA_EVENT}`, this.selectAreaEnd);
+
+    this.setState({
+      selectionArea: getSelectionRing(this._selectAreaPoints, this.props.selectionMode),
     });
   }
 
-  zoomEvent() {
-    const transform = this.currentZoomTransform();
-    const scale = transform.k;
-    const translate = [transform.x, transform.y];
-    const pathGenerator = this.createPathGenerator(scale, translate, this.clipExtent);
+  selectAreaMove() {
+    const point = mouse(this._svgNode);
+    if (this.props.selectionMode === 'box') {
+      this._selectAreaPoints = [this._selectAreaPoints[0], point];
+    } else {
+      this._selectAreaPoints.push(point);
+    }
 
     this.setState({
-      scale,
-      translate,
-      pathGenerator,
+      selectionArea: getSelectionRing(this._selectAreaPoints, this.props.selectionMode),
     });
   }
 
+  selectAreaEnd() {
+    select(this._selectAreaView)
+      .on(`mousemove.${SELECT_AREA_EVENT}`, null)
+      .on(`mouseup.${SELECT_AREA_EVENT}`, null);
+    dragEnable(this._selectAreaView, true);
+    this._selectAreaView = null;
+
+    const ring = this.state.selectionArea;
+    this.setState({ selectionArea: null });
+    if (ring) this.selectArea(ring);
+  }
+
+  /**
+   * set zoom transform held by d3 on the svg node, without calling onZoom;
+   * used to apply zoomTransform (or initial transform) to d3's zoom behavior
+   * @param {Object} transform - zoom transform, i.e., { k, x, y }
+   */
+  syncZoomTransform({ k, x, y }) {
+    if (!this._svgSelection) return;
+
+    this._syncingZoomTransform = true;
+    this._svgSelection.call(
+      this.zoom.transform,
+      zoomIdentity
+        .translate(x, y)
+        .scale(k)
+    );
+    this._syncingZoomTransform = false;
+  }
+
+  zoomEvent() {
+    // state has been updated from the transform being synced
+    if (this._syncingZoomTransform) return;
+
+    const transform = this.currentZoomTransform();
+    const { onZoom, zoomTransform: controlledTransform } = this.props;
+
+    if (onZoom) onZoom(transform);
+
+    // if zoom is controlled, view only follows zoomTransform;
+    // if it was not updated in response to onZoom, put d3's zoom behavior back in line with it
+    if (controlledTransform) {
+      if (!isSameTransform(this.props.zoomTransform, transform)) {
+        this.syncZoomTransform(this.props.zoomTransform);
+      }
+      return;
+    }
+
+    this.setState(this.calcZoomState(transform));
+  }
+
+  /**
+   * filter events handled by d3's zoom behavior;
+   * double-clicks are left to features when zoomToFeatureOnDoubleClick is set
+   * @return {Boolean}
+   */
+  zoomFilter() {
+    if (d3Event.type === 'dblclick' && this.props.zoomToFeatureOnDoubleClick) return false;
+
+    // shift-drag selects area
+    if (d3Event.type === 'mousedown' && d3Event.shiftKey && this.props.selectionMode) return false;
+
+    // insets are not zoomable
+    if (this.isWithinInset(d3Event.target)) return false;
+    return !d3Event.button;
+  }
+
   zoomIn() {
     this._svgSelection.call(this.zoom.scaleBy, this.props.zoomStep);
   }
@@ -254,6 +776,8 @@ export default class Choropleth extends React.Component {
   }
 
   zoomReset() {
+    if (!this.state.bounds) return;
+
     const [x, y] = calcTranslate(this.props.width, this.props.height,
                                 this.state.scaleBase, this.state.bounds);
 
@@ -265,6 +789,74 @@ export default class Choropleth extends React.Component {
     );
   }
 
+  /**
+   * calculate zoom transform at which features fit centered within the map,
+   * constrained by minZoom and maxZoom
+   * @param {Array} features - GeoJSON features
+   * @return {Object|null} d3 zoom transform; null if features have no extent
+   */
+  calcZoomTransformToFit(features) {
+    if (!features.length) return null;
+
+    const { width, height } = this.props;
+    const bounds = computeBounds({ type: 'FeatureCollection', features }, this.projection);
+    const [minScale, maxScale] = this.zoom.scaleExtent();
+    const scale = Math.min(maxScale, Math.max(minScale,
+      calcScale(width, height, bounds, ZOOM_TO_FIT_PROPORTION)
+    ));
+    if (!isFinite(scale)) return null;
+
+    const [x, y] = calcTranslate(width, height, scale, bounds);
+    return zoomIdentity
+      .translate(x, y)
+      .scale(scale);
+  }
+
+  /**
+   * @param {Array} locationIds
+   * @return {Array} features of visible feature layers whose key is one of locationIds
+   */
+  findFeatures(locationIds) {
+    const keys = map(locationIds, toString);
+    const { geometryKeyField } = this.props;
+
+    return flatMap(filter(this.props.layers, { type: 'feature', visible: true }), (layer) =>
+      filter(getValue(this.state.cache, ['feature', layer.name, 'features']), (feature) =>
+        includes(keys, toString(propResolver(feature, geometryKeyField)))
+      )
+    );
+  }
+
+  /**
+   * animate view to fit features
+   * @param {Array} features - GeoJSON features
+   */
+  zoomToFeatures(features) {
+    const transform = this.calcZoomTransformToFit(features);
+    if (!transform || !this._svgSelection) return;
+
+    this._svgSelection
+      .transition()
+      .duration(this.props.zoomTransitionDuration)
+      .call(this.zoom.transform, transform);
+  }
+
+  /**
+   * animate view to fit locations, e.g., in response to a location search
+   * @param {Array} locationIds - resolved values of geometryKeyField
+   */
+  zoomToLocations(locationIds) {
+    this.zoomToFeatures(this.findFeatures(locationIds));
+  }
+
+  /**
+   * animate view to fit selectedLocations
+   */
+  zoomToSelection() {
+    const { keyField, selectedLocations } = this.props;
+    this.zoomToLocations(map(selectedLocations, (datum) => propResolver(datum, keyField)));
+  }
+
   /**
    * return current zoom transform or identity transform if
    * svgNode does not exist or does not have a zoom transform
@@ -274,88 +866,382 @@ export default class Choropleth extends React.Component {
     return zoomTransform(this._svgNode);
   }
 
+  saveCanvasRef(ref) {
+    this._canvasLayer = ref;
+  }
+
   saveSvgRef(ref) {
     this._svgNode = ref;
     this._svgSelection = ref && select(ref);
   }
 
+  /**
+   * props shared by the feature layers of the main map and of insets
+   * @param {Object} layer - feature layer; see propTypes.layers
+   * @return {Object}
+   */
+  calcFeatureLayerProps(layer) {
+    return {
+      colorScale: this.props.colorScale,
+      data: this.state.processedData,
+      focus: this.props.focus,
+      focusable: this.props.focusable,
+      focusKey: this.props.focusKey,
+      focusOrder: this.props.focusOrder,
+      geometryKeyField: this.props.geometryKeyField,
+      highlightedCell: this.props.highlightedCell,
+      keyField: this.props.keyField,
+      labelField: layer.labelField,
+      lowerField: this.props.lowerField,
+      missingFill: this.props.missingFill,
+      onClick: this.props.onClick,
+      onMouseLeave: this.props.onMouseLeave,
+      onMouseMove: this.props.onMouseMove,
+      onMouseOver: this.props.onMouseOver,
+      pathClassName: layer.className,
+      pathFocusedClassName: layer.focusedClassName,
+      pathFocusedStyle: layer.focusedStyle,
+      pathHoverClassName: layer.hoverClassName,
+      pathHoverStyle: layer.hoverStyle,
+      pathSelectedClassName: layer.selectedClassName,
+      pathSelectedStyle: layer.selectedStyle,
+      pathStyle: layer.style,
+      projection: this.projection,
+      secondaryValueField: this.props.secondaryValueField,
+      selectedLocations: this.props.selectedLocations,
+      transitionDuration: this.props.fillTransitionDuration,
+      transitionEase: this.props.fillTransitionEase,
+      uncertaintyFill: this.props.uncertaintyFill,
+      uncertaintyScale: this.props.uncertaintyScale,
+      uncertaintyThreshold: this.props.uncertaintyThreshold,
+      upperField: this.props.upperField,
+      valueField: this.props.valueField,
+      valueFormat: this.props.valueFormat,
+    };
+  }
+
   renderLayers() {
+    const { renderer } = this.props;
+
     return this.props.layers.map((layer) => {
       if (!layer.visible) return null;
+      if (renderer === 'canvas' && CANVAS_LAYER_TYPES.indexOf(layer.type) !== -1) return null;
 
       const key = `${layer.type}-${layer.name}`;
 
       switch (layer.type) {
-        case 'feature':
+        case 'feature': {
+          const collection = getValue(this.state.cache, ['feature', layer.name]);
+          if (!collection) return null;
           return (
             <FeatureLayer
-              colorScale={this.props.colorScale}
+              {...this.calcFeatureLayerProps(layer)}
+              features={collection.features}
+              key={key}
+              onDoubleClick={this.props.zoomToFeatureOnDoubleClick
+                ? this.onPathDoubleClick
+                : undefined}
+              pathGenerator={this.state.pathGenerator}
+            />
+          );
+        }
+        case 'mesh': {
+          const mesh = getValue(this.state.cache, ['mesh', layer.name]);
+          if (!mesh) return null;
+          return (
+            <Path
+              className={layer.className}
+              key={key}
+              feature={mesh}
+              fill="none"
+              pathGenerator={this.state.pathGenerator}
+              style={this.calcMeshLayerStyle(key, layer.style, mesh)}
+            />
+          );
+        }
+        case 'bubble': {
+          const collection = getValue(this.state.cache, ['feature', layer.name]);
+          if (!collection) return null;
+          return (
+            <BubbleLayer
+              className={layer.className}
               data={this.state.processedData}
-              features={this.state.cache.feature[layer.name].features}
+              features={collection.features}
+              fill={layer.fill}
               geometryKeyField={this.props.geometryKeyField}
               key={key}
-              keyField={this.props.keyField}
+              maxSize={layer.maxSize}
               onClick={this.props.onClick}
               onMouseLeave={this.props.onMouseLeave}
               onMouseMove={this.props.onMouseMove}
               onMouseOver={this.props.onMouseOver}
-              pathClassName={layer.className}
-              pathGenerator={this.state.pathGenerator}
-              pathSelectedClassName={layer.selectedClassName}
-              pathStyle={layer.style}
-              pathSelectedStyle={layer.selectedStyle}
+              projection={this.projection}
+              scale={this.state.scale}
               selectedLocations={this.props.selectedLocations}
-              valueField={this.props.valueField}
+              sizeField={layer.sizeField}
+              sizeScale={layer.sizeScale}
+              symbolClassName={layer.symbolClassName}
+              symbolSelectedClassName={layer.selectedClassName}
+              symbolSelectedStyle={layer.selectedStyle}
+              symbolStyle={layer.style}
+              symbolType={layer.symbolType}
+              translate={this.state.translate}
             />
           );
-        case 'mesh':
+        }
+        case 'points':
           return (
-            <Path
+            <PointLayer
               className={layer.className}
+              cluster={layer.cluster}
+              clusterRadius={layer.clusterRadius}
+              data={layer.data}
+              dataAccessors={layer.dataAccessors}
+              fill={layer.fill}
               key={key}
-              feature={this.state.cache.mesh[layer.name]}
-              fill="none"
-              pathGenerator={this.state.pathGenerator}
-              style={this.calcMeshLayerStyle(key, layer.style, this.state.cache.mesh[layer.name])}
+              onClick={this.props.onClick}
+              onClusterClick={this.onPointClusterClick}
+              onMouseLeave={this.props.onMouseLeave}
+              onMouseMove={this.props.onMouseMove}
+              onMouseOver={this.props.onMouseOver}
+              projection={this.projection}
+              scale={this.state.scale}
+              selection={layer.selection}
+              size={layer.size}
+              symbolClassName={layer.symbolClassName}
+              symbolSelectedClassName={layer.selectedClassName}
+              symbolSelectedStyle={layer.selectedStyle}
+              symbolStyle={layer.style}
+              symbolType={layer.symbolType}
+              translate={this.state.translate}
+            />
+          );
+        case 'label': {
+          const collection = getValue(this.state.cache, ['feature', layer.name]);
+          if (!collection) return null;
+          return (
+            <LabelLayer
+              className={layer.className}
+              features={collection.features}
+              fontSize={layer.fontSize}
+              geometryKeyField={this.props.geometryKeyField}
+              height={this.props.height}
+              key={key}
+              labelField={layer.labelField}
+              minArea={layer.minArea}
+              placement={layer.placement}
+              projection={this.projection}
+              scale={this.state.scale}
+              style={layer.style}
+              translate={this.state.translate}
+              width={this.props.width}
             />
           );
+        }
         default:
           return null;
       }
     });
   }
 
+  renderInsets() {
+    const { insets, renderer } = this.props;
+    const { insetCache, insetViews } = this.state;
+    const featureLayers = filter(this.props.layers, { type: 'feature', visible: true });
+
+    return map(insets, (inset) => {
+      const view = insetViews[inset.name];
+      if (!view) return null;
+
+      return (
+        <Inset
+          className={inset.className}
+          height={inset.height}
+          key={inset.name}
+          name={inset.name}
+          onMouseEnter={renderer === 'canvas' ? this.onInsetMouseEnter : undefined}
+          style={inset.style}
+          width={inset.width}
+          x={inset.x}
+          y={inset.y}
+        >
+          {map(featureLayers, (layer) => {
+            const collection = getValue(insetCache, [inset.name, layer.name]);
+            if (!collection) return null;
+            return (
+              <FeatureLayer
+                {...this.calcFeatureLayerProps(layer)}
+                features={collection.features}
+                key={`feature-${layer.name}`}
+                pathGenerator={view.pathGenerator}
+              />
+            );
+          })}
+        </Inset>
+      );
+    });
+  }
+
+  renderSelectionArea() {
+    const { selectionArea } = this.state;
+    if (!selectionArea) return null;
+
+    return (
+      <path
+        className={style['selection-area']}
+        d={`M${selectionArea.join('L')}Z`}
+        style={this.props.selectionAreaStyle}
+      />
+    );
+  }
+
+  renderMinimap() {
+    const { minimapView, scale, translate } = this.state;
+    if (!minimapView) return null;
+
+    return (
+      <Minimap
+        className={this.props.minimapClassName}
+        features={minimapView.features}
+        height={this.props.minimapHeight}
+        mapHeight={this.props.height}
+        mapWidth={this.props.width}
+        onPan={this.onMinimapPan}
+        pathGenerator={minimapView.pathGenerator}
+        scale={minimapView.scale}
+        style={this.props.minimapStyle}
+        transform={{ k: scale, x: translate[0], y: translate[1] }}
+        translate={minimapView.translate}
+        width={this.props.minimapWidth}
+      />
+    );
+  }
+
+  renderOverlays() {
+    return (
+      <Overlays
+        compass={this.props.compass}
+        compassClassName={this.props.compassClassName}
+        compassSize={this.props.compassSize}
+        compassStyle={this.props.compassStyle}
+        height={this.props.height}
+        measure={this.measure}
+        scale={this.state.scale}
+        scaleBar={this.props.scaleBar}
+        scaleBarClassName={this.props.scaleBarClassName}
+        scaleBarMaxWidth={this.props.scaleBarMaxWidth}
+        scaleBarStyle={this.props.scaleBarStyle}
+        scaleBarUnits={this.props.scaleBarUnits}
+        translate={this.state.translate}
+        width={this.props.width}
+      />
+    );
+  }
+
+  renderCanvas() {
+    return (
+      <CanvasLayer
+        cache={this.state.cache}
+        className={style.canvas}
+        colorScale={this.props.colorScale}
+        data={this.state.processedData}
+        focus={this.props.focus}
+        focusKey={this.props.focusKey}
+        geometryKeyField={this.props.geometryKeyField}
+        height={this.props.height}
+        highlightedCell={this.props.highlightedCell}
+        keyField={this.props.keyField}
+        layers={this.props.layers}
+        lowerField={this.props.lowerField}
+        missingFill={this.props.missingFill}
+        onClick={this.props.onClick}
+        onMouseLeave={this.props.onMouseLeave}
+        onMouseMove={this.props.onMouseMove}
+        onMouseOver={this.props.onMouseOver}
+        pathGenerator={this.state.pathGenerator}
+        patterns={this.props.patterns}
+        ref={this.saveCanvasRef}
+        secondaryValueField={this.props.secondaryValueField}
+        selectedLocations={this.props.selectedLocations}
+        uncertaintyScale={this.props.uncertaintyScale}
+        upperField={this.props.upperField}
+        valueField={this.props.valueField}
+        width={this.props.width}
+      />
+    );
+  }
+
   render() {
-    const { width, height } = this.props;
+    const { width, height, renderer } = this.props;
+    const isCanvas = renderer === 'canvas';
 
     return (
       <div
         className={classNames(style.common, this.props.className)}
         style={{ ...this.props.style, width: `${width}px`, height: `${height}px` }}
       >
-        {this.props.controls && <Controls
-          className={this.props.controlsClassName}
-          style={this.props.controlsStyle}
-          buttonClassName={this.props.controlsButtonClassName}
-          buttonStyle={this.props.controlsButtonStyle}
-          onZoomIn={this.zoomIn}
-          onZoomOut={this.zoomOut}
-          onZoomReset={this.zoomReset}
-        />}
+        {isCanvas && this.renderCanvas()}
         <svg
+          className={classNames({ [style.overlay]: isCanvas })}
           ref={this.saveSvgRef}
           width={`${width}px`}
           height={`${height}px`}
+          onClick={isCanvas ? this.onCanvasEvent : undefined}
+          onDoubleClick={isCanvas && this.props.zoomToFeatureOnDoubleClick
+            ? this.onCanvasDoubleClick
+            : undefined}
+          onMouseLeave={isCanvas ? this.onCanvasEvent : undefined}
+          onMouseMove={isCanvas ? this.onCanvasEvent : undefined}
           overflow="hidden"
           style={{ pointerEvents: 'all' }}
         >
+          {this.props.patterns.length > 0 && (
+            <defs>
+              {map(this.props.patterns, pattern => <FillPattern key={pattern.id} {...pattern} />)}
+            </defs>
+          )}
           {this.renderLayers()}
+          {this.renderInsets()}
+          {this.renderSelectionArea()}
+          {this.renderOverlays()}
         </svg>
+        {this.props.controls && <Controls
+          className={this.props.controlsClassName}
+          style={this.props.controlsStyle}
+          buttonClassName={this.props.controlsButtonClassName}
+          buttonStyle={this.props.controlsButtonStyle}
+          onZoomIn={this.zoomIn}
+          onZoomOut={this.zoomOut}
+          onZoomReset={this.zoomReset}
+        />}
+        {this.renderMinimap()}
+        {this.state.loading && <Spinner className={style.loading} />}
       </div>
     );
   }
 }
 
+const GEOMETRY_PROP_TYPES = {
+  geojson: PropTypes.objectOf(PropTypes.shape({
+    type: PropTypes.string.isRequired,
+  })),
+  topology: PropTypes.shape({
+    arcs: PropTypes.array,
+    objects: PropTypes.object,
+    projection: PropTypes.shape({
+      center: PropTypes.arrayOf(PropTypes.number),
+      metersPerUnit: PropTypes.number,
+      parallels: PropTypes.arrayOf(PropTypes.number),
+      rotate: PropTypes.arrayOf(PropTypes.number),
+      scale: PropTypes.number,
+      translate: PropTypes.arrayOf(PropTypes.number),
+      type: PropTypes.oneOf(projectionTypes()),
+    }),
+    transform: PropTypes.object,
+    type: PropTypes.string
+  }),
+};
+
 Choropleth.propTypes = {
   /* classname to add rendered components */
   className: PropTypes.oneOfType([
@@ -363,9 +1249,31 @@ Choropleth.propTypes = {
     PropTypes.string,
   ]),
 
-  /* fn that accepts keyfield, and returns stroke color for line */
+  /*
+   fn that accepts keyfield, and returns stroke color for line;
+   if secondaryValueField is given, accepts both values (see bivariateColorScale);
+   may be ordinal (e.g., d3 scaleOrdinal) if values are categories
+   */
   colorScale: PropTypes.func.isRequired,
 
+  /*
+   show an arrow pointing north from the middle of the map;
+   requires a projection, or projection metadata on topology (see topology)
+   */
+  compass: PropTypes.bool,
+
+  /* classname to add to compass */
+  compassClassName: CommonPropTypes.className,
+
+  /* px length of compass arrow */
+  compassSize: PropTypes.number,
+
+  /* inline styles to apply to compass */
+  compassStyle: PropTypes.object,
+
+  /* constrain panning to bounds of geometry (plus panPadding) */
+  constrainPan: PropTypes.bool,
+
   /* show zoom controls */
   controls: PropTypes.bool,
 
@@ -390,6 +1298,47 @@ Choropleth.propTypes = {
   /* array of datum objects */
   data: PropTypes.arrayOf(PropTypes.object).isRequired,
 
+  /*
+   duration, in ms, over which fills of features animate when data change (e.g., between years);
+   fills are interpolated between colors, and features that gain or lose a value fade out and in;
+   0 to change fills immediately; svg renderer only
+   */
+  fillTransitionDuration: PropTypes.number,
+
+  /* easing of animated changes of fill; e.g., d3.easeLinear; defaults to d3.easeCubic */
+  fillTransitionEase: PropTypes.func,
+
+  /*
+   datum of the location to highlight with layer.hoverStyle, e.g., one hovered in another chart;
+   if given (including as null), overrides highlighting of the hovered location
+   */
+  focus: PropTypes.object,
+
+  /*
+   whether paths of feature layers may be focused and traversed by keyboard,
+   and are exposed to screen readers (named by layer.labelField and their values);
+   ignored when renderer === 'canvas'; see <FeatureLayer />
+   */
+  focusable: PropTypes.bool,
+
+  /*
+   geometry key of the location to highlight with layer.hoverStyle, as focus does,
+   whether or not it has data; if given (including as null), takes precedence over focus
+   */
+  focusKey: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ]),
+
+  /*
+   array of geometry keys in the order in which features are traversed by arrow keys;
+   if omitted, arrow keys move to the nearest feature in their direction
+   */
+  focusOrder: PropTypes.arrayOf(PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ])),
+
   /*
    uniquely identifying field of geometry objects
    if a function, will be called with the geometry object as first parameter
@@ -404,9 +1353,62 @@ Choropleth.propTypes = {
     PropTypes.func,
   ]).isRequired,
 
+  /*
+   GeoJSON FeatureCollections, Features, or geometries keyed by name (analogous to topology.objects);
+   `layer.object` refers to these keys. Mesh layers are not supported for GeoJSON.
+   exactly one of `topology` or `geojson` must be provided
+   */
+  geojson: exactlyOneOfProp(GEOMETRY_PROP_TYPES),
+
+  /*
+   Web Worker running ihme-ui/utils/geometry-worker (e.g., new Worker(<url of its bundle>)),
+   which presimplifies and extracts geometry, and computes its bounds, off of the main thread;
+   a spinner is shown over previous geometry until new geometry or layers are processed.
+   may be shared by many choropleths.
+   geometry is processed on the main thread if `projection` is a d3 projection,
+   if a layer has a filterFn (see layers), or if the worker fails
+   */
+  geometryWorker: PropTypes.shape({
+    addEventListener: PropTypes.func.isRequired,
+    postMessage: PropTypes.func.isRequired,
+    removeEventListener: PropTypes.func.isRequired,
+  }),
+
   /* height of containing element, in px */
   height: PropTypes.number,
 
+  /*
+   [column, row] of a bivariate color scale (see bivariateColorScale) whose features are
+   highlighted with layer.hoverStyle, e.g., the cell hovered in a <BivariateLegend />
+   */
+  highlightedCell: PropTypes.arrayOf(PropTypes.number),
+
+  /*
+   framed sub-maps of locations drawn apart from the main map (e.g., Alaska and Hawaii),
+   each with its own scale and translate; locations within an inset are removed from the main map
+   and its bounds. Insets share colorScale, data, selectedLocations, and mouse events with the
+   main map, and are not zoomable.
+     name: unique name of inset
+     locations: array of geometry keys (i.e., resolved geometryKeyField) within the inset
+     x, y, width, height: px position and size of the inset's frame within the map
+     padding: px between frame and features (default 5)
+     className, style: applied to the inset's frame
+   */
+  insets: PropTypes.arrayOf(PropTypes.shape({
+    className: CommonPropTypes.className,
+    height: PropTypes.number.isRequired,
+    locations: PropTypes.arrayOf(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])).isRequired,
+    name: PropTypes.string.isRequired,
+    padding: PropTypes.number,
+    style: PropTypes.object,
+    width: PropTypes.number.isRequired,
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+  })),
+
   /*
    unique key of datum
    if a function, will be called with the datum object as first parameter
@@ -416,49 +1418,179 @@ Choropleth.propTypes = {
     PropTypes.func,
   ]).isRequired,
 
-  /* layers to display */
+  /* layers to display; when rendering `geojson`, `object` refers to a key within it */
   layers: PropTypes.arrayOf(PropTypes.shape({
     className: CommonPropTypes.className,
 
+    // points layers only: whether to group points that overlap at the current zoom;
+    // clicking a cluster zooms to the points within it
+    cluster: PropTypes.bool,
+
+    // points layers only: px extent within which points are clustered
+    clusterRadius: PropTypes.number,
+
+    // points layers only: array of datum objects to plot
+    data: PropTypes.arrayOf(PropTypes.object),
+
+    // points layers only: { key, latitude, longitude } accessors of data; see <PointLayer />
+    dataAccessors: PropTypes.shape({
+      key: CommonPropTypes.dataAccessor,
+      latitude: CommonPropTypes.dataAccessor,
+      longitude: CommonPropTypes.dataAccessor,
+    }),
+
+    // bubble and points layers only: fill color of symbols
+    fill: PropTypes.string,
+
     // optional function to filter mesh grid, passed adjacent geometries
     // refer to https://github.com/mbostock/topojson/wiki/API-Reference#mesh
+    // layers with a filterFn cannot be extracted by geometryWorker; see meshFilter
     filterFn: PropTypes.func,
 
+    // feature layers only: applied to the path with keyboard focus
+    focusedClassName: CommonPropTypes.className,
+
+    // feature layers only: applied to the path with keyboard focus
+    focusedStyle: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.func,
+    ]),
+
+    // label layers only: px font size of labels
+    fontSize: PropTypes.number,
+
+    // feature layers only: applied to the hovered path (svg only), which is rendered on top
+    hoverClassName: CommonPropTypes.className,
+
+    // feature layers only: applied to the hovered path (or that of `focus` or `focusKey`),
+    // which is rendered on top
+    hoverStyle: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.func,
+    ]),
+
+    // label and feature layers: text of label (or, for feature layers, accessible name of paths,
+    // along with their values); property of feature (e.g., 'properties.name') or
+    // function called with feature
+    labelField: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.func,
+    ]),
+
+    // bubble layers only: px^2 area of the largest bubble, if sizeScale is omitted
+    maxSize: PropTypes.number,
+
+    // mesh layers only: alternative to filterFn that names a filter (see utils/geo::extractGeoJSON),
+    // e.g., { type: 'disputedBorders', geometryKeyField: 'loc_id' }, and so can be extracted by
+    // geometryWorker
+    meshFilter: PropTypes.shape({
+      geometryKeyField: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.func,
+      ]),
+      selectedKeys: PropTypes.arrayOf(PropTypes.string),
+      type: PropTypes.oneOf(meshFilterTypes()).isRequired,
+    }),
+
+    // label layers only: minimum px^2 area, at the current zoom, at which a feature is labeled
+    minArea: PropTypes.number,
+
     // along with layer.type, will be part of the `key` of the layer
     // therefore, `${layer.type}-${layer.name}` needs to be unique
     name: PropTypes.string.isRequired,
 
-    // name corresponding to key within topojson objects collection
-    object: PropTypes.string.isRequired,
+    // name corresponding to key within topojson objects collection (or geojson);
+    // required of all but points layers
+    object: PropTypes.string,
+
+    // label layers only: 'centroid' or 'pole' (of inaccessibility); see <LabelLayer />
+    placement: PropTypes.oneOf(['centroid', 'pole']),
 
-    // applied to selected paths
+    // applied to selected paths (or symbols)
     selectedClassName: CommonPropTypes.className,
 
-    // applied to selected paths
+    // applied to selected paths (or symbols)
     selectedStyle: PropTypes.oneOfType([
       PropTypes.object,
       PropTypes.func,
     ]),
 
-    // applied to paths
+    // points layers only: array of selected datum objects
+    selection: PropTypes.arrayOf(PropTypes.object),
+
+    // points layers only: px^2 area of each symbol
+    size: PropTypes.number,
+
+    // bubble layers only: key of datum by which to size bubbles; see <BubbleLayer />
+    sizeField: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.func,
+    ]),
+
+    // bubble layers only: fn that accepts value of sizeField, and returns px^2 area of bubble
+    sizeScale: PropTypes.func,
+
+    // applied to paths (or labels, or symbols)
     style: PropTypes.oneOfType([
       PropTypes.object,
       PropTypes.func,
     ]),
 
-    // whether the layer should be a feature collection or mesh grid
-    type: PropTypes.oneOf(['feature', 'mesh']).isRequired,
+    // bubble and points layers only: classname applied to each symbol
+    symbolClassName: CommonPropTypes.className,
+
+    // bubble and points layers only: type of symbol; see <Symbol />
+    symbolType: PropTypes.string,
+
+    // whether the layer should be a feature collection, mesh grid,
+    // labels or proportional symbols (bubbles) of features, or points of data
+    type: PropTypes.oneOf(['bubble', 'feature', 'label', 'mesh', 'points']).isRequired,
 
     // whether or not to render layer
     visible: PropTypes.bool,
   })).isRequired,
 
+  /*
+   key of datum that holds the lower bound of the uncertainty interval of its value;
+   if given, along with upperField, features are desaturated by uncertainty
+   (or overlaid with uncertaintyFill), and paths passed to event callbacks
+   carry their interval as props `lower` and `upper`; same form as valueField
+   */
+  lowerField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* max allowable zoom factor; 1 === fit bounds */
   maxZoom: PropTypes.number,
 
+  /*
+   show a minimap of the full extent of geometry (that of visible feature layers),
+   with the part of the map in view outlined; drag the outline to pan the map
+   */
+  minimap: PropTypes.bool,
+
+  /* classname to add to minimap */
+  minimapClassName: CommonPropTypes.className,
+
+  /* px height of minimap */
+  minimapHeight: PropTypes.number,
+
+  /* inline styles to apply to minimap */
+  minimapStyle: PropTypes.object,
+
+  /* px width of minimap */
+  minimapWidth: PropTypes.number,
+
   /* min allowable zoom factor; 1 === fit bounds */
   minZoom: PropTypes.number,
 
+  /*
+   fill of features without a value;
+   may refer to one of `patterns` (e.g., 'url(#missing)') to distinguish missing from clamped data
+   */
+  missingFill: PropTypes.string,
+
   /* passed to each path; signature: function(event, datum, Path) {...} */
   onClick: PropTypes.func,
 
@@ -471,19 +1603,139 @@ Choropleth.propTypes = {
   /* passed to each path; signature: function(event, datum, Path) {...} */
   onMouseOver: PropTypes.func,
 
+  /*
+   called with the features of visible feature layers (and their data) that intersect an area
+   drawn by shift-drag; see selectionMode
+   signature: function(features, data) {...}
+   */
+  onSelectArea: PropTypes.func,
+
+  /*
+   called with d3 zoom transform ({ k, x, y }) whenever the map is panned or zoomed;
+   signature: function(transform) {...}
+   */
+  onZoom: PropTypes.func,
+
+  /* px by which geometry bounds are padded when constrainPan; measured at unzoomed scale */
+  panPadding: PropTypes.number,
+
+  /*
+   SVG pattern fills (hatching, dots) to which `missingFill` and colorScale may refer
+   by 'url(#<id>)'; e.g., [{ id: 'missing', type: 'hatch', color: '#999' }]
+   see <FillPattern /> for options
+   */
+  patterns: PropTypes.arrayOf(patternPropType),
+
+  /*
+   projection with which to render unprojected (longitude, latitude) topojson;
+   either the name of a d3-geo projection (e.g., 'naturalEarth', 'albersUsa', 'mercator')
+   or a d3 projection, which is expected not to change between renders
+   if omitted, topology is assumed to be preprojected
+   */
+  projection: PropTypes.oneOfType([
+    PropTypes.oneOf(projectionTypes()),
+    PropTypes.shape({
+      stream: PropTypes.func.isRequired,
+    }),
+  ]),
+
+  /*
+   how to render feature and mesh layers; one of 'svg' or 'canvas'
+   'canvas' draws to a single <canvas> element, which is considerably faster for large topologies;
+   mouse events are resolved to the feature under the pointer,
+   and are called as function(event, datum, CanvasLayer) {...}
+   */
+  renderer: PropTypes.oneOf(['svg', 'canvas']),
+
+  /*
+   show a bar of round ground distance, measured at the middle of the map, that updates with zoom;
+   requires a projection, or projection metadata on topology (see topology)
+   */
+  scaleBar: PropTypes.bool,
+
+  /* classname to add to scale bar */
+  scaleBarClassName: CommonPropTypes.className,
+
+  /* px length of the longest scale bar */
+  scaleBarMaxWidth: PropTypes.number,
+
+  /* inline styles to apply to scale bar */
+  scaleBarStyle: PropTypes.object,
+
+  /* system of measurement of scale bar; one of 'metric', 'imperial' */
+  scaleBarUnits: PropTypes.oneOf(['metric', 'imperial']),
+
+  /*
+   key of datum that holds a second value to display; if given, features are filled
+   by both values through a 2D color matrix, i.e., colorScale is a bivariateColorScale;
+   features are missing unless both values are finite numbers; same form as valueField
+   */
+  secondaryValueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* array of data */
   selectedLocations: PropTypes.arrayOf(PropTypes.object),
 
+  /* inline styles to apply to the outline of the area being selected */
+  selectionAreaStyle: PropTypes.object,
+
+  /*
+   shape drawn by shift-drag to select an area (see onSelectArea): 'box' or (freehand) 'lasso';
+   if omitted, shift-drag pans the map
+   */
+  selectionMode: PropTypes.oneOf(['box', 'lasso']),
+
+  /*
+   level of detail at which feature and mesh layers (and insets and minimap) are drawn:
+   presimplified points (see topojson.presimplify) whose effective area is less than
+   a number of square px at the current zoom are dropped, trading detail for speed
+   either a number of px^2 (e.g., 1, the default, or 4 for coarser drawing),
+   a function of zoom scale that returns a number of px^2 (signature: function(scale) {...}),
+   or 'off', to draw every point (e.g., for print-quality export)
+   a function is expected not to change between renders
+   */
+  simplification: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.func,
+    PropTypes.oneOf(['off']),
+  ]),
+
   /* inline styles to apply to choropleth container */
   style: PropTypes.object,
 
-  /* full topojson */
-  topology: PropTypes.shape({
-    arcs: PropTypes.array,
-    objects: PropTypes.object,
-    transform: PropTypes.object,
-    type: PropTypes.string
-  }).isRequired,
+  /*
+   full topojson; preprojected, unless `projection` is given
+   exactly one of `topology` or `geojson` must be provided
+   preprojected topojson may describe its projection, from which the scale bar and compass
+   are measured, as `topology.projection`: either the name (`type`) and parameters of the
+   d3-geo projection applied (e.g., { type: 'albersUsa', scale: 1070, translate: [480, 250] }),
+   or, for linear coordinate systems (e.g., UTM), { metersPerUnit }
+   */
+  topology: exactlyOneOfProp(GEOMETRY_PROP_TYPES),
+
+  /*
+   fill overlaid on features of uncertainty at or above uncertaintyThreshold, in lieu of
+   desaturating them; may refer to one of `patterns` (e.g., 'url(#uncertain)');
+   svg renderer only, the canvas renderer desaturates; see lowerField
+   */
+  uncertaintyFill: PropTypes.string,
+
+  /*
+   fn that accepts value, lower, and upper, and returns uncertainty, in [0, 1];
+   defaults to the width of the interval relative to the value
+   */
+  uncertaintyScale: PropTypes.func,
+
+  /* uncertainty at or above which features are overlaid with uncertaintyFill */
+  uncertaintyThreshold: PropTypes.number,
+
+  /* key of datum that holds the upper bound of its value; see lowerField */
+  upperField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
 
   /* key of datum that holds the value to display */
   valueField: PropTypes.oneOfType([
@@ -491,21 +1743,65 @@ Choropleth.propTypes = {
     PropTypes.func,
   ]).isRequired,
 
+  /* fn that accepts a value, and returns it formatted for the accessible names of paths */
+  valueFormat: PropTypes.func,
+
   /* width of containing element, in px */
   width: PropTypes.number,
 
   /* amount to zoom in/out from zoom controls. current zoom scale is multiplied by prop value.
    e.g. 1.1 is equal to 10% steps, 2.0 is equal to 100% steps */
   zoomStep: PropTypes.number,
+
+  /*
+   zoom transform ({ k, x, y }, e.g., as passed to onZoom) at which to render the map;
+   if provided, zoom is controlled: the view only changes when zoomTransform does,
+   and onZoom must be used to update it in response to user interaction.
+   k is absolute scale, x and y are px translations
+   */
+  zoomTransform: PropTypes.shape({
+    k: PropTypes.number.isRequired,
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+  }),
+
+  /*
+   double-clicking a feature animates the view to fit that feature,
+   in place of d3's default double-click zoom
+   */
+  zoomToFeatureOnDoubleClick: PropTypes.bool,
+
+  /* duration, in ms, of animated zooms (e.g., zoomToLocations, zoomToSelection) */
+  zoomTransitionDuration: PropTypes.number,
 };
 
 Choropleth.defaultProps = {
+  constrainPan: false,
+  compass: false,
+  compassSize: 24,
   controls: false,
+  fillTransitionDuration: 0,
+  focusable: false,
   height: 400,
+  insets: [],
   layers: [],
   maxZoom: Infinity,
+  minimap: false,
+  minimapHeight: 90,
+  minimapWidth: 120,
   minZoom: 0,
+  missingFill: '#ccc',
+  panPadding: 0,
+  patterns: [],
+  renderer: 'svg',
+  onSelectArea: CommonDefaultProps.noop,
+  scaleBar: false,
+  scaleBarMaxWidth: 100,
+  scaleBarUnits: 'metric',
   selectedLocations: [],
+  simplification: 1,
   width: 600,
   zoomStep: 1.1,
+  zoomToFeatureOnDoubleClick: false,
+  zoomTransitionDuration: 750,
 };
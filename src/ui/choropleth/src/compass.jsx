@@ -0,0 +1,66 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+
+import { CommonPropTypes, PureComponent } from '../../../utils';
+
+import style from './overlays.css';
+
+export default class Compass extends PureComponent {
+  render() {
+    const { angle, className, size, x, y } = this.props;
+    const half = size / 2;
+
+    // arrow points up (north) before rotation; its northern half is filled
+    return (
+      <g
+        className={classNames(style.compass, className)}
+        style={this.props.style}
+        transform={`translate(${x}, ${y}) rotate(${angle})`}
+      >
+        <path
+          className={style['compass-north']}
+          d={`M0,${-half}L${size / 4},0H${-size / 4}Z`}
+        />
+        <path
+          className={style['compass-south']}
+          d={`M0,${half}L${size / 4},0H${-size / 4}Z`}
+        />
+        <text
+          className={style['compass-label']}
+          dy="-0.3em"
+          textAnchor="middle"
+          y={-half}
+        >
+          N
+        </text>
+      </g>
+    );
+  }
+}
+
+Compass.propTypes = {
+  /* degrees clockwise from up at which north lies */
+  angle: PropTypes.number,
+
+  /* classname applied to <g> containing compass */
+  className: CommonPropTypes.className,
+
+  /* px length of arrow */
+  size: PropTypes.number,
+
+  /* inline styles applied to <g> containing compass */
+  style: PropTypes.object,
+
+  /* px position of the center of the arrow */
+  x: PropTypes.number,
+
+  /* px position of the center of the arrow */
+  y: PropTypes.number,
+};
+
+Compass.defaultProps = {
+  angle: 0,
+  size: 24,
+  x: 0,
+  y: 0,
+};
@@ -1,15 +1,31 @@
 import React, { PropTypes } from 'react';
+import { geoPath } from 'd3';
 import {
   assign,
+  bindAll,
+  clamp,
+  every,
+  filter,
+  find,
   get as getValue,
+  identity,
   includes,
+  isEqual,
+  isFinite,
   findIndex,
+  keyBy,
   map,
+  memoize,
+  partition,
+  reduce,
   sortBy,
+  toString,
 } from 'lodash';
 
 import {
+  CommonDefaultProps,
   CommonPropTypes,
+  desaturate,
   propResolver,
   propsChanged,
   PureComponent,
@@ -18,39 +34,507 @@ import {
 
 import Path from './path';
 
+// keyCodes handled by keyboard navigation
+const KEY_CODES = {
+  END: 35,
+  HOME: 36,
+  LEFT: 37,
+  UP: 38,
+  RIGHT: 39,
+  DOWN: 40,
+};
+
+// unit vectors in screen space of arrow keys
+const DIRECTIONS = {
+  [KEY_CODES.LEFT]: [-1, 0],
+  [KEY_CODES.UP]: [0, -1],
+  [KEY_CODES.RIGHT]: [1, 0],
+  [KEY_CODES.DOWN]: [0, 1],
+};
+
+/**
+ * default measure of uncertainty: width of the interval relative to the value
+ * @param {Number} value
+ * @param {Number} lower
+ * @param {Number} upper
+ * @return {Number}
+ */
+function relativeIntervalWidth(value, lower, upper) {
+  return (upper - lower) / Math.abs(value);
+}
+
 export default class FeatureLayer extends PureComponent {
+  /**
+   * Resolve fill of a feature from its datum
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props
+   * @param {Function} props.colorScale - in bivariate mode, called with both values
+   * @param {Object} props.data - data keyed by keyField
+   * @param {String|Function} [props.lowerField] - if given, with upperField, fill is desaturated
+   *                                                by uncertainty, unless uncertaintyFill is given
+   * @param {String} [props.missingFill] - fill of features without a value
+   * @param {String|Function} [props.secondaryValueField] - if given, fill is bivariate
+   * @param {String} [props.uncertaintyFill] - see FeatureLayer.propTypes
+   * @param {Function} [props.uncertaintyScale] - see FeatureLayer.propTypes
+   * @param {String|Function} [props.upperField]
+   * @param {String|Function} props.valueField
+   * @return {String}
+   */
+  static getFill(feature, datum, {
+    colorScale,
+    data,
+    lowerField,
+    missingFill = '#ccc',
+    secondaryValueField,
+    uncertaintyFill,
+    uncertaintyScale,
+    upperField,
+    valueField,
+  }) {
+    const values = FeatureLayer.resolveValues(feature, datum, {
+      data,
+      secondaryValueField,
+      valueField,
+    });
+    if (!FeatureLayer.hasValues(values)) return missingFill;
+
+    const fill = colorScale(...values);
+    if (uncertaintyFill !== undefined) return fill;
+
+    const uncertainty = FeatureLayer.getUncertainty(feature, datum, {
+      data,
+      lowerField,
+      uncertaintyScale,
+      upperField,
+      valueField,
+    });
+    return uncertainty ? desaturate(fill, uncertainty) : fill;
+  }
+
+  /**
+   * Resolve the bounds of the uncertainty interval of a feature from its datum
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props
+   * @param {Object} props.data - data keyed by keyField
+   * @param {String|Function} [props.lowerField] - same form as valueField
+   * @param {String|Function} [props.upperField] - same form as valueField
+   * @return {Array|undefined} [lower, upper]; undefined if either field is not given
+   */
+  static resolveInterval(feature, datum, { data, lowerField, upperField }) {
+    if (lowerField === undefined || upperField === undefined) return undefined;
+    return [
+      FeatureLayer.resolveValue(feature, datum, { data, valueField: lowerField }),
+      FeatureLayer.resolveValue(feature, datum, { data, valueField: upperField }),
+    ];
+  }
+
+  /**
+   * Measure the uncertainty of the value of a feature, from 0 (certain) to 1 (most uncertain)
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props - see FeatureLayer.resolveInterval
+   * @param {Function} [props.uncertaintyScale] - see FeatureLayer.propTypes
+   * @param {String|Function} props.valueField
+   * @return {Number|null} null if the value or either bound is unknown
+   */
+  static getUncertainty(feature, datum, {
+    data,
+    lowerField,
+    uncertaintyScale = relativeIntervalWidth,
+    upperField,
+    valueField,
+  }) {
+    const interval = FeatureLayer.resolveInterval(feature, datum, { data, lowerField, upperField });
+    if (!interval) return null;
+
+    const value = FeatureLayer.resolveValue(feature, datum, { data, valueField });
+    if (!every([value, ...interval], isFinite)) return null;
+
+    const uncertainty = uncertaintyScale(value, ...interval);
+    return isNaN(uncertainty) ? null : clamp(uncertainty, 0, 1);
+  }
+
+  /**
+   * Resolve values of a feature from its datum: [value], or, in bivariate mode,
+   * [value, secondaryValue]
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props
+   * @param {Object} props.data - data keyed by keyField
+   * @param {String|Function} [props.secondaryValueField]
+   * @param {String|Function} props.valueField
+   * @return {Array}
+   */
+  static resolveValues(feature, datum, { data, secondaryValueField, valueField }) {
+    const value = FeatureLayer.resolveValue(feature, datum, { data, valueField });
+    if (secondaryValueField === undefined) return [value];
+    return [
+      value,
+      FeatureLayer.resolveValue(feature, datum, { data, valueField: secondaryValueField }),
+    ];
+  }
+
+  /**
+   * Whether values resolved by FeatureLayer.resolveValues are present; in bivariate mode,
+   * both values must be finite numbers, as 0 may be meaningful on either axis
+   * @param {Array} values
+   * @return {Boolean}
+   */
+  static hasValues(values) {
+    return values.length === 1 ? !!values[0] : every(values, isFinite);
+  }
+
+  /**
+   * Whether the values of a feature fall within a cell of a bivariate color scale
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Array} cell - [column, row]; see bivariateColorScale
+   * @param {Object} props - see FeatureLayer.propTypes
+   * @return {Boolean}
+   */
+  static isInCell(feature, datum, cell, { colorScale, data, secondaryValueField, valueField }) {
+    if (!cell || secondaryValueField === undefined || !colorScale.cell) return false;
+
+    const values = FeatureLayer.resolveValues(feature, datum, {
+      data,
+      secondaryValueField,
+      valueField,
+    });
+    return FeatureLayer.hasValues(values) && isEqual(colorScale.cell(...values), cell);
+  }
+
+  /**
+   * Resolve value of a feature from its datum
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props
+   * @param {Object} props.data - data keyed by keyField
+   * @param {String|Function} props.valueField
+   * @return {*}
+   */
+  static resolveValue(feature, datum, { data, valueField }) {
+    // if valueField is a function, call it with all data as well as current feature
+    // this enables being able to associate datum with features that don't necessarily map to
+    // those features' key.
+    // e.g., associate an administering location's datum with a disputed area feature:
+    //  - geometryKeyField: 'location_id'
+    //  - valueField: (data, feature) => data[feature.properties.admin_id]
+    // if valueField is a string, assume we just want to index into whatever datum resolves from data[geometryKey]
+    // TODO make difference in how valueField is applied more transparent
+    return typeof valueField === 'function'
+      ? valueField(data, feature)
+      : getValue(datum, valueField);
+  }
+
+  /**
+   * Accessible name of a feature, read by screen readers, e.g., 'Kenya: 42'
+   * @param {Object} feature - GeoJSON feature
+   * @param {Object} datum - datum associated with feature, if any
+   * @param {Object} props - see FeatureLayer.propTypes
+   * @return {String|undefined} undefined if feature has no label
+   */
+  static getAccessibleName(feature, datum, props) {
+    const { data, labelField, missingLabel, secondaryValueField, valueField, valueFormat } = props;
+    if (!labelField) return undefined;
+
+    const label = propResolver(feature, labelField);
+    if (label === undefined || label === null || label === '') return undefined;
+
+    const values = FeatureLayer.resolveValues(feature, datum, {
+      data,
+      secondaryValueField,
+      valueField,
+    });
+    return `${label}: ${FeatureLayer.hasValues(values)
+      ? map(values, value => valueFormat(value)).join(', ')
+      : missingLabel}`;
+  }
+
+  /**
+   * Move the feature of a geometry key to the end of an array of features,
+   * such that its path is rendered last (i.e., on top)
+   * @param {Array} features
+   * @param {String} key - geometry key, as a string
+   * @param {String|Function} geometryKeyField
+   * @return {Array} features, if no feature is of key
+   */
+  static raiseFeature(features, key, geometryKeyField) {
+    const index = findIndex(features, feature =>
+      toString(propResolver(feature, geometryKeyField)) === key
+    );
+    if (index === -1) return features;
+    return [...features.slice(0, index), ...features.slice(index + 1), features[index]];
+  }
+
+  /**
+   * Order in which features are traversed by keyboard, with the position of each in unzoomed
+   * (base) space, i.e., as projected, but not clipped, scaled, or translated by zoom;
+   * if focusOrder is not given, features are ordered geographically, top to bottom, left to right
+   * @param {Object} props - see FeatureLayer.propTypes
+   * @return {Array} [{ centroid, key }, ...]
+   */
+  static getKeyboardOrder({ features, focusOrder, geometryKeyField, projection }) {
+    const centroidOf = geoPath().projection(projection || null).centroid;
+    const items = reduce(features, (acc, feature) => {
+      const key = toString(propResolver(feature, geometryKeyField));
+      if (!key) return acc;
+
+      acc.push({ centroid: centroidOf(feature), key });
+      return acc;
+    }, []);
+
+    if (focusOrder) {
+      const itemsByKey = keyBy(items, 'key');
+      return reduce(focusOrder, (acc, key) => {
+        const item = itemsByKey[toString(key)];
+        if (item) acc.push(item);
+        return acc;
+      }, []);
+    }
+
+    // features that cannot be projected (e.g., on the far side of a globe) cannot be positioned
+    return sortBy(
+      items.filter(({ centroid }) => isFinite(centroid[0]) && isFinite(centroid[1])),
+      [({ centroid }) => centroid[1], ({ centroid }) => centroid[0]]
+    );
+  }
+
+  /**
+   * Key of the feature to which focus moves from a feature on a key press;
+   * if geographic, arrow keys move to the nearest feature in their direction,
+   * otherwise to the previous (left, up) or next (right, down) feature in keyboard order
+   * @param {Array} keyboardOrder - as returned by FeatureLayer.getKeyboardOrder
+   * @param {String} key - geometry key of currently focused feature
+   * @param {Number} keyCode
+   * @param {Boolean} geographic
+   * @return {String|undefined} undefined if focus should not move
+   */
+  static getNeighbor(keyboardOrder, key, keyCode, geographic) {
+    if (!keyboardOrder.length) return undefined;
+    if (keyCode === KEY_CODES.HOME) return keyboardOrder[0].key;
+    if (keyCode === KEY_CODES.END) return keyboardOrder[keyboardOrder.length - 1].key;
+
+    const direction = DIRECTIONS[keyCode];
+    const index = findIndex(keyboardOrder, { key });
+    if (!direction || index === -1) return undefined;
+
+    if (!geographic) {
+      const step = direction[0] + direction[1];
+      const neighbor = keyboardOrder[index + step];
+      return neighbor && neighbor.key;
+    }
+
+    // zoom scales every distance between centroids alike, so the nearest feature in base space
+    // is the nearest on screen.
+    // favor features straight ahead over those closer, but off to the side
+    const [x, y] = keyboardOrder[index].centroid;
+    const nearest = reduce(keyboardOrder, (acc, item) => {
+      const dx = item.centroid[0] - x;
+      const dy = item.centroid[1] - y;
+      const along = (dx * direction[0]) + (dy * direction[1]);
+      if (along <= 0) return acc;
+
+      const across = Math.abs((dx * direction[1]) - (dy * direction[0]));
+      const distance = along + (2 * across);
+      return !acc || distance < acc.distance ? { distance, key: item.key } : acc;
+    }, null);
+
+    return nearest ? nearest.key : undefined;
+  }
+
   constructor(props) {
     super(props);
 
-    this.state = stateFromPropUpdates(FeatureLayer.propUpdates, {}, props, {});
+    this.state = stateFromPropUpdates(FeatureLayer.propUpdates, {}, props, {
+      focusedKey: null,
+      hoveredKey: null,
+      tabStopKey: null,
+    });
+
+    this._paths = {};
+
+    // one ref callback per geometry key, so that paths are not re-rendered for new callbacks
+    this.pathRef = memoize((key) => (ref) => {
+      this._paths[key] = ref;
+    });
+
+    bindAll(this, [
+      'onBlur',
+      'onFocus',
+      'onKeyDown',
+      'onMouseLeave',
+      'onMouseOver',
+    ]);
   }
 
   componentWillReceiveProps(nextProps) {
     this.setState(stateFromPropUpdates(FeatureLayer.propUpdates, this.props, nextProps, {}));
   }
 
+  onBlur(event, datum, path) {
+    this.setState({ focusedKey: null });
+    this.props.onBlur(event, datum, path);
+  }
+
+  onFocus(event, datum, path) {
+    const key = toString(propResolver(path.props.feature, this.props.geometryKeyField));
+    this.setState({ focusedKey: key, tabStopKey: key });
+    this.props.onFocus(event, datum, path);
+  }
+
+  onKeyDown(event, datum, path) {
+    const key = toString(propResolver(path.props.feature, this.props.geometryKeyField));
+    const neighborKey = FeatureLayer.getNeighbor(
+      this.state.keyboardOrder,
+      key,
+      event.keyCode,
+      !this.props.focusOrder
+    );
+    if (neighborKey === undefined) return;
+
+    event.preventDefault();
+    this.setState({ tabStopKey: neighborKey });
+    if (this._paths[neighborKey]) this._paths[neighborKey].focus();
+  }
+
+  onMouseLeave(event, datum, path) {
+    this.setState({ hoveredKey: null });
+    this.props.onMouseLeave(event, datum, path);
+  }
+
+  onMouseOver(event, datum, path) {
+    this.setState({
+      hoveredKey: toString(propResolver(path.props.feature, this.props.geometryKeyField)),
+    });
+    this.props.onMouseOver(event, datum, path);
+  }
+
+  /**
+   * Key of the highlighted feature: props.focusKey or that of props.focus, if given,
+   * otherwise that hovered
+   * @return {String|null}
+   */
+  getHighlightedKey() {
+    const { focus, focusKey, keyField } = this.props;
+    if (focusKey !== undefined) return focusKey === null ? null : toString(focusKey);
+    if (focus === undefined) return this.state.hoveredKey;
+    return focus ? toString(propResolver(focus, keyField)) : null;
+  }
+
+  /**
+   * Key of the one feature reachable with Tab (a "roving" tabindex);
+   * the others are reached with arrow keys
+   * @return {String|undefined}
+   */
+  getTabStopKey() {
+    const { keyboardOrder, tabStopKey } = this.state;
+    if (tabStopKey !== null && find(keyboardOrder, { key: tabStopKey })) return tabStopKey;
+    return keyboardOrder.length ? keyboardOrder[0].key : undefined;
+  }
+
+  /**
+   * Whether a feature falls within props.highlightedCell of a bivariate color scale
+   * @param {Object} feature - GeoJSON feature
+   * @return {Boolean}
+   */
+  isInHighlightedCell(feature) {
+    const { data, geometryKeyField, highlightedCell } = this.props;
+    if (!highlightedCell) return false;
+
+    const datum = getValue(data, [propResolver(feature, geometryKeyField)]);
+    return FeatureLayer.isInCell(feature, datum, highlightedCell, this.props);
+  }
+
+  /**
+   * Overlay uncertainty fill on features of uncertainty at or above uncertaintyThreshold
+   * @param {Array} features - GeoJSON features
+   * @return {ReactElement|null}
+   */
+  renderUncertaintyOverlay(features) {
+    const { data, geometryKeyField, pathGenerator, uncertaintyFill, uncertaintyThreshold } =
+      this.props;
+    if (uncertaintyFill === undefined) return null;
+
+    const uncertainFeatures = filter(features, (feature) => {
+      const datum = getValue(data, [propResolver(feature, geometryKeyField)]);
+      return FeatureLayer.getUncertainty(feature, datum, this.props) >= uncertaintyThreshold;
+    });
+
+    // overlay is not interactive, so that events reach the paths beneath it
+    return (
+      <g pointerEvents="none">
+        {map(uncertainFeatures, feature => (
+          <path
+            d={pathGenerator(feature)}
+            fill={uncertaintyFill}
+            key={propResolver(feature, geometryKeyField)}
+          />
+        ))}
+      </g>
+    );
+  }
+
   render() {
     const {
       colorScale,
       data,
+      focusable,
       geometryKeyField,
+      highlightedCell,
+      labelField,
+      lowerField,
+      missingFill,
+      missingLabel,
       onClick,
+      onDoubleClick,
       onMouseLeave,
       onMouseMove,
       onMouseOver,
       pathGenerator,
       pathClassName,
+      pathFocusedClassName,
+      pathFocusedStyle,
+      pathHoverClassName,
+      pathHoverStyle,
       pathSelectedClassName,
       pathSelectedStyle,
       pathStyle,
+      secondaryValueField,
       selectedLocations,
+      transitionDuration,
+      transitionEase,
+      uncertaintyFill,
+      uncertaintyScale,
+      upperField,
       valueField,
+      valueFormat,
     } = this.props;
+    const { focusedKey, sortedFeatures } = this.state;
+
+    // hover is only tracked if highlighted
+    const trackHover = !!(pathHoverClassName || pathHoverStyle);
+    const highlightedKey = this.getHighlightedKey();
+
+    // render features of the highlighted cell, then the highlighted feature, last,
+    // as selected features are
+    const raisedFeatures = highlightedCell
+      ? [].concat(...partition(sortedFeatures, feature => !this.isInHighlightedCell(feature)))
+      : sortedFeatures;
+    const features = highlightedKey === null
+      ? raisedFeatures
+      : FeatureLayer.raiseFeature(raisedFeatures, highlightedKey, geometryKeyField);
+    const tabStopKey = focusable ? this.getTabStopKey() : undefined;
+    const getTabIndex = (key) => {
+      if (!focusable) return undefined;
+      return key === tabStopKey ? 0 : -1;
+    };
 
     return (
       <g>
         {
-          map(this.state.sortedFeatures, (feature) => {
+          map(features, (feature) => {
             const geometryKey = propResolver(feature, geometryKeyField);
 
             // if geometryKey didn't resolve to anything, return null
@@ -58,48 +542,86 @@ export default class FeatureLayer extends PureComponent {
 
 
             const datum = getValue(data, [geometryKey]);
-
-            // if valueField is a function, call it with all data as well as current feature
-            // this enables being able to associate datum with features that don't necessarily map to
-            // those features' key.
-            // e.g., associate an administering location's datum with a disputed area feature:
-            //  - geometryKeyField: 'location_id'
-            //  - valueField: (data, feature) => data[feature.properties.admin_id]
-            // if valueField is a string, assume we just want to index into whatever datum resolves from data[geometryKey]
-            // TODO make difference in how valueField is applied more transparent
-            const value = typeof valueField === 'function'
-              ? valueField(data, feature)
-              : getValue(datum, valueField);
-
-            const fill = value ? colorScale(value) : '#ccc';
+            const fill = FeatureLayer.getFill(feature, datum, {
+              colorScale,
+              data,
+              lowerField,
+              missingFill,
+              secondaryValueField,
+              uncertaintyFill,
+              uncertaintyScale,
+              upperField,
+              valueField,
+            });
+            const values = FeatureLayer.resolveValues(feature, datum, {
+              data,
+              secondaryValueField,
+              valueField,
+            });
+            const [lower, upper] = FeatureLayer.resolveInterval(feature, datum, {
+              data,
+              lowerField,
+              upperField,
+            }) || [];
+            const key = toString(geometryKey);
 
             return (
               <Path
+                ariaLabel={focusable ? FeatureLayer.getAccessibleName(feature, datum, {
+                  data,
+                  labelField,
+                  missingLabel,
+                  secondaryValueField,
+                  valueField,
+                  valueFormat,
+                }) : undefined}
                 className={pathClassName}
                 datum={datum}
                 key={geometryKey}
                 feature={feature}
                 fill={fill}
+                focused={key === focusedKey}
+                focusedClassName={pathFocusedClassName}
+                focusedStyle={pathFocusedStyle}
+                hoverClassName={pathHoverClassName}
+                hovered={key === highlightedKey
+                  || FeatureLayer.isInCell(feature, datum, highlightedCell, this.props)}
+                hoverStyle={pathHoverStyle}
+                lower={lower}
+                missing={!FeatureLayer.hasValues(values)}
+                onBlur={focusable ? this.onBlur : undefined}
                 onClick={onClick}
-                onMouseLeave={onMouseLeave}
+                onDoubleClick={onDoubleClick}
+                onFocus={focusable ? this.onFocus : undefined}
+                onKeyDown={focusable ? this.onKeyDown : undefined}
+                onMouseLeave={trackHover ? this.onMouseLeave : onMouseLeave}
                 onMouseMove={onMouseMove}
-                onMouseOver={onMouseOver}
+                onMouseOver={trackHover ? this.onMouseOver : onMouseOver}
                 pathGenerator={pathGenerator}
+                ref={focusable ? this.pathRef(key) : undefined}
                 selected={includes(selectedLocations, datum)}
                 selectedClassName={pathSelectedClassName}
                 selectedStyle={pathSelectedStyle}
                 style={pathStyle}
+                tabIndex={getTabIndex(key)}
+                transitionDuration={transitionDuration}
+                transitionEase={transitionEase}
+                upper={upper}
               />
             );
           })
         }
+        {this.renderUncertaintyOverlay(features)}
       </g>
     );
   }
 }
 
 FeatureLayer.propTypes = {
-  /* fn that accepts keyfield, and returns fill color for Path */
+  /*
+   fn that accepts a value, and returns fill color for Path;
+   in bivariate mode (see secondaryValueField), accepts both values
+   */
   colorScale: PropTypes.func.isRequired,
 
   /*
@@ -112,6 +634,37 @@ FeatureLayer.propTypes = {
   /* array of geoJSON feature objects, e.g.: [{ geometry: [Object], properties: [Object] }] */
   features: PropTypes.arrayOf(PropTypes.object).isRequired,
 
+  /*
+   datum of the feature to highlight with hover styles, e.g., that of a location hovered elsewhere;
+   if given (including as null), overrides highlighting of the hovered feature
+   */
+  focus: PropTypes.object,
+
+  /*
+   whether features may be focused and traversed by keyboard, and are exposed to screen readers;
+   Tab moves focus into (and out of) the layer, arrow keys between features,
+   Home and End to the first and last features, and Enter or space select (i.e., call onClick)
+   */
+  focusable: PropTypes.bool,
+
+  /*
+   geometry key of the feature to highlight as focus does, whether or not it has a datum;
+   if given (including as null), takes precedence over focus
+   */
+  focusKey: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ]),
+
+  /*
+   array of geometry keys in the order in which features are traversed by arrow keys;
+   if omitted, arrow keys move to the nearest feature in their direction
+   */
+  focusOrder: PropTypes.arrayOf(PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ])),
+
   /*
     uniquely identifying field of geometry objects
     if a function, will be called with the geometry object as first parameter
@@ -122,6 +675,12 @@ FeatureLayer.propTypes = {
     PropTypes.func, // if a function, is called with current feature as arg
   ]).isRequired,
 
+  /*
+   [column, row] of a bivariate color scale (see bivariateColorScale) whose features
+   are highlighted with hover styles, e.g., the cell hovered in a <BivariateLegend />
+   */
+  highlightedCell: PropTypes.arrayOf(PropTypes.number),
+
   /*
    unique key of datum
    if a function, will be called with the datum object as first parameter
@@ -131,9 +690,45 @@ FeatureLayer.propTypes = {
     PropTypes.func,
   ]).isRequired,
 
+  /*
+   label of each feature, from which (along with its value) its accessible name is derived;
+   if a string, used as property access on the feature (e.g., 'properties.name');
+   if a function, called with feature as first parameter
+   */
+  labelField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /*
+   key of datum that holds the lower bound of the uncertainty interval of its value;
+   if given, along with upperField, features are desaturated by uncertainty
+   (or overlaid with uncertaintyFill), and each path is passed its interval;
+   same form as valueField
+  */
+  lowerField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* fill of features without a value; may refer to a pattern, e.g., 'url(#missing)' */
+  missingFill: PropTypes.string,
+
+  /* read in place of the value of features without a value */
+  missingLabel: PropTypes.string,
+
+  /* called when a path loses keyboard focus; signature: function(event, datum, Path) {...} */
+  onBlur: PropTypes.func,
+
   /* passed to each path; signature: function(event, datum, Path) {...} */
   onClick: PropTypes.func,
 
+  /* passed to each path; signature: function(event, datum, Path) {...} */
+  onDoubleClick: PropTypes.func,
+
+  /* called when a path receives keyboard focus; signature: function(event, datum, Path) {...} */
+  onFocus: PropTypes.func,
+
   /* passed to each path; signature: function(event, datum, Path) {...} */
   onMouseLeave: PropTypes.func,
 
@@ -145,6 +740,20 @@ FeatureLayer.propTypes = {
 
   pathClassName: CommonPropTypes.className,
 
+  pathFocusedClassName: CommonPropTypes.className,
+
+  /* focused style object or function to pass to each path; if a function, receives feature as arg */
+  pathFocusedStyle: CommonPropTypes.style,
+
+  /* applied to the hovered path; if given (or pathHoverStyle is), hovered paths are highlighted */
+  pathHoverClassName: CommonPropTypes.className,
+
+  /*
+   hover style object or function to pass to each path; if a function, receives feature as arg;
+   if given (or pathHoverClassName is), the hovered path is highlighted and rendered on top
+   */
+  pathHoverStyle: CommonPropTypes.style,
+
   /* function to generate `d` attribute of <path> elements */
   pathGenerator: PropTypes.func.isRequired,
 
@@ -156,9 +765,52 @@ FeatureLayer.propTypes = {
   /* base style object or function to pass to each path; if a function, receives feature as arg */
   pathStyle: CommonPropTypes.style,
 
+  /*
+    d3 projection with which features are drawn, prior to zoom (see Choropleth.resolveProjection);
+    positions features in keyboard order. null if features are preprojected
+  */
+  projection: PropTypes.func,
+
+  /*
+    key of datum that holds a second value; if given, fill is bivariate,
+    i.e., colorScale is called with both values (see bivariateColorScale);
+    same form as valueField
+  */
+  secondaryValueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* array of data */
   selectedLocations: PropTypes.arrayOf(PropTypes.object),
 
+  /* duration, in ms, over which paths animate changes of fill; see <Path /> */
+  transitionDuration: PropTypes.number,
+
+  /* easing of animated changes of fill; see <Path /> */
+  transitionEase: PropTypes.func,
+
+  /*
+   fill (e.g., 'url(#uncertain)') overlaid on features of uncertainty at or above
+   uncertaintyThreshold, in lieu of desaturating them; see lowerField
+  */
+  uncertaintyFill: PropTypes.string,
+
+  /*
+   fn that accepts value, lower, and upper, and returns uncertainty, in [0, 1];
+   defaults to the width of the interval relative to the value
+  */
+  uncertaintyScale: PropTypes.func,
+
+  /* uncertainty at or above which features are overlaid with uncertaintyFill */
+  uncertaintyThreshold: PropTypes.number,
+
+  /* key of datum that holds the upper bound of its value; see lowerField */
+  upperField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /*
     key of datum that holds the value to display
     if a string, used as property access for data[feature[geometryKeyField]][valueField]
@@ -168,13 +820,43 @@ FeatureLayer.propTypes = {
     PropTypes.string,
     PropTypes.func,
   ]).isRequired,
+
+  /* fn that accepts a value, and returns it formatted for its feature's accessible name */
+  valueFormat: PropTypes.func,
 };
 
 FeatureLayer.defaultProps = {
+  focusable: false,
+  missingFill: '#ccc',
+  missingLabel: 'no data',
+  onBlur: CommonDefaultProps.noop,
+  onFocus: CommonDefaultProps.noop,
+  onMouseLeave: CommonDefaultProps.noop,
+  onMouseOver: CommonDefaultProps.noop,
+  projection: null,
   selectedLocations: [],
+  uncertaintyThreshold: 0.5,
+  valueFormat: identity,
 };
 
 FeatureLayer.propUpdates = {
+  // centroids are in unzoomed space, so are not recalculated as the map is zoomed or panned;
+  // features out of view keep their place in keyboard order
+  keyboardOrder: (accum, key, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, [
+      'features',
+      'focusable',
+      'focusOrder',
+      'geometryKeyField',
+      'projection',
+    ])) {
+      return accum;
+    }
+    return assign(accum, {
+      keyboardOrder: nextProps.focusable ? FeatureLayer.getKeyboardOrder(nextProps) : [],
+    });
+  },
+
   sortedFeatures: (accum, key, prevProps, nextProps) => {
     /* eslint-disable max-len, eqeqeq */
     if (!propsChanged(prevProps, nextProps, ['selectedLocations', 'features'])) return accum;
@@ -0,0 +1,63 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+
+import { CommonPropTypes, PureComponent } from '../../../utils';
+
+import style from './inset.css';
+
+export default class Inset extends PureComponent {
+  render() {
+    const { className, height, name, width, x, y } = this.props;
+
+    // data-inset marks nodes within the inset, which are not zoomable (see Choropleth#zoomFilter)
+    return (
+      <svg
+        className={classNames(style.inset, className)}
+        data-inset={name}
+        height={height}
+        onMouseEnter={this.props.onMouseEnter}
+        overflow="hidden"
+        width={width}
+        x={x}
+        y={y}
+      >
+        <rect
+          className={style['inset-frame']}
+          height={height}
+          style={this.props.style}
+          width={width}
+        />
+        {this.props.children}
+      </svg>
+    );
+  }
+}
+
+Inset.propTypes = {
+  /* layers drawn within the frame, e.g., <FeatureLayer /> */
+  children: CommonPropTypes.children,
+
+  /* classname applied to frame */
+  className: CommonPropTypes.className,
+
+  /* px height of frame */
+  height: PropTypes.number.isRequired,
+
+  /* unique name of inset */
+  name: PropTypes.string.isRequired,
+
+  /* signature: function(event) {...} */
+  onMouseEnter: PropTypes.func,
+
+  /* inline styles applied to frame */
+  style: PropTypes.object,
+
+  /* px width of frame */
+  width: PropTypes.number.isRequired,
+
+  /* px position of frame within the map */
+  x: PropTypes.number.isRequired,
+
+  /* px position of frame within the map */
+  y: PropTypes.number.isRequired,
+};
@@ -0,0 +1,239 @@
+import React, { PropTypes } from 'react';
+import { geoPath } from 'd3';
+import { assign, forEach, maxBy, some, sortBy } from 'lodash';
+
+import {
+  CommonPropTypes,
+  poleOfInaccessibility,
+  propResolver,
+  propsChanged,
+  PureComponent,
+  stateFromPropUpdates,
+} from '../../../utils';
+
+// approximate ratio of average glyph width to font size;
+// used to estimate the extent of labels for collision detection
+const CHARACTER_WIDTH_RATIO = 0.6;
+
+/**
+ * @param {Array} ring -> array of [x, y] points
+ * @return {Number} absolute planar area of ring
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return Math.abs(area / 2);
+}
+
+export default class LabelLayer extends PureComponent {
+  /**
+   * Compute the point at which to anchor the label of a feature, in unzoomed (base) space
+   * @param {Object} feature - GeoJSON feature
+   * @param {String} placement - 'centroid' or 'pole'
+   * @param {Function} path - d3 geoPath of base space
+   * @param {Function} [projection] - d3 projection, if geometry is unprojected
+   * @return {Array} [x, y]
+   */
+  static getAnchor(feature, placement, path, projection) {
+    const { type, coordinates } = feature.geometry || {};
+    if (placement !== 'pole' || (type !== 'Polygon' && type !== 'MultiPolygon')) {
+      return path.centroid(feature);
+    }
+
+    // label the largest polygon of a multipolygon (e.g., the mainland rather than its islands)
+    const polygon = type === 'Polygon'
+      ? coordinates
+      : maxBy(coordinates, rings => ringArea(rings[0]));
+    const pole = poleOfInaccessibility(polygon);
+
+    // points outside of the domain of some projections (e.g., albersUsa) project to null
+    const anchor = projection ? projection(pole) : pole;
+    return anchor || path.centroid(feature);
+  }
+
+  /**
+   * Resolve text, anchor point, and area of each labeled feature, in unzoomed (base) space;
+   * sorted by descending area so that larger features claim space for their labels first
+   * @param {Object} props
+   * @return {Array} [{ anchor, area, feature, key, text }, ...]
+   */
+  static getLabels({ features, geometryKeyField, labelField, placement, projection }) {
+    const path = geoPath().projection(projection || null);
+
+    const labels = features.reduce((acc, feature, index) => {
+      const text = propResolver(feature, labelField);
+      if (text === undefined || text === null || text === '') return acc;
+
+      const anchor = LabelLayer.getAnchor(feature, placement, path, projection);
+      if (!anchor || !isFinite(anchor[0]) || !isFinite(anchor[1])) return acc;
+
+      acc.push({
+        anchor,
+        area: path.area(feature),
+        feature,
+        key: propResolver(feature, geometryKeyField) || index,
+        text: String(text),
+      });
+      return acc;
+    }, []);
+
+    return sortBy(labels, label => -label.area);
+  }
+
+  /**
+   * Compute inline-style of a label
+   * @param {Object} feature
+   * @param {Number} fontSize
+   * @param {Object|Function} style
+   * @return {Object}
+   */
+  static getStyle(feature, fontSize, style) {
+    const computedStyle = typeof style === 'function' ? style(feature) : style;
+    return assign({ fontSize: `${fontSize}px` }, computedStyle);
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.state = stateFromPropUpdates(LabelLayer.propUpdates, {}, props, {});
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(stateFromPropUpdates(LabelLayer.propUpdates, this.props, nextProps, {}));
+  }
+
+  render() {
+    const {
+      className,
+      fontSize,
+      height,
+      minArea,
+      padding,
+      scale,
+      style,
+      translate,
+      width,
+    } = this.props;
+
+    // bounding boxes of labels placed so far
+    const placed = [];
+    const labels = [];
+
+    forEach(this.state.labels, ({ anchor, area, feature, key, text }) => {
+      // hide labels of features that are too small at the current zoom
+      if (area * scale * scale < minArea) return;
+
+      const x = (anchor[0] * scale) + translate[0];
+      const y = (anchor[1] * scale) + translate[1];
+      if (x < 0 || x > width || y < 0 || y > height) return;
+
+      const halfWidth = ((text.length * fontSize * CHARACTER_WIDTH_RATIO) / 2) + padding;
+      const halfHeight = (fontSize / 2) + padding;
+      const box = [x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight];
+
+      // hide labels that would overlap those of larger features
+      if (some(placed, other =>
+        box[0] < other[2] && box[2] > other[0] && box[1] < other[3] && box[3] > other[1]
+      )) return;
+
+      placed.push(box);
+      labels.push(
+        <text
+          dy="0.35em"
+          key={key}
+          style={LabelLayer.getStyle(feature, fontSize, style)}
+          textAnchor="middle"
+          x={x}
+          y={y}
+        >
+          {text}
+        </text>
+      );
+    });
+
+    return (
+      <g className={className} style={{ pointerEvents: 'none' }}>
+        {labels}
+      </g>
+    );
+  }
+}
+
+LabelLayer.propTypes = {
+  /* classname applied to <g> containing labels */
+  className: CommonPropTypes.className,
+
+  /* array of geoJSON feature objects, e.g.: [{ geometry: [Object], properties: [Object] }] */
+  features: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /* px font size of labels; also used to estimate label extent for collision detection */
+  fontSize: PropTypes.number,
+
+  /* uniquely identifying field of geometry objects; see <FeatureLayer /> */
+  geometryKeyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* px height of map; labels anchored outside of the map are not rendered */
+  height: PropTypes.number.isRequired,
+
+  /*
+   text of label
+   if a string, used as property access on feature (e.g., 'properties.name')
+   if a function, called with feature as first parameter
+   */
+  labelField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* minimum px^2 area at which a feature is labeled */
+  minArea: PropTypes.number,
+
+  /* px of space kept clear around each label */
+  padding: PropTypes.number,
+
+  /*
+   where to anchor labels
+   'centroid': center of mass of feature
+   'pole': pole of inaccessibility of the feature's largest polygon;
+     slower to compute, but always inside the feature (e.g., for concave shapes)
+   */
+  placement: PropTypes.oneOf(['centroid', 'pole']),
+
+  /* d3 projection, if features are unprojected; see <Choropleth /> */
+  projection: PropTypes.func,
+
+  /* zoom scale applied to (projected) features */
+  scale: PropTypes.number.isRequired,
+
+  /* style object or function applied to each label; if a function, receives feature as arg */
+  style: CommonPropTypes.style,
+
+  /* zoom translate applied to (projected) features */
+  translate: PropTypes.arrayOf(PropTypes.number).isRequired,
+
+  /* px width of map; labels anchored outside of the map are not rendered */
+  width: PropTypes.number.isRequired,
+};
+
+LabelLayer.defaultProps = {
+  fontSize: 11,
+  minArea: 400,
+  padding: 2,
+  placement: 'centroid',
+  projection: null,
+};
+
+LabelLayer.propUpdates = {
+  labels: (accum, key, prevProps, nextProps) => {
+    const labelProps = ['features', 'geometryKeyField', 'labelField', 'placement', 'projection'];
+    if (!propsChanged(prevProps, nextProps, labelProps)) return accum;
+    return assign(accum, {
+      labels: LabelLayer.getLabels(nextProps),
+    });
+  },
+};
@@ -0,0 +1,157 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+import { drag, event as d3Event, select } from 'd3';
+import { assign, bindAll } from 'lodash';
+
+import {
+  CommonDefaultProps,
+  CommonPropTypes,
+  propsChanged,
+  PureComponent,
+  stateFromPropUpdates,
+} from '../../../utils';
+
+import style from './minimap.css';
+
+export default class Minimap extends PureComponent {
+  /**
+   * Outline, in minimap space, of the part of the map currently in view
+   * @param {Object} props
+   * @param {Number} props.mapHeight - px height of map
+   * @param {Number} props.mapWidth - px width of map
+   * @param {Number} props.scale - scale at which geometry fits within minimap
+   * @param {Array} props.translate - translate at which geometry is centered within minimap
+   * @param {Object} props.transform - zoom transform of map, i.e., { k, x, y }
+   * @return {Object} { x, y, width, height }
+   */
+  static getViewportRect({ mapHeight, mapWidth, scale, translate, transform }) {
+    // map (screen) space -> unzoomed (base) space -> minimap space
+    return {
+      x: ((-transform.x / transform.k) * scale) + translate[0],
+      y: ((-transform.y / transform.k) * scale) + translate[1],
+      width: (mapWidth / transform.k) * scale,
+      height: (mapHeight / transform.k) * scale,
+    };
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.state = stateFromPropUpdates(Minimap.propUpdates, {}, props, {});
+
+    bindAll(this, [
+      'onDrag',
+      'viewportRef',
+    ]);
+  }
+
+  componentDidMount() {
+    if (this._viewport) {
+      select(this._viewport).call(drag().on('drag', this.onDrag));
+    }
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(stateFromPropUpdates(Minimap.propUpdates, this.props, nextProps, {}));
+  }
+
+  componentWillUnmount() {
+    if (this._viewport) select(this._viewport).on('.drag', null);
+  }
+
+  // px offset of drag, in minimap space
+  onDrag() {
+    this.props.onPan(d3Event.dx, d3Event.dy);
+  }
+
+  viewportRef(ref) {
+    this._viewport = ref;
+  }
+
+  render() {
+    const { className, height, viewportStyle, width } = this.props;
+    const viewport = Minimap.getViewportRect(this.props);
+
+    return (
+      <svg
+        className={classNames(style.minimap, className)}
+        height={height}
+        style={this.props.style}
+        width={width}
+      >
+        <path className={style.geometry} d={this.state.path} />
+        <rect
+          className={style.viewport}
+          height={viewport.height}
+          ref={this.viewportRef}
+          style={viewportStyle}
+          width={viewport.width}
+          x={viewport.x}
+          y={viewport.y}
+        />
+      </svg>
+    );
+  }
+}
+
+Minimap.propTypes = {
+  /* classname applied to minimap */
+  className: CommonPropTypes.className,
+
+  /* array of GeoJSON features, drawn in full */
+  features: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /* px height of minimap */
+  height: PropTypes.number.isRequired,
+
+  /* px height of map */
+  mapHeight: PropTypes.number.isRequired,
+
+  /* px width of map */
+  mapWidth: PropTypes.number.isRequired,
+
+  /*
+   called as the viewport is dragged, with the px offset of the drag in minimap space;
+   signature: function(dx, dy) {...}
+   */
+  onPan: PropTypes.func,
+
+  /* function to generate `d` attribute of geometry, fitting features within the minimap */
+  pathGenerator: PropTypes.func.isRequired,
+
+  /* scale at which (projected) features fit within minimap; see pathGenerator */
+  scale: PropTypes.number.isRequired,
+
+  /* inline styles applied to minimap */
+  style: PropTypes.object,
+
+  /* zoom transform of map, i.e., { k, x, y } */
+  transform: PropTypes.shape({
+    k: PropTypes.number,
+    x: PropTypes.number,
+    y: PropTypes.number,
+  }).isRequired,
+
+  /* translate at which (projected) features are centered within minimap; see pathGenerator */
+  translate: PropTypes.arrayOf(PropTypes.number).isRequired,
+
+  /* inline styles applied to the outline of the viewport */
+  viewportStyle: PropTypes.object,
+
+  /* px width of minimap */
+  width: PropTypes.number.isRequired,
+};
+
+Minimap.defaultProps = {
+  onPan: CommonDefaultProps.noop,
+};
+
+Minimap.propUpdates = {
+  // geometry is unchanged by zoom
+  path: (accum, key, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['features', 'pathGenerator'])) return accum;
+    return assign(accum, {
+      path: nextProps.pathGenerator({ type: 'FeatureCollection', features: nextProps.features }),
+    });
+  },
+};
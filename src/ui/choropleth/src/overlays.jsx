@@ -0,0 +1,176 @@
+import React, { PropTypes } from 'react';
+import { geoDistance } from 'd3';
+import { forEach, get as getValue, has } from 'lodash';
+
+import { CommonPropTypes, getProjection, PureComponent } from '../../../utils';
+
+import Compass from './compass';
+import ScaleBar from './scale-bar';
+
+// mean radius of the earth, in meters
+const EARTH_RADIUS = 6371008.8;
+
+// px width over which ground distance is measured, centered on the middle of the map
+const MEASURE_SAMPLE_WIDTH = 100;
+
+// degrees of latitude north of the middle of the map toward which the compass points
+const NORTH_OFFSET = 0.1;
+
+// px margin between the edge of the map and the scale bar or compass
+const OVERLAY_MARGIN = 16;
+
+export default class Overlays extends PureComponent {
+  /**
+   * Resolve how ground distance is measured in unzoomed (base) space:
+   * by inverting the projection with which geometry is rendered,
+   * or, if geometry is preprojected, from metadata on the topology (see Choropleth.propTypes.topology)
+   * @param {Object|null} projection - d3 projection, as returned by Choropleth.resolveProjection
+   * @param {Object} [topology]
+   * @return {Object|null} { projection } or { metersPerUnit }; null if distance is unknown
+   */
+  static resolveMeasure(projection, topology) {
+    if (projection) return projection.invert ? { projection } : null;
+
+    const metadata = getValue(topology, 'projection');
+    if (!metadata) return null;
+    if (metadata.metersPerUnit > 0) return { metersPerUnit: metadata.metersPerUnit };
+
+    const projectionFactory = getProjection(metadata.type);
+    if (!projectionFactory) return null;
+
+    // projection with which topology was preprojected
+    const described = projectionFactory();
+    forEach(['center', 'parallels', 'rotate', 'scale', 'translate'], (param) => {
+      if (has(metadata, param) && described[param]) described[param](metadata[param]);
+    });
+    return { projection: described };
+  }
+
+  /**
+   * Measure ground distance and the direction of north at a point on the map
+   * @param {Object|null} measure - as returned by Overlays.resolveMeasure
+   * @param {Number} scale - zoom scale
+   * @param {Array} translate - zoom translate
+   * @param {Array} point - px [x, y]
+   * @return {Object|null} { metersPerPixel, northAngle }, where northAngle is degrees clockwise
+   *                       from up; null if point cannot be measured (e.g., it lies outside of
+   *                       the domain of the projection)
+   */
+  static measureAt(measure, scale, translate, point) {
+    if (!measure) return null;
+    if (measure.metersPerUnit) {
+      return { metersPerPixel: measure.metersPerUnit / scale, northAngle: 0 };
+    }
+
+    // screen space -> unzoomed (base) space -> longitude and latitude
+    const { projection } = measure;
+    const invert = ([x, y]) => projection.invert([
+      (x - translate[0]) / scale,
+      (y - translate[1]) / scale,
+    ]);
+    const halfWidth = MEASURE_SAMPLE_WIDTH / 2;
+    const west = invert([point[0] - halfWidth, point[1]]);
+    const east = invert([point[0] + halfWidth, point[1]]);
+    const center = invert(point);
+    if (!west || !east || !center) return null;
+
+    const origin = projection(center);
+    const north = projection([center[0], Math.min(center[1] + NORTH_OFFSET, 90)]);
+    if (!origin || !north) return null;
+
+    const metersPerPixel = (geoDistance(west, east) * EARTH_RADIUS) / MEASURE_SAMPLE_WIDTH;
+    const northAngle = (Math.atan2(north[0] - origin[0], origin[1] - north[1]) * 180) / Math.PI;
+    if (!isFinite(metersPerPixel) || !isFinite(northAngle)) return null;
+
+    return { metersPerPixel, northAngle };
+  }
+
+  render() {
+    const {
+      compass,
+      compassSize,
+      height,
+      measure,
+      scale,
+      scaleBar,
+      scaleBarMaxWidth,
+      translate,
+      width,
+    } = this.props;
+    if (!scaleBar && !compass) return null;
+
+    // measured at the middle of the map; distortion elsewhere is not represented
+    const measurement = Overlays.measureAt(measure, scale, translate, [width / 2, height / 2]);
+    if (!measurement) return null;
+
+    return (
+      <g>
+        {scaleBar && (
+          <ScaleBar
+            className={this.props.scaleBarClassName}
+            maxWidth={scaleBarMaxWidth}
+            metersPerPixel={measurement.metersPerPixel}
+            style={this.props.scaleBarStyle}
+            units={this.props.scaleBarUnits}
+            x={width - OVERLAY_MARGIN - scaleBarMaxWidth}
+            y={height - OVERLAY_MARGIN}
+          />
+        )}
+        {compass && (
+          <Compass
+            angle={measurement.northAngle}
+            className={this.props.compassClassName}
+            size={compassSize}
+            style={this.props.compassStyle}
+            x={width - OVERLAY_MARGIN - (compassSize / 2)}
+            y={OVERLAY_MARGIN + compassSize}
+          />
+        )}
+      </g>
+    );
+  }
+}
+
+Overlays.propTypes = {
+  /* whether to render a compass pointing north */
+  compass: PropTypes.bool,
+
+  /* classname applied to compass */
+  compassClassName: CommonPropTypes.className,
+
+  /* px length of compass arrow */
+  compassSize: PropTypes.number,
+
+  /* inline styles applied to compass */
+  compassStyle: PropTypes.object,
+
+  /* px height of map */
+  height: PropTypes.number.isRequired,
+
+  /* how ground distance is measured, as returned by Overlays.resolveMeasure */
+  measure: PropTypes.object,
+
+  /* zoom scale of map */
+  scale: PropTypes.number.isRequired,
+
+  /* whether to render a scale bar */
+  scaleBar: PropTypes.bool,
+
+  /* classname applied to scale bar */
+  scaleBarClassName: CommonPropTypes.className,
+
+  /* px length of the longest scale bar */
+  scaleBarMaxWidth: PropTypes.number,
+
+  /* inline styles applied to scale bar */
+  scaleBarStyle: PropTypes.object,
+
+  /* system of measurement of scale bar; one of 'metric', 'imperial' */
+  scaleBarUnits: PropTypes.oneOf(['metric', 'imperial']),
+
+  /* zoom translate of map */
+  translate: PropTypes.arrayOf(PropTypes.number).isRequired,
+
+  /* px width of map */
+  width: PropTypes.number.isRequired,
+};
@@ -1,5 +1,6 @@
 import React, { PropTypes } from 'react';
 import classNames from 'classnames';
+import { color, easeCubic, interpolateRgb, select } from 'd3';
 import { assign, noop, bindAll } from 'lodash';
 
 import {
@@ -11,26 +12,60 @@ import {
 
 export default class Path extends PureComponent {
   /**
-   * Compute inline-style
-   * @param {Object} feature
-   * @param {String} fill
-   * @param {Boolean} selected
-   * @param {Object|Function} style
-   * @param {Object|Function} selectedStyle
+   * Compute inline-style given base style, and selected, hover, and focused styles,
+   * applied in that order
+   * @param {Object}
    * @return {Object}
    */
-  static getStyle(feature, fill, selected, style, selectedStyle) {
+  static getStyle({
+    feature,
+    fill,
+    focused,
+    focusedStyle,
+    hovered,
+    hoverStyle,
+    selected,
+    selectedStyle,
+    style,
+  }) {
     const baseStyle = { fill };
     const computedStyle = typeof style === 'function' ? style(feature) : style;
 
-    // if feature is not selected, early return to avoid applying selectedStyles
-    if (!selected) return assign({}, baseStyle, computedStyle);
+    // if feature is neither selected, hovered, nor focused, early return
+    if (!selected && !hovered && !focused) return assign({}, baseStyle, computedStyle);
+
+    // otherwise, apply state-specific styles on top of basic style
+    const computeStyle = (stateStyle) =>
+      (typeof stateStyle === 'function' ? stateStyle(feature) : stateStyle);
+    return assign(
+      {},
+      baseStyle,
+      computedStyle,
+      selected && computeStyle(selectedStyle),
+      hovered && computeStyle(hoverStyle),
+      focused && computeStyle(focusedStyle)
+    );
+  }
+
+  /**
+   * Interpolate between the fill of a path before and after its data change.
+   * Colors are interpolated; a path that gains or loses a value, or whose fill is not a color
+   * (e.g., a pattern), fades out its previous fill, then fades in its new fill
+   * @param {Object} from - { fill, missing } before the change
+   * @param {Object} to - { fill, missing } after the change
+   * @return {Function} function(t) {...} -> { fill, opacity },
+   *                    where opacity is a factor of the fill-opacity of the path
+   */
+  static interpolateFill(from, to) {
+    const fade = !!from.missing !== !!to.missing || !color(from.fill) || !color(to.fill);
+    if (!fade) {
+      const interpolate = interpolateRgb(from.fill, to.fill);
+      return t => ({ fill: interpolate(t), opacity: 1 });
+    }
 
-    // otherwise, apply selectedStyle on top of basic style
-    const computedSelectedStyle = typeof selectedStyle === 'function'
-                                  ? selectedStyle(feature)
-                                  : selectedStyle;
-    return assign({}, baseStyle, computedStyle, computedSelectedStyle);
+    return t => (t < 0.5
+      ? { fill: from.fill, opacity: 1 - (2 * t) }
+      : { fill: to.fill, opacity: (2 * t) - 1 });
   }
 
   constructor(props) {
@@ -39,15 +74,44 @@ export default class Path extends PureComponent {
     this.state = stateFromPropUpdates(Path.propUpdates, {}, props, {});
 
     bindAll(this, [
+      'onBlur',
       'onClick',
+      'onDoubleClick',
+      'onFocus',
+      'onKeyDown',
       'onMouseMove',
       'onMouseLeave',
-      'onMouseOver'
+      'onMouseOver',
+      'pathRef',
     ]);
   }
 
   componentWillReceiveProps(nextProps) {
-    this.setState(stateFromPropUpdates(Path.propUpdates, this.props, nextProps, {}));
+    const state = stateFromPropUpdates(Path.propUpdates, this.props, nextProps, {});
+
+    // transition from the fill currently displayed, which may be partway through a transition
+    if (nextProps.transitionDuration > 0 && this._path && nextProps.fill !== this.props.fill) {
+      this._pendingTransition = Path.interpolateFill(
+        { fill: this._transitionFill || this.state.style.fill, missing: this.props.missing },
+        { fill: (state.style || this.state.style).fill, missing: nextProps.missing }
+      );
+    }
+
+    this.setState(state);
+  }
+
+  componentDidUpdate() {
+    if (!this._pendingTransition) return;
+    this.transitionFill(this._pendingTransition);
+    this._pendingTransition = null;
+  }
+
+  componentWillUnmount() {
+    if (this._path) select(this._path).interrupt();
+  }
+
+  onBlur(e) {
+    this.props.onBlur(e, this.props.datum, this);
   }
 
   // e.g., select the location
@@ -57,6 +121,28 @@ export default class Path extends PureComponent {
     this.props.onClick(e, this.props.datum, this);
   }
 
+  // e.g., zoom to the location
+  onDoubleClick(e) {
+    e.preventDefault();
+
+    this.props.onDoubleClick(e, this.props.datum, this);
+  }
+
+  onFocus(e) {
+    this.props.onFocus(e, this.props.datum, this);
+  }
+
+  // Enter or space select the location, as would a click
+  onKeyDown(e) {
+    if (e.keyCode === 13 || e.keyCode === 32) {
+      e.preventDefault();
+      this.props.onClick(e, this.props.datum, this);
+      return;
+    }
+
+    this.props.onKeyDown(e, this.props.datum, this);
+  }
+
   // e.g., destroy tooltip
   onMouseLeave(e) {
     e.preventDefault();
@@ -78,18 +164,87 @@ export default class Path extends PureComponent {
     this.props.onMouseOver(e, this.props.datum, this);
   }
 
+  /**
+   * move keyboard focus to this path
+   */
+  focus() {
+    if (this._path && this._path.focus) this._path.focus();
+  }
+
+  pathRef(ref) {
+    this._path = ref;
+  }
+
+  /**
+   * animate fill of path, overriding the fill and fill-opacity rendered until the transition ends
+   * @param {Function} interpolate - see Path.interpolateFill
+   */
+  transitionFill(interpolate) {
+    const { transitionDuration, transitionEase } = this.props;
+    const selection = select(this._path);
+    const applyFill = (t) => {
+      const { fill, opacity } = interpolate(t);
+      const { fillOpacity } = this.state.style;
+      this._transitionFill = fill;
+      selection
+        .style('fill', fill)
+        .style('fill-opacity', (fillOpacity === undefined ? 1 : fillOpacity) * opacity);
+    };
+
+    // apply starting fill before the browser paints the fill just rendered
+    selection.interrupt();
+    applyFill(0);
+
+    selection
+      .transition()
+      .duration(transitionDuration)
+      .ease(transitionEase)
+      .tween('fill', () => applyFill)
+      .on('end', () => {
+        const { fill, fillOpacity } = this.state.style;
+        this._transitionFill = null;
+        selection
+          .style('fill', fill)
+          .style('fill-opacity', fillOpacity === undefined ? null : fillOpacity);
+      });
+  }
+
   render() {
-    const { className, selected, selectedClassName } = this.props;
+    const {
+      ariaLabel,
+      className,
+      focused,
+      focusedClassName,
+      hoverClassName,
+      hovered,
+      selected,
+      selectedClassName,
+      tabIndex,
+    } = this.props;
     const { path, style } = this.state;
 
+    // paths are only exposed as interactive (i.e., to keyboard and screen readers) if focusable
+    const focusable = tabIndex !== undefined;
+
     return (
       <path
+        aria-label={ariaLabel}
+        aria-pressed={focusable ? selected : undefined}
         d={path}
         className={classNames(className, {
           [selectedClassName]: selected && selectedClassName,
+          [hoverClassName]: hovered && hoverClassName,
+          [focusedClassName]: focused && focusedClassName,
         }) || (void 0)}
+        ref={this.pathRef}
+        role={focusable ? 'button' : undefined}
         style={style}
+        tabIndex={tabIndex}
+        onBlur={focusable ? this.onBlur : undefined}
         onClick={this.onClick}
+        onDoubleClick={this.onDoubleClick}
+        onFocus={focusable ? this.onFocus : undefined}
+        onKeyDown={focusable ? this.onKeyDown : undefined}
         onMouseLeave={this.onMouseLeave}
         onMouseMove={this.onMouseMove}
         onMouseOver={this.onMouseOver}
@@ -100,6 +255,9 @@ export default class Path extends PureComponent {
 }
 
 Path.propTypes = {
+  /* accessible name of path, read by screen readers; e.g., 'Kenya: 42' */
+  ariaLabel: PropTypes.string,
+
   /* base classname to apply to path */
   className: CommonPropTypes.className,
 
@@ -115,9 +273,48 @@ Path.propTypes = {
   /* fill of path */
   fill: PropTypes.string,
 
+  /* whether or not this path has keyboard focus */
+  focused: PropTypes.bool,
+
+  /* className to apply to path when focused */
+  focusedClassName: CommonPropTypes.className,
+
+  /* style to apply to path when focused */
+  focusedStyle: CommonPropTypes.style,
+
+  /* className to apply to path when hovered */
+  hoverClassName: CommonPropTypes.className,
+
+  /* whether or not this path is hovered (or otherwise highlighted) */
+  hovered: PropTypes.bool,
+
+  /* style to apply to path when hovered */
+  hoverStyle: CommonPropTypes.style,
+
+  /*
+   lower bound of the uncertainty interval of the value of this location, if known;
+   for use by event callbacks, which are passed this Path
+   */
+  lower: PropTypes.number,
+
+  /* whether or not this location is without a value; fills to or from missing fade in and out */
+  missing: PropTypes.bool,
+
   /* signature: function(event, datum, Path) {...} */
+  onBlur: PropTypes.func,
+
+  /* called on click, and on Enter or space when focused; signature: function(event, datum, Path) {...} */
   onClick: PropTypes.func,
 
+  /* signature: function(event, datum, Path) {...} */
+  onDoubleClick: PropTypes.func,
+
+  /* signature: function(event, datum, Path) {...} */
+  onFocus: PropTypes.func,
+
+  /* called on keys other than Enter or space; signature: function(event, datum, Path) {...} */
+  onKeyDown: PropTypes.func,
+
   /* signature: function(event, datum, Path) {...} */
   onMouseLeave: PropTypes.func,
 
@@ -141,10 +338,33 @@ Path.propTypes = {
 
   /* base style to apply to path */
   style: CommonPropTypes.style,
+
+  /* if defined, path is focusable, and is exposed to screen readers as a button */
+  tabIndex: PropTypes.number,
+
+  /* duration, in ms, over which changes of fill are animated; 0 to change fill immediately */
+  transitionDuration: PropTypes.number,
+
+  /* easing of animated changes of fill; e.g., d3.easeLinear */
+  transitionEase: PropTypes.func,
+
+  /* upper bound of the uncertainty interval of the value of this location; see lower */
+  upper: PropTypes.number,
 };
 
 Path.defaultProps = {
+  focused: false,
+  hovered: false,
+  focusedStyle: {
+    strokeWidth: '2px',
+    stroke: '#000',
+    strokeDasharray: '4 2',
+  },
+  onBlur: noop,
   onClick: noop,
+  onDoubleClick: noop,
+  onFocus: noop,
+  onKeyDown: noop,
   onMouseDown: noop,
   onMouseLeave: noop,
   onMouseMove: noop,
@@ -158,6 +378,8 @@ Path.defaultProps = {
     strokeWidth: '1px',
     stroke: '#000',
   },
+  transitionDuration: 0,
+  transitionEase: easeCubic,
 };
 
 Path.propUpdates = {
@@ -169,11 +391,15 @@ Path.propUpdates = {
     });
   },
 
-  // update style if feature, fill, selected, selectedStyle, or style have changed
+  // update style if feature, fill, or any state or its style have changed
   style: (accum, propName, prevProps, nextProps) => {
     if (!propsChanged(prevProps, nextProps, [
       'feature',
       'fill',
+      'focused',
+      'focusedStyle',
+      'hovered',
+      'hoverStyle',
       'selected',
       'selectedStyle',
       'style'
@@ -181,13 +407,7 @@ Path.propUpdates = {
       return accum;
     }
     return assign(accum, {
-      style: Path.getStyle(
-        nextProps.feature,
-        nextProps.fill,
-        nextProps.selected,
-        nextProps.style,
-        nextProps.selectedStyle
-      ),
+      style: Path.getStyle(nextProps),
     });
   }
 };
@@ -0,0 +1,359 @@
+import React, { PropTypes } from 'react';
+import {
+  assign,
+  bindAll,
+  forEach,
+  includes,
+  isFinite,
+  map,
+  reduce,
+  values,
+} from 'lodash';
+
+import {
+  CommonDefaultProps,
+  CommonPropTypes,
+  propResolver,
+  propsChanged,
+  PureComponent,
+  stateFromPropUpdates,
+} from '../../../utils';
+
+import { Symbol } from '../../shape';
+
+export default class PointLayer extends PureComponent {
+  /**
+   * Represent a datum as a GeoJSON point feature
+   * @param {Object} datum
+   * @param {Object} dataAccessors - see PointLayer.propTypes
+   * @return {Object}
+   */
+  static toFeature(datum, dataAccessors) {
+    return {
+      type: 'Feature',
+      properties: {},
+      geometry: {
+        type: 'Point',
+        coordinates: [
+          propResolver(datum, dataAccessors.longitude),
+          propResolver(datum, dataAccessors.latitude),
+        ],
+      },
+    };
+  }
+
+  /**
+   * Resolve the position of each datum in unzoomed (base) space
+   * @param {Object} props
+   * @return {Array} [{ datum, point }, ...]
+   */
+  static getPoints({ data, dataAccessors, projection }) {
+    return reduce(data, (acc, datum) => {
+      const coordinates = [
+        propResolver(datum, dataAccessors.longitude),
+        propResolver(datum, dataAccessors.latitude),
+      ];
+      if (!isFinite(coordinates[0]) || !isFinite(coordinates[1])) return acc;
+
+      // points outside of the domain of some projections (e.g., albersUsa) project to null
+      const point = projection ? projection(coordinates) : coordinates;
+      if (!point) return acc;
+
+      acc.push({ datum, point });
+      return acc;
+    }, []);
+  }
+
+  /**
+   * Group points that fall within the same grid cell at the current zoom;
+   * cells are anchored in unzoomed space so that clusters are stable while panning
+   * @param {Array} points - as returned by PointLayer.getPoints
+   * @param {Number} scale - zoom scale
+   * @param {Number} radius - px width of grid cells
+   * @return {Array} [{ data, key, point }, ...], where point is the mean of (base) positions
+   */
+  static cluster(points, scale, radius) {
+    const cells = reduce(points, (acc, { datum, point }) => {
+      const column = Math.floor((point[0] * scale) / radius);
+      const row = Math.floor((point[1] * scale) / radius);
+      const key = `${column},${row}`;
+      /* eslint-disable no-param-reassign */
+      if (!acc[key]) acc[key] = { data: [], key, sum: [0, 0] };
+      acc[key].data.push(datum);
+      acc[key].sum[0] += point[0];
+      acc[key].sum[1] += point[1];
+      /* eslint-enable no-param-reassign */
+      return acc;
+    }, {});
+
+    return map(values(cells), ({ data, key, sum }) => ({
+      data,
+      key,
+      point: [sum[0] / data.length, sum[1] / data.length],
+    }));
+  }
+
+  constructor(props) {
+    super(props);
+
+    this.state = stateFromPropUpdates(PointLayer.propUpdates, {}, props, {});
+
+    bindAll(this, [
+      'onClusterClick',
+    ]);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(stateFromPropUpdates(PointLayer.propUpdates, this.props, nextProps, {}));
+  }
+
+  onClusterClick(event, cluster) {
+    this.props.onClusterClick(event, cluster.data, this);
+  }
+
+  renderCluster({ data, key, point }, x, y) {
+    const {
+      clusterClassName,
+      clusterStyle,
+      clusterTextStyle,
+      fill,
+      size,
+      symbolType,
+    } = this.props;
+
+    // area of cluster grows with the log of the number of points within it
+    const clusterSize = size * (1 + Math.log2(data.length));
+
+    return (
+      <g key={`cluster-${key}`}>
+        <Symbol
+          className={clusterClassName}
+          datum={{ data, point }}
+          fill={fill}
+          onClick={this.onClusterClick}
+          size={clusterSize}
+          style={clusterStyle}
+          symbolType={symbolType}
+          translateX={x}
+          translateY={y}
+        />
+        <text
+          dy="0.35em"
+          style={clusterTextStyle}
+          textAnchor="middle"
+          x={x}
+          y={y}
+        >
+          {data.length}
+        </text>
+      </g>
+    );
+  }
+
+  render() {
+    const {
+      className,
+      cluster,
+      clusterRadius,
+      dataAccessors,
+      fill,
+      onClick,
+      onMouseLeave,
+      onMouseMove,
+      onMouseOver,
+      scale,
+      selection,
+      size,
+      symbolClassName,
+      symbolSelectedClassName,
+      symbolSelectedStyle,
+      symbolStyle,
+      symbolType,
+      translate,
+    } = this.props;
+
+    const points = cluster
+      ? PointLayer.cluster(this.state.points, scale, clusterRadius)
+      : this.state.points;
+    const symbols = [];
+    const selectedSymbols = [];
+    const clusters = [];
+
+    forEach(points, (point) => {
+      const x = (point.point[0] * scale) + translate[0];
+      const y = (point.point[1] * scale) + translate[1];
+
+      if (point.data && point.data.length > 1) {
+        clusters.push(this.renderCluster(point, x, y));
+        return;
+      }
+
+      const datum = point.data ? point.data[0] : point.datum;
+      const selected = includes(selection, datum);
+
+      // render selected points last, as <FeatureLayer /> does selected paths
+      (selected ? selectedSymbols : symbols).push(
+        <Symbol
+          className={symbolClassName}
+          datum={datum}
+          fill={fill}
+          key={propResolver(datum, dataAccessors.key)}
+          onClick={onClick}
+          onMouseLeave={onMouseLeave}
+          onMouseMove={onMouseMove}
+          onMouseOver={onMouseOver}
+          selected={selected}
+          selectedClassName={symbolSelectedClassName}
+          selectedStyle={symbolSelectedStyle}
+          size={size}
+          style={symbolStyle}
+          symbolType={symbolType}
+          translateX={x}
+          translateY={y}
+        />
+      );
+    });
+
+    return (
+      <g className={className}>
+        {symbols}
+        {selectedSymbols}
+        {clusters}
+      </g>
+    );
+  }
+}
+
+PointLayer.propTypes = {
+  /* classname applied to <g> containing points */
+  className: CommonPropTypes.className,
+
+  /* whether to group points that overlap at the current zoom */
+  cluster: PropTypes.bool,
+
+  /* classname applied to symbol of each cluster */
+  clusterClassName: CommonPropTypes.className,
+
+  /* px extent within which points are clustered */
+  clusterRadius: PropTypes.number,
+
+  /* style object or function applied to symbol of each cluster; if a function, receives cluster */
+  clusterStyle: CommonPropTypes.style,
+
+  /* style object applied to the count of points within each cluster */
+  clusterTextStyle: PropTypes.object,
+
+  /* array of datum objects */
+  data: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /*
+    accessors on datum objects; each should be either
+    a property on datum objects or function which accepts that datum object
+      key: unique dimension of datum (required)
+      latitude: property on datum to position in y-direction
+      longitude: property on datum to position in x-direction
+    if geometry is preprojected (i.e., <Choropleth /> is given no projection),
+    longitude and latitude should resolve to preprojected coordinates
+  */
+  dataAccessors: PropTypes.shape({
+    key: CommonPropTypes.dataAccessor.isRequired,
+    latitude: CommonPropTypes.dataAccessor.isRequired,
+    longitude: CommonPropTypes.dataAccessor.isRequired,
+  }).isRequired,
+
+  /* fill color of symbols */
+  fill: PropTypes.string,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onClick: PropTypes.func,
+
+  /*
+   called when a cluster is clicked, with the data within it;
+   signature: function(event, data, PointLayer) {...}
+   */
+  onClusterClick: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseLeave: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseMove: PropTypes.func,
+
+  /* passed to each symbol; signature: function(event, datum, Symbol) {...} */
+  onMouseOver: PropTypes.func,
+
+  /* d3 projection, if geometry is unprojected; see <Choropleth /> */
+  projection: PropTypes.func,
+
+  /* zoom scale applied to (projected) points */
+  scale: PropTypes.number.isRequired,
+
+  /* array of selected datum objects */
+  selection: PropTypes.arrayOf(PropTypes.object),
+
+  /* px^2 area of each symbol; see <Symbol /> */
+  size: PropTypes.number,
+
+  /* classname applied to each symbol */
+  symbolClassName: CommonPropTypes.className,
+
+  /* classname applied to selected symbols */
+  symbolSelectedClassName: CommonPropTypes.className,
+
+  /* selected style object or function to pass to each symbol; if a function, receives datum */
+  symbolSelectedStyle: CommonPropTypes.style,
+
+  /* base style object or function to pass to each symbol; if a function, receives datum */
+  symbolStyle: CommonPropTypes.style,
+
+  /* type of symbol; see <Symbol /> */
+  symbolType: PropTypes.string,
+
+  /* zoom translate applied to (projected) points */
+  translate: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
+
+PointLayer.defaultProps = {
+  cluster: false,
+  clusterRadius: 40,
+  clusterStyle: {
+    fillOpacity: 0.8,
+    stroke: '#fff',
+    strokeWidth: 1,
+  },
+  clusterTextStyle: {
+    fill: '#fff',
+    fontSize: '10px',
+    pointerEvents: 'none',
+  },
+  fill: 'steelblue',
+  onClick: CommonDefaultProps.noop,
+  onClusterClick: CommonDefaultProps.noop,
+  onMouseLeave: CommonDefaultProps.noop,
+  onMouseMove: CommonDefaultProps.noop,
+  onMouseOver: CommonDefaultProps.noop,
+  projection: null,
+  selection: [],
+  size: 36,
+  symbolSelectedStyle: {
+    stroke: '#000',
+    strokeWidth: 2,
+  },
+  symbolStyle: {
+    stroke: '#fff',
+    strokeWidth: 0.5,
+  },
+  symbolType: 'circle',
+};
+
+PointLayer.propUpdates = {
+  // positions of data in unzoomed (base) space
+  points: (accum, key, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['data', 'dataAccessors', 'projection'])) {
+      return accum;
+    }
+    return assign(accum, {
+      points: PointLayer.getPoints(nextProps),
+    });
+  },
+};
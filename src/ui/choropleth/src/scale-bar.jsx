@@ -0,0 +1,113 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+import { find, last, map } from 'lodash';
+
+import { CommonPropTypes, PureComponent } from '../../../utils';
+
+import style from './overlays.css';
+
+// units of distance, from largest to smallest, by system of measurement
+const UNITS = {
+  imperial: [
+    { label: 'mi', meters: 1609.344 },
+    { label: 'ft', meters: 0.3048 },
+  ],
+  metric: [
+    { label: 'km', meters: 1000 },
+    { label: 'm', meters: 1 },
+  ],
+};
+
+// multiples of powers of ten to which the length of the bar is rounded, from largest
+const STEPS = [5, 2, 1];
+
+export default class ScaleBar extends PureComponent {
+  /**
+   * Round a distance down to 1, 2, or 5 times a power of ten
+   * @param {Number} value
+   * @return {Number}
+   */
+  static round(value) {
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    return find(map(STEPS, step => step * power), rounded => rounded <= value) || power;
+  }
+
+  /**
+   * Measure the longest bar of a round distance that fits within maxWidth
+   * @param {Number} metersPerPixel - ground distance represented by a px at the current zoom
+   * @param {Number} maxWidth - px
+   * @param {String} units - one of 'metric', 'imperial'
+   * @return {Object|null} { distance, label, width }; null if distance cannot be measured
+   */
+  static measure(metersPerPixel, maxWidth, units) {
+    if (!(metersPerPixel > 0) || !isFinite(metersPerPixel)) return null;
+
+    const maxMeters = metersPerPixel * maxWidth;
+    const unitsOfSystem = UNITS[units];
+    const unit = find(unitsOfSystem, ({ meters }) => maxMeters >= meters) || last(unitsOfSystem);
+    const distance = ScaleBar.round(maxMeters / unit.meters);
+
+    return {
+      distance,
+      label: `${distance} ${unit.label}`,
+      width: (distance * unit.meters) / metersPerPixel,
+    };
+  }
+
+  render() {
+    const { className, maxWidth, metersPerPixel, units, x, y } = this.props;
+    const bar = ScaleBar.measure(metersPerPixel, maxWidth, units);
+    if (!bar) return null;
+
+    return (
+      <g
+        className={classNames(style['scale-bar'], className)}
+        style={this.props.style}
+        transform={`translate(${x}, ${y})`}
+      >
+        <path
+          className={style['scale-bar-line']}
+          d={`M0,-5V0H${bar.width}V-5`}
+        />
+        <text
+          className={style['scale-bar-label']}
+          dy="-0.5em"
+          textAnchor="middle"
+          x={bar.width / 2}
+        >
+          {bar.label}
+        </text>
+      </g>
+    );
+  }
+}
+
+ScaleBar.propTypes = {
+  /* classname applied to <g> containing scale bar */
+  className: CommonPropTypes.className,
+
+  /* px length of the longest bar; bar is shortened to a round distance */
+  maxWidth: PropTypes.number,
+
+  /* ground distance represented by a px at the current zoom */
+  metersPerPixel: PropTypes.number,
+
+  /* inline styles applied to <g> containing scale bar */
+  style: PropTypes.object,
+
+  /* system of measurement; one of 'metric', 'imperial' */
+  units: PropTypes.oneOf(Object.keys(UNITS)),
+
+  /* px position of the left end of the bar */
+  x: PropTypes.number,
+
+  /* px position of the bar; its label is drawn above */
+  y: PropTypes.number,
+};
+
+ScaleBar.defaultProps = {
+  maxWidth: 100,
+  units: 'metric',
+  x: 0,
+  y: 0,
+};
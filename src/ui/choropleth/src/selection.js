@@ -0,0 +1,57 @@
+import { geoPath } from 'd3';
+
+import { polygonsIntersect } from '../../../utils';
+
+/**
+ * outline of a feature in screen space, as drawn by a path generator
+ * @param {Object} feature - GeoJSON feature
+ * @param {Function} pathGenerator - d3 geoPath
+ * @return {Array} rings of feature, i.e., [[[x, y], ...], ...]
+ */
+export function getScreenRings(feature, pathGenerator) {
+  const rings = [];
+  let ring;
+
+  geoPath()
+    .projection(pathGenerator.projection())
+    .context({
+      moveTo(x, y) {
+        ring = [[x, y]];
+        rings.push(ring);
+      },
+      lineTo(x, y) {
+        ring.push([x, y]);
+      },
+      closePath() {},
+      arc() {},
+    })(feature);
+
+  return rings;
+}
+
+/**
+ * outline of area drawn by a selection gesture
+ * @param {Array} points - [x, y] positions of pointer, from first to latest
+ * @param {String} mode - 'box' or 'lasso'; see Choropleth.propTypes.selectionMode
+ * @return {Array} closed ring, i.e., [[x, y], ..., [x, y]]
+ */
+export function getSelectionRing(points, mode) {
+  const first = points[0];
+  if (mode === 'box') {
+    const [x0, y0] = first;
+    const [x1, y1] = points[points.length - 1];
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+  }
+  return [...points, first];
+}
+
+/**
+ * @param {Object} feature - GeoJSON feature
+ * @param {Function} pathGenerator - d3 geoPath with which feature is drawn
+ * @param {Array} ring - closed ring in screen space, i.e., [[x, y], ..., [x, y]]
+ * @return {Boolean} whether feature, as drawn, intersects area outlined by ring
+ */
+export function intersectsArea(feature, pathGenerator, ring) {
+  const rings = getScreenRings(feature, pathGenerator);
+  return rings.length > 0 && polygonsIntersect([ring], rings);
+}
@@ -0,0 +1,187 @@
+import { geoClipExtent, geoPath, geoTransform } from 'd3';
+import { filter, flatMap, get as getValue, reduce } from 'lodash';
+
+import { calcScale, calcTranslate, computeBounds } from '../../../utils';
+
+// slightly pad clip extent so that the boundary of the map does not show borders
+const CLIP_EXTENT_PADDING = 1;
+
+// default px padding between the frame of an inset and its features
+const INSET_PADDING = 5;
+
+/**
+ * @param {Object} [a] - zoom transform, i.e., { k, x, y }
+ * @param {Object} [b] - zoom transform
+ * @return {Boolean}
+ */
+export function isSameTransform(a, b) {
+  return !!a && !!b && a.k === b.k && a.x === b.x && a.y === b.y;
+}
+
+/**
+ * @param {Number} width - px
+ * @param {Number} height - px
+ * @param {Object} [clipExtent] - d3.geoClipExtent to update in place, if given
+ * @return {Object} d3.geoClipExtent, slightly larger than width and height
+ */
+export function createClipExtent(width, height, clipExtent = geoClipExtent()) {
+  return clipExtent
+    .extent([
+      [-CLIP_EXTENT_PADDING, -CLIP_EXTENT_PADDING],
+      [width + CLIP_EXTENT_PADDING, height + CLIP_EXTENT_PADDING],
+    ]);
+}
+
+/**
+ * @param {Number|Function|String} simplification - see Choropleth.propTypes.simplification
+ * @param {Number} scale - zoom scale at which geometry is drawn
+ * @return {Number} px^2 area, at scale, below which presimplified points are dropped
+ */
+export function getSimplificationArea(simplification, scale) {
+  if (simplification === 'off') return 0;
+  return typeof simplification === 'function' ? simplification(scale) : simplification;
+}
+
+/**
+ * @param {Object|null} projection - d3 projection, or null if geometry is preprojected
+ * @param {Number|Function|String} simplification - see Choropleth.propTypes.simplification
+ * @param {Number} scale
+ * @param {Array} translate
+ * @param {Object} clipExtent - d3.geoClipExtent
+ * @return {Function} d3.geoPath
+ */
+export function createPathGenerator(projection, simplification, scale, translate, clipExtent) {
+  // mike bostock math
+  // presimplified points carry their effective area (in topology units) as z;
+  // drop points whose area is less than that given by simplification
+  // (by default, one square pixel) at the current scale.
+  // points that have not been presimplified (e.g., from GeoJSON) are always drawn.
+  // when projecting on the fly, topology units are degrees, which a projection maps to
+  // projection.scale() * PI / 180 px before being transformed by scale and translate
+  const pxPerUnit = projection && typeof projection.scale === 'function'
+    ? scale * projection.scale() * Math.PI / 180
+    : scale;
+  const minArea = getSimplificationArea(simplification, scale);
+  const area = minArea / pxPerUnit / pxPerUnit;
+
+  if (!projection) {
+    const transform = geoTransform({
+      point(x, y, z) {
+        const pointX = x * scale + translate[0];
+        const pointY = y * scale + translate[1];
+
+        if (z === undefined || z >= area) {
+          this.stream.point(pointX, pointY);
+        }
+      }
+    });
+
+    return geoPath().projection({
+      stream: (pointStream) => transform.stream(clipExtent.stream(pointStream))
+    });
+  }
+
+  // simplify in geographic coordinates, project,
+  // then apply zoom transform to the projection's pixel space
+  const simplify = geoTransform({
+    point(x, y, z) {
+      if (z === undefined || z >= area) {
+        this.stream.point(x, y);
+      }
+    }
+  });
+
+  const transform = geoTransform({
+    point(x, y) {
+      this.stream.point(x * scale + translate[0], y * scale + translate[1]);
+    }
+  });
+
+  return geoPath().projection({
+    stream: (pointStream) =>
+      simplify.stream(projection.stream(transform.stream(clipExtent.stream(pointStream))))
+  });
+}
+
+/**
+ * calculate extent within which the map may be panned
+ * @param {Array} bounds - [[left, top], [right, bottom]] of geometry, prior to zoom transform
+ * @param {Number} scaleBase - scale at which bounds fit the map
+ * @param {Number} padding - px (at scaleBase) by which to pad bounds
+ * @return {Array} [[x0, y0], [x1, y1]]
+ */
+export function calcTranslateExtent(bounds, scaleBase, padding) {
+  const [[x0, y0], [x1, y1]] = bounds;
+  const pad = padding / scaleBase;
+  return [[x0 - pad, y0 - pad], [x1 + pad, y1 + pad]];
+}
+
+/**
+ * calculate scale and translate at which the features of each inset fit within its frame
+ * @param {Array} insets - see Choropleth.propTypes.insets
+ * @param {Object} insetCache - see utils/geo::extractLayersAndInsets
+ * @param {Object|null} projection - d3 projection, or null if geometry is preprojected
+ * @param {Number|Function|String} simplification
+ * @return {Object} { [inset.name]: { pathGenerator, scale, translate } }
+ */
+export function calcInsetViews(insets, insetCache, projection, simplification) {
+  return reduce(insets, (acc, inset) => {
+    const features = flatMap(insetCache[inset.name], 'features');
+    if (!features.length) return acc;
+
+    const padding = inset.padding === undefined ? INSET_PADDING : inset.padding;
+    const width = inset.width - (2 * padding);
+    const height = inset.height - (2 * padding);
+    const bounds = computeBounds({ type: 'FeatureCollection', features }, projection);
+    const scale = calcScale(width, height, bounds);
+    if (!isFinite(scale)) return acc;
+
+    const [x, y] = calcTranslate(width, height, scale, bounds);
+    const translate = [x + padding, y + padding];
+    const clipExtent = createClipExtent(inset.width, inset.height);
+
+    return {
+      ...acc,
+      [inset.name]: {
+        pathGenerator: createPathGenerator(
+          projection,
+          simplification,
+          scale,
+          translate,
+          clipExtent
+        ),
+        scale,
+        translate,
+      },
+    };
+  }, {});
+}
+
+/**
+ * calculate scale and translate at which geometry fits within the minimap
+ * @param {Object} props - of <Choropleth />
+ * @param {Array} bounds - bounds of geometry in unzoomed (base) space
+ * @param {Object} cache - see utils/geo::extractLayers
+ * @param {Object|null} projection - d3 projection, or null if geometry is preprojected
+ * @return {Object|null} { features, pathGenerator, scale, translate }; null if no minimap
+ */
+export function calcMinimapView(props, bounds, cache, projection) {
+  const { layers, minimap, minimapHeight, minimapWidth, simplification } = props;
+  if (!minimap || !bounds) return null;
+
+  const scale = calcScale(minimapWidth, minimapHeight, bounds);
+  if (!isFinite(scale)) return null;
+
+  const translate = calcTranslate(minimapWidth, minimapHeight, scale, bounds);
+  const clipExtent = createClipExtent(minimapWidth, minimapHeight);
+
+  return {
+    features: flatMap(
+      filter(layers, { type: 'feature', visible: true }),
+      layer => getValue(cache, ['feature', layer.name, 'features'], [])
+    ),
+    pathGenerator: createPathGenerator(projection, simplification, scale, translate, clipExtent),
+    scale,
+    translate,
+  };
+}
@@ -0,0 +1,101 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+
+import { Symbol } from '../../shape';
+import BubbleLayer from '../src/bubble-layer';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <BubbleLayer />', () => {
+  const square = (id, [x, y], size) => ({
+    type: 'Feature',
+    id,
+    properties: {},
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]]],
+    },
+  });
+
+  const features = [
+    square(1, [0, 0], 100),
+    square(2, [200, 0], 10),
+    square(3, [300, 0], 10),
+  ];
+
+  const data = {
+    1: { id: 1, deaths: 100 },
+    2: { id: 2, deaths: 400 },
+    3: { id: 3 },
+  };
+
+  const props = {
+    data,
+    features,
+    geometryKeyField: 'id',
+    scale: 1,
+    sizeField: 'deaths',
+    translate: [0, 0],
+  };
+
+  it('renders a symbol at the centroid of each feature with a size value', () => {
+    const wrapper = shallow(<BubbleLayer {...props} />);
+    const symbols = wrapper.find(Symbol);
+    expect(symbols).to.have.length(2);
+
+    const first = symbols.find({ datum: data[1] });
+    expect(first).to.have.prop('translateX', 50);
+    expect(first).to.have.prop('translateY', 50);
+  });
+
+  it('follows zoom', () => {
+    const wrapper = shallow(<BubbleLayer {...props} />);
+    wrapper.setProps({ scale: 2, translate: [10, -10] });
+
+    const first = wrapper.find(Symbol).find({ datum: data[1] });
+    expect(first).to.have.prop('translateX', 110);
+    expect(first).to.have.prop('translateY', 90);
+  });
+
+  it('draws larger bubbles first', () => {
+    const wrapper = shallow(<BubbleLayer {...props} />);
+    expect(wrapper.find(Symbol).first()).to.have.prop('datum', data[2]);
+  });
+
+  it('sizes bubbles by area, from 0 to maxSize, by default', () => {
+    const wrapper = shallow(<BubbleLayer {...props} maxSize={800} />);
+    expect(wrapper.find(Symbol).find({ datum: data[2] })).to.have.prop('size', 800);
+    expect(wrapper.find(Symbol).find({ datum: data[1] })).to.have.prop('size', 200);
+  });
+
+  it('accepts a size scale', () => {
+    const wrapper = shallow(<BubbleLayer {...props} sizeScale={value => value * 2} />);
+    expect(wrapper.find(Symbol).find({ datum: data[1] })).to.have.prop('size', 200);
+  });
+
+  it('accepts a function as sizeField', () => {
+    const sizeField = (allData, feature) => (feature.id === 3 ? 50 : undefined);
+    const wrapper = shallow(<BubbleLayer {...props} sizeField={sizeField} />);
+    expect(wrapper.find(Symbol)).to.have.length(1);
+    expect(wrapper.find(Symbol)).to.have.prop('datum', data[3]);
+  });
+
+  it('marks selected bubbles, and renders them last', () => {
+    const wrapper = shallow(<BubbleLayer {...props} selectedLocations={[data[2]]} />);
+    const last = wrapper.find(Symbol).last();
+    expect(last).to.have.prop('datum', data[2]);
+    expect(last).to.have.prop('selected', true);
+    expect(wrapper.find(Symbol).first()).to.have.prop('selected', false);
+  });
+
+  it('passes mouse events to each symbol', () => {
+    const onClick = sinon.spy();
+    const wrapper = shallow(<BubbleLayer {...props} onClick={onClick} />);
+    wrapper.find(Symbol).forEach((symbol) => {
+      expect(symbol).to.have.prop('onClick', onClick);
+    });
+  });
+});
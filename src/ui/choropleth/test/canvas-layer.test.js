@@ -0,0 +1,424 @@
+/* eslint-disable no-unused-expressions */
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { geoPath } from 'd3';
+import { flatMap, isArray, range } from 'lodash';
+import { getGeoJSON, getLocationIds } from '../../../test-utils';
+import { baseColorScale } from '../../../utils';
+
+import CanvasLayer from '../src/canvas-layer';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <CanvasLayer />', () => {
+  const features = getGeoJSON('states', 'feature');
+  const data = getLocationIds(features.features).reduce((acc, id) => ({
+    ...acc,
+    [id]: { id, mean: Math.floor(Math.random() * 100) },
+  }), {});
+  const layers = [{ name: 'states', object: 'states', type: 'feature', visible: true }];
+  const cache = { feature: { states: features } };
+
+  describe('hit canvas color encoding', () => {
+    it('round trips feature indices through colors', () => {
+      [0, 1, 255, 256, 65535, 100000].forEach((index) => {
+        const rgb = CanvasLayer.encodeIndex(index).match(/\d+/g).map(Number);
+        expect(CanvasLayer.decodeIndex(rgb)).to.equal(index);
+      });
+    });
+
+    it('does not resolve transparent black to a feature', () => {
+      expect(CanvasLayer.decodeIndex([0, 0, 0])).to.equal(-1);
+    });
+  });
+
+  describe('resolveFill', () => {
+    it('resolves fills that refer to patterns', () => {
+      const patterns = [{ id: 'missing', color: 'red' }];
+      const wrapper = shallow(
+        <CanvasLayer
+          cache={cache}
+          colorScale={baseColorScale()}
+          data={data}
+          geometryKeyField="id"
+          height={100}
+          layers={layers}
+          pathGenerator={geoPath()}
+          patterns={patterns}
+          valueField="mean"
+          width={100}
+        />
+      );
+      const instance = wrapper.instance();
+
+      expect(instance.resolveFill({}, '#ccc')).to.equal('#ccc');
+
+      // pattern cannot be drawn in jsdom; falls back to color of pattern
+      expect(instance.resolveFill({}, 'url(#missing)')).to.equal('red');
+      expect(instance.resolveFill({}, 'url(#unknown)')).to.equal('none');
+    });
+  });
+
+  describe('paint', () => {
+    const mockContext = () => ({
+      fill: sinon.spy(),
+      setLineDash: sinon.spy(),
+      stroke: sinon.spy(),
+    });
+
+    it('translates inline-styles to canvas context properties', () => {
+      const context = mockContext();
+      CanvasLayer.paint(context, {
+        fill: 'red',
+        stroke: '#000',
+        strokeWidth: '2px',
+        strokeDasharray: '5, 5',
+      });
+
+      expect(context.fill.calledOnce).to.be.true;
+      expect(context.stroke.calledOnce).to.be.true;
+      expect(context.fillStyle).to.equal('red');
+      expect(context.strokeStyle).to.equal('#000');
+      expect(context.lineWidth).to.equal(2);
+      expect(context.setLineDash.calledWith([5, 5])).to.be.true;
+    });
+
+    it('neither fills nor strokes when fill or stroke are none', () => {
+      const context = mockContext();
+      CanvasLayer.paint(context, { fill: 'none', stroke: 'none' });
+
+      expect(context.fill.called).to.be.false;
+      expect(context.stroke.called).to.be.false;
+    });
+  });
+
+  // records what is drawn to a 2D context: the fill or stroke of each path, and its points
+  const mockContext2D = () => {
+    const context = {
+      ops: [],
+      points: [],
+      arc() {},
+      beginPath() { this.points = []; },
+      clearRect: sinon.spy(),
+      closePath() {},
+      lineTo(x, y) { this.points.push([x, y]); },
+      moveTo(x, y) { this.points.push([x, y]); },
+      setLineDash() {},
+      setTransform: sinon.spy(),
+    };
+    context.fill = () => {
+      context.ops.push({ fill: context.fillStyle, points: context.points });
+    };
+    context.stroke = () => {
+      context.ops.push({ stroke: context.strokeStyle, points: context.points });
+    };
+    return context;
+  };
+
+  describe('draw', () => {
+    const [feature1, feature2, feature3] = features.features;
+    const drawData = {
+      [feature1.id]: { id: feature1.id, mean: 10 },
+      [feature2.id]: { id: feature2.id, mean: 90 },
+    };
+    const colorScale = value => (value > 50 ? 'red' : 'blue');
+    const drawCache = {
+      feature: { states: { type: 'FeatureCollection', features: [feature1, feature2, feature3] } },
+      mesh: { borders: { type: 'MultiLineString', coordinates: [[[0, 0], [10, 10]]] } },
+    };
+
+    const draw = (props) => {
+      const inst = shallow(
+        <CanvasLayer
+          cache={drawCache}
+          colorScale={colorScale}
+          data={drawData}
+          geometryKeyField="id"
+          height={500}
+          keyField="id"
+          layers={layers}
+          missingFill="grey"
+          pathGenerator={geoPath()}
+          valueField="mean"
+          width={800}
+          {...props}
+        />
+      ).instance();
+      const context = mockContext2D();
+      inst.saveCanvasRef({ getContext: () => context });
+      inst.draw();
+      return context;
+    };
+
+    it('fills each feature by the color of its value, or missingFill', () => {
+      const context = draw();
+      expect(context.clearRect.calledWith(0, 0, 800, 500)).to.be.true;
+
+      const fills = context.ops.filter(op => op.fill).map(op => op.fill);
+      expect(fills).to.deep.equal(['blue', 'red', 'grey']);
+
+      // feature is traced as geoPath would draw it
+      const [x, y] = context.ops[0].points[0];
+      expect(geoPath()(feature1)).to.match(new RegExp(`^M${x},${y}`));
+    });
+
+    it('draws selected features last, with their selectedStyle', () => {
+      const context = draw({
+        layers: [{ ...layers[0], selectedStyle: { stroke: 'black' } }],
+        selectedLocations: [drawData[feature1.id]],
+      });
+      const last = context.ops[context.ops.length - 1];
+      expect(last).to.have.property('stroke', 'black');
+      const fills = context.ops.filter(op => op.fill).map(op => op.fill);
+      expect(fills).to.deep.equal(['red', 'grey', 'blue']);
+    });
+
+    it('strokes mesh layers, without fill', () => {
+      const context = draw({
+        layers: [{ name: 'borders', type: 'mesh', visible: true, style: { stroke: 'green' } }],
+      });
+      expect(context.ops).to.have.length(1);
+      expect(context.ops[0]).to.have.property('stroke', 'green');
+      expect(context.ops[0].points).to.deep.equal([[0, 0], [10, 10]]);
+    });
+
+    it('does not draw layers that are not visible', () => {
+      expect(draw({ layers: [{ ...layers[0], visible: false }] }).ops).to.have.length(0);
+    });
+  });
+
+  describe('hit canvas', () => {
+    const render = () => shallow(
+      <CanvasLayer
+        cache={cache}
+        colorScale={baseColorScale()}
+        data={data}
+        geometryKeyField="id"
+        height={500}
+        layers={layers}
+        pathGenerator={geoPath()}
+        valueField="mean"
+        width={800}
+      />
+    );
+
+    // hit canvas from which the pixel at any point is of the color of `index`
+    // index of the feature drawn at each pixel, or one index for all pixels
+    const mockHitCanvas = (indices, isPointInPath = sinon.spy(() => true)) => {
+      const context = mockContext2D();
+      context.getImageData = sinon.spy((x, y, width, height) => ({
+        data: flatMap(range(width * height), i => [
+          ...CanvasLayer.encodeIndex(isArray(indices) ? indices[i] : indices)
+            .match(/\d+/g)
+            .map(Number),
+          255,
+        ]),
+      }));
+      context.isPointInPath = isPointInPath;
+      return { getContext: () => context };
+    };
+
+    it('fills each feature with the color encoding its index', () => {
+      const inst = render().instance();
+      const hitCanvas = mockHitCanvas(0);
+      inst._hitCanvas = hitCanvas; // eslint-disable-line no-underscore-dangle
+      inst.drawHitCanvas();
+
+      const fills = hitCanvas.getContext().ops.map(op => op.fill);
+      expect(fills).to.have.length(features.features.length);
+      fills.forEach((fill, index) => {
+        expect(fill).to.equal(CanvasLayer.encodeIndex(index));
+      });
+    });
+
+    it('resolves the feature whose color is under a point, and that contains it', () => {
+      const inst = render().instance();
+      const hitCanvas = mockHitCanvas(2);
+      inst._hitCanvas = hitCanvas; // eslint-disable-line no-underscore-dangle
+
+      const hit = inst.featureAt(10.5, 20.5);
+      expect(hit.feature).to.equal(features.features[2]);
+      expect(hit.datum).to.equal(data[features.features[2].id]);
+
+      const context = hitCanvas.getContext();
+      expect(context.getImageData.calledWith(9, 19, 3, 3)).to.be.true;
+      expect(context.isPointInPath.calledWith(10.5, 20.5)).to.be.true;
+    });
+
+    // pixels along a border, the color of the middle one blended to that of feature 0
+    const blended = [1, 1, 2, 1, 0, 2, -1, 2, 2];
+
+    it('resolves a feature around a point whose color is blended along borders', () => {
+      const inst = render().instance();
+
+      // feature 0 does not contain the point
+      const isPointInPath = sinon.stub().returns(false);
+      isPointInPath.onCall(1).returns(true);
+      inst._hitCanvas = mockHitCanvas(blended, isPointInPath); // eslint-disable-line no-underscore-dangle
+
+      // the topmost feature around the point is tried next
+      expect(inst.featureAt(10, 20).feature).to.equal(features.features[2]);
+      expect(isPointInPath.calledTwice).to.be.true;
+    });
+
+    it('does not resolve a feature if none around a point contains it', () => {
+      const inst = render().instance();
+      const isPointInPath = sinon.spy(() => false);
+      inst._hitCanvas = mockHitCanvas(blended, isPointInPath); // eslint-disable-line no-underscore-dangle
+      expect(inst.featureAt(10, 20)).to.be.null;
+      expect(isPointInPath.callCount).to.equal(3);
+    });
+
+    it('does not resolve a feature from pixels of no feature', () => {
+      const inst = render().instance();
+      inst._hitCanvas = mockHitCanvas(-1); // eslint-disable-line no-underscore-dangle
+      expect(inst.featureAt(10, 20)).to.be.null;
+    });
+
+    it('redraws the hit canvas only once the map is redrawn', () => {
+      const inst = render().instance();
+      const hitCanvas = mockHitCanvas(0);
+      inst._hitCanvas = hitCanvas; // eslint-disable-line no-underscore-dangle
+      const drawHitCanvas = sinon.spy(inst, 'drawHitCanvas');
+
+      inst.featureAt(1, 1);
+      inst.featureAt(2, 2);
+      expect(drawHitCanvas.calledOnce).to.be.true;
+
+      inst.saveCanvasRef({ getContext: () => mockContext2D() });
+      inst.draw();
+      inst.featureAt(1, 1);
+      expect(drawHitCanvas.calledTwice).to.be.true;
+    });
+  });
+
+  describe('events', () => {
+    const eventHandler = sinon.spy();
+    const datum = data[features.features[0].id];
+    const hit = { feature: features.features[0], datum };
+
+    afterEach(() => {
+      eventHandler.reset();
+    });
+
+    const render = () => shallow(
+      <CanvasLayer
+        cache={cache}
+        colorScale={baseColorScale()}
+        data={data}
+        geometryKeyField="id"
+        height={500}
+        layers={layers}
+        onClick={eventHandler}
+        onMouseLeave={eventHandler}
+        onMouseMove={eventHandler}
+        onMouseOver={eventHandler}
+        pathGenerator={geoPath()}
+        valueField="mean"
+        width={800}
+      />
+    );
+
+    it('renders a canvas', () => {
+      expect(render()).to.have.tagName('canvas');
+    });
+
+    it('calls onClick with event, datum, and the React element of the feature hit', () => {
+      const inst = render().instance();
+      inst.saveCanvasRef({ getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+      sinon.stub(inst, 'featureAt').returns(hit);
+
+      const event = { type: 'click', clientX: 10, clientY: 10 };
+      inst.handleEvent(event);
+      expect(eventHandler.calledOnce).to.be.true;
+      expect(eventHandler.calledWith(event, datum, inst)).to.be.true;
+    });
+
+    it('emulates mouseover and mouseleave as the pointer moves between features', () => {
+      const inst = render().instance();
+      inst.saveCanvasRef({ getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+      const featureAt = sinon.stub(inst, 'featureAt').returns(hit);
+      const onMouseOver = sinon.spy();
+      const onMouseLeave = sinon.spy();
+      const onMouseMove = sinon.spy();
+      inst.props = { ...inst.props, onMouseLeave, onMouseMove, onMouseOver };
+
+      inst.handleEvent({ type: 'mousemove', clientX: 10, clientY: 10 });
+      inst.handleEvent({ type: 'mousemove', clientX: 11, clientY: 10 });
+      expect(onMouseOver.calledOnce).to.be.true;
+      expect(onMouseMove.calledTwice).to.be.true;
+      expect(onMouseLeave.called).to.be.false;
+
+      featureAt.returns(null);
+      inst.handleEvent({ type: 'mousemove', clientX: 500, clientY: 10 });
+      expect(onMouseLeave.calledOnce).to.be.true;
+      expect(onMouseMove.calledTwice).to.be.true;
+    });
+  });
+
+  describe('hover highlighting', () => {
+    const hoverLayers = [{ ...layers[0], hoverStyle: { stroke: 'blue' } }];
+    const feature = features.features[0];
+    const hit = { feature, datum: data[feature.id] };
+
+    const render = (props) => shallow(
+      <CanvasLayer
+        cache={cache}
+        colorScale={baseColorScale()}
+        data={data}
+        geometryKeyField="id"
+        height={500}
+        keyField="id"
+        layers={hoverLayers}
+        pathGenerator={geoPath()}
+        valueField="mean"
+        width={800}
+        {...props}
+      />
+    );
+
+    it('redraws to highlight the hovered feature, if a layer has a hoverStyle', () => {
+      const inst = render().instance();
+      inst.saveCanvasRef({ getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+      const featureAt = sinon.stub(inst, 'featureAt').returns(hit);
+      const draw = sinon.stub(inst, 'draw');
+
+      inst.handleEvent({ type: 'mousemove', clientX: 10, clientY: 10 });
+      expect(draw.calledOnce).to.be.true;
+      expect(inst.getHighlightedKey()).to.equal(String(feature.id));
+
+      featureAt.returns(null);
+      inst.handleEvent({ type: 'mousemove', clientX: 500, clientY: 10 });
+      expect(draw.calledTwice).to.be.true;
+      expect(inst.getHighlightedKey()).to.equal(null);
+    });
+
+    it('does not redraw on hover without a hoverStyle', () => {
+      const inst = render({ layers }).instance();
+      inst.saveCanvasRef({ getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+      sinon.stub(inst, 'featureAt').returns(hit);
+      const draw = sinon.stub(inst, 'draw');
+
+      inst.handleEvent({ type: 'mousemove', clientX: 10, clientY: 10 });
+      expect(draw.called).to.be.false;
+    });
+
+    it('highlights the feature of focus, if given, in place of that hovered', () => {
+      const focus = data[features.features[1].id];
+      const inst = render({ focus }).instance();
+      inst.saveCanvasRef({ getBoundingClientRect: () => ({ left: 0, top: 0 }) });
+      sinon.stub(inst, 'featureAt').returns(hit);
+      inst.handleEvent({ type: 'mousemove', clientX: 10, clientY: 10 });
+      expect(inst.getHighlightedKey()).to.equal(String(focus.id));
+    });
+
+    it('highlights the feature of focusKey in place of focus', () => {
+      const focus = data[features.features[1].id];
+      const inst = render({ focus, focusKey: features.features[2].id }).instance();
+      expect(inst.getHighlightedKey()).to.equal(String(features.features[2].id));
+    });
+  });
+});
@@ -3,9 +3,13 @@ import React from 'react';
 import chai, { expect } from 'chai';
 import chaiEnzyme from 'chai-enzyme';
 import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { customEvent, geoMercator, zoomIdentity } from 'd3';
+import { cloneDeep, forEach, pull } from 'lodash';
 
-import { dataGenerator, getTopoJSON, getLocationIds } from '../../../test-utils';
+import { dataGenerator, getGeoJSON, getTopoJSON, getLocationIds } from '../../../test-utils';
 
+import { processGeometry } from '../../../utils';
 import Choropleth from '../src/choropleth';
 
 chai.use(chaiEnzyme());
@@ -45,6 +49,16 @@ describe('<Choropleth />', () => {
       });
     });
 
+    it('resolves a projection from its name or a d3 projection', () => {
+      const projection = geoMercator();
+      expect(Choropleth.resolveProjection(projection)).to.equal(projection);
+      expect(Choropleth.resolveProjection('mercator'))
+        .to.be.a('function')
+        .that.has.property('stream');
+      expect(Choropleth.resolveProjection()).to.be.null;
+      expect(Choropleth.resolveProjection('unicorn')).to.be.null;
+    });
+
     describe('mesh layer style', () => {
       const feature = { id: 5, properties: { color: 'red' } };
       const expectedStyle = { pointerEvents: 'none', stroke: 'red' };
@@ -121,6 +135,225 @@ describe('<Choropleth />', () => {
       expect(wrapper.find('svg')).to.have.exactly(1).descendants('Path');
     });
 
+    it('renders feature and mesh layers to a canvas when renderer === canvas', () => {
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          renderer="canvas"
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      expect(wrapper).to.have.exactly(1).descendants('CanvasLayer');
+      expect(wrapper.find('svg')).to.not.have.descendants('FeatureLayer');
+      expect(wrapper.find('svg')).to.not.have.descendants('Path');
+    });
+
+    it('renders label layers to svg, even when renderer === canvas', () => {
+      const labelLayers = [
+        ...layers,
+        { name: 'stateLabels', object: 'states', type: 'label', labelField: 'id', visible: true },
+      ];
+
+      ['svg', 'canvas'].forEach((renderer) => {
+        const wrapper = shallow(
+          <Choropleth
+            colorScale={noop}
+            data={data}
+            height={500}
+            keyField={keyField}
+            layers={labelLayers}
+            renderer={renderer}
+            topology={geo}
+            valueField={valueField}
+            width={960}
+          />
+        );
+
+        const labelLayer = wrapper.find('svg').find('LabelLayer');
+        expect(labelLayer).to.have.length(1);
+        expect(labelLayer).to.have.prop('labelField', 'id');
+        expect(labelLayer.prop('features')).to.have.length(geo.objects.states.geometries.length);
+        expect(labelLayer).to.have.prop('scale', wrapper.state('scale'));
+      });
+    });
+
+    it('renders bubble layers', () => {
+      const bubbleLayers = [
+        ...layers,
+        { name: 'stateBubbles', object: 'states', type: 'bubble', sizeField: valueField, visible: true },
+      ];
+
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={bubbleLayers}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      const bubbleLayer = wrapper.find('svg').find('BubbleLayer');
+      expect(bubbleLayer).to.have.length(1);
+      expect(bubbleLayer).to.have.prop('sizeField', valueField);
+      expect(bubbleLayer).to.have.prop('data', wrapper.state('processedData'));
+    });
+
+    it('renders points layers without extracting geometry for them', () => {
+      // mesh layers are recomputed whenever layers change
+      const featureLayers = [layers[0]];
+      const pointsLayer = {
+        name: 'facilities',
+        type: 'points',
+        data: [{ id: 1, x: 100, y: 100 }],
+        dataAccessors: { key: 'id', latitude: 'y', longitude: 'x' },
+        visible: true,
+      };
+
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={featureLayers}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+      const { bounds, cache } = wrapper.state();
+      wrapper.setProps({ layers: [...featureLayers, pointsLayer] });
+
+      expect(wrapper.state('cache')).to.equal(cache);
+      expect(wrapper.state('bounds')).to.equal(bounds);
+
+      const pointLayer = wrapper.find('svg').find('PointLayer');
+      expect(pointLayer).to.have.length(1);
+      expect(pointLayer).to.have.prop('data', pointsLayer.data);
+      expect(pointLayer).to.have.prop('translate', wrapper.state('translate'));
+    });
+
+    it('defines patterns, and passes missingFill to feature layers', () => {
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          missingFill="url(#missing)"
+          patterns={[{ id: 'missing', type: 'hatch' }]}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      expect(wrapper.find('svg > defs').find('FillPattern')).to.have.prop('id', 'missing');
+      expect(wrapper.find('FeatureLayer')).to.have.prop('missingFill', 'url(#missing)');
+    });
+
+    it('makes feature layers focusable, named by layer.labelField', () => {
+      const labelField = feature => feature.id;
+      const focusOrder = [1, 2];
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          focusable
+          focusOrder={focusOrder}
+          height={500}
+          keyField={keyField}
+          layers={[{ ...layers[0], focusedStyle: { stroke: 'blue' }, labelField }]}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      const featureLayer = wrapper.find('FeatureLayer');
+      expect(featureLayer).to.have.prop('focusable', true);
+      expect(featureLayer).to.have.prop('focusOrder', focusOrder);
+      expect(featureLayer).to.have.prop('labelField', labelField);
+      expect(featureLayer).to.have.prop('pathFocusedStyle').that.deep.equals({ stroke: 'blue' });
+
+      wrapper.setProps({ focusable: undefined });
+      expect(wrapper.find('FeatureLayer')).to.have.prop('focusable', false);
+    });
+
+    it('fits projected geometry within its container', () => {
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          projection="mercator"
+          topology={geo}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      const { bounds, scale, translate } = wrapper.state();
+      const [[x0, y0], [x1, y1]] = bounds;
+      const projectedBounds = [
+        [x0 * scale + translate[0], y0 * scale + translate[1]],
+        [x1 * scale + translate[0], y1 * scale + translate[1]],
+      ];
+
+      // bounds are centered, and fit either width or height
+      expect(projectedBounds[0][0] + projectedBounds[1][0]).to.be.closeTo(960, 1e-6);
+      expect(projectedBounds[0][1] + projectedBounds[1][1]).to.be.closeTo(500, 1e-6);
+      expect(Math.max(
+        (projectedBounds[1][0] - projectedBounds[0][0]) / 960,
+        (projectedBounds[1][1] - projectedBounds[0][1]) / 500
+      )).to.be.closeTo(1, 1e-6);
+    });
+
+    it('renders feature layers from geojson, skipping mesh layers', () => {
+      const geojson = { country: getGeoJSON('country'), states: getGeoJSON('states') };
+      const wrapper = shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          geojson={geojson}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          valueField={valueField}
+          width={960}
+        />
+      );
+
+      expect(wrapper.find('svg')).to.have.exactly(1).descendants('FeatureLayer');
+      expect(wrapper.find('svg')).to.not.have.descendants('Path');
+      expect(wrapper.state('bounds')).to.deep.equal(
+        shallow(
+          <Choropleth
+            colorScale={noop}
+            data={data}
+            keyField={keyField}
+            layers={layers}
+            topology={geo}
+            valueField={valueField}
+          />
+        ).state('bounds')
+      );
+    });
+
     it('does not render a layer when layer.visible !== truthy', () => {
       const updatedLayers = layers.map((l, i) => {
         const visible = i !== 0;
@@ -146,5 +379,658 @@ describe('<Choropleth />', () => {
       expect(wrapper.find('svg')).to.not.have.descendants('FeatureLayer');
       expect(wrapper.find('svg')).to.have.exactly(1).descendants('Path');
     });
+
+    describe('zoom to features', () => {
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          geometryKeyField="id"
+          height={500}
+          keyField={keyField}
+          layers={[{ name: 'states', object: 'states', type: 'feature', visible: true }]}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      it('finds features of visible feature layers by location id', () => {
+        const inst = render().instance();
+        const [first, second] = locIds.slice(1);
+        const features = inst.findFeatures([first, `${second}`]);
+
+        expect(features.map((feature) => feature.id)).to.have.members([first, second]);
+        expect(inst.findFeatures([-1])).to.be.empty;
+      });
+
+      it('calculates a transform that centers features within the map', () => {
+        const inst = render().instance();
+        const features = inst.findFeatures([locIds[1]]);
+        const transform = inst.calcZoomTransformToFit(features);
+        const [[x0, y0], [x1, y1]] = inst.state.pathGenerator.bounds({
+          type: 'FeatureCollection',
+          features,
+        });
+
+        expect(transform.k).to.be.above(inst.state.scaleBase);
+        // bounds of zoomed feature in pixel space are centered
+        expect(((x0 - inst.state.translate[0]) / inst.state.scale) * transform.k + transform.x
+          + ((x1 - inst.state.translate[0]) / inst.state.scale) * transform.k + transform.x)
+          .to.be.closeTo(960, 1);
+        expect(((y0 - inst.state.translate[1]) / inst.state.scale) * transform.k + transform.y
+          + ((y1 - inst.state.translate[1]) / inst.state.scale) * transform.k + transform.y)
+          .to.be.closeTo(500, 1);
+      });
+
+      it('respects maxZoom', () => {
+        const inst = render({ maxZoom: 3 }).instance();
+        const transform = inst.calcZoomTransformToFit(inst.findFeatures([locIds[1]]));
+        expect(transform.k).to.equal(3);
+      });
+
+      it('does not calculate a transform for no features', () => {
+        expect(render().instance().calcZoomTransformToFit([])).to.be.null;
+      });
+
+      it('passes a double-click handler to feature layers when zoomToFeatureOnDoubleClick', () => {
+        expect(render().find('FeatureLayer').prop('onDoubleClick')).to.be.undefined;
+        const wrapper = render({ zoomToFeatureOnDoubleClick: true });
+        expect(wrapper.find('FeatureLayer'))
+          .to.have.prop('onDoubleClick', wrapper.instance().onPathDoubleClick);
+      });
+    });
+
+    describe('area selection', () => {
+      const onSelectArea = sinon.spy();
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          geometryKeyField="id"
+          height={500}
+          keyField={keyField}
+          layers={[{ name: 'states', object: 'states', type: 'feature', visible: true }]}
+          onSelectArea={onSelectArea}
+          selectionMode="box"
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      afterEach(() => {
+        onSelectArea.reset();
+      });
+
+      it('reports features, and their data, that intersect an area', () => {
+        const inst = render().instance();
+        const states = inst.state.cache.feature.states.features;
+
+        inst.selectArea([[0, 0], [960, 0], [960, 500], [0, 500], [0, 0]]);
+        expect(onSelectArea.calledOnce).to.be.true;
+        const [features, selectedData] = onSelectArea.args[0];
+        expect(features).to.have.members(states);
+        expect(selectedData).to.have.length(states.length);
+        selectedData.forEach((datum) => {
+          expect(getLocationIds(states)).to.include(datum[keyField]);
+        });
+
+        inst.selectArea([[-20, -20], [-10, -20], [-10, -10], [-20, -10], [-20, -20]]);
+        expect(onSelectArea.args[1]).to.deep.equal([[], []]);
+      });
+
+      it('selects area by shift-drag, which is not handled by zoom', () => {
+        const wrapper = render();
+        const inst = wrapper.instance();
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+
+        // jsdom does not lay out elements
+        Object.defineProperties(svg, { clientLeft: { value: 0 }, clientTop: { value: 0 } });
+        inst.saveSvgRef(svg);
+        const event = (type, clientX, clientY) => ({
+          button: 0,
+          clientX,
+          clientY,
+          preventDefault() {},
+          shiftKey: true,
+          stopImmediatePropagation() {},
+          type,
+          view: window,
+        });
+
+        expect(customEvent(event('mousedown', 0, 0), inst.zoomFilter)).to.be.false;
+
+        customEvent(event('mousedown', 0, 0), inst.selectAreaStart);
+        customEvent(event('mousemove', 960, 500), inst.selectAreaMove);
+        expect(wrapper.state('selectionArea')).to.have.length(5);
+        expect(wrapper.find('path').last()).to.have.prop('d', 'M0,0L960,0L960,500L0,500L0,0Z');
+
+        customEvent(event('mouseup', 960, 500), inst.selectAreaEnd);
+        expect(wrapper.state('selectionArea')).to.be.null;
+        expect(onSelectArea.calledOnce).to.be.true;
+        expect(onSelectArea.args[0][0]).to.have.length(inst.state.cache.feature.states.features.length);
+      });
+
+      it('leaves shift-drag to zoom without a selectionMode', () => {
+        const inst = render({ selectionMode: undefined }).instance();
+        const event = { type: 'mousedown', button: 0, shiftKey: true, target: null };
+        expect(customEvent(event, inst.zoomFilter)).to.be.true;
+
+        customEvent({ ...event, view: window }, inst.selectAreaStart);
+        expect(inst.state.selectionArea).to.be.null;
+      });
+    });
+
+    describe('minimap', () => {
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          geometryKeyField="id"
+          height={500}
+          keyField={keyField}
+          layers={[{ name: 'states', object: 'states', type: 'feature', visible: true }]}
+          minimap
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      it('does not render a minimap by default', () => {
+        const wrapper = render({ minimap: undefined });
+        expect(wrapper.find('Minimap')).to.have.length(0);
+      });
+
+      it('renders a minimap of visible feature layers, following the view', () => {
+        const wrapper = render();
+        const minimap = wrapper.find('Minimap');
+        expect(minimap).to.have.length(1);
+        expect(minimap.prop('features')).to.deep.equal(wrapper.state('cache').feature.states.features);
+        expect(minimap).to.have.prop('width', 120);
+        expect(minimap).to.have.prop('height', 90);
+        expect(minimap).to.have.prop('mapWidth', 960);
+
+        const { scale, translate } = wrapper.state();
+        expect(minimap).to.have.prop('transform')
+          .that.deep.equals({ k: scale, x: translate[0], y: translate[1] });
+      });
+
+      it('pans the map by the offset of the dragged viewport', () => {
+        const inst = render().instance();
+        const call = sinon.spy();
+        inst.saveSvgRef(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+        inst._svgSelection = { call }; // eslint-disable-line no-underscore-dangle
+
+        inst.onMinimapPan(10, -5);
+        const { scale } = inst.state.minimapView;
+        expect(call.calledWith(inst.zoom.translateBy, -10 / scale, 5 / scale)).to.be.true;
+      });
+    });
+
+    describe('scale bar and compass', () => {
+      const topology = { ...geo, projection: { metersPerUnit: 1000 } };
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          compass
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          scaleBar
+          topology={topology}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      // render the scale bar and compass as they are within the map
+      const renderOverlays = wrapper => shallow(wrapper.find('Overlays').node);
+
+      it('does not render a scale bar or compass by default', () => {
+        const overlays = renderOverlays(render({ compass: undefined, scaleBar: undefined }));
+        expect(overlays.find('ScaleBar')).to.have.length(0);
+        expect(overlays.find('Compass')).to.have.length(0);
+      });
+
+      it('does not render a scale bar or compass if distance is unknown', () => {
+        const overlays = renderOverlays(render({ topology: geo }));
+        expect(overlays.find('ScaleBar')).to.have.length(0);
+        expect(overlays.find('Compass')).to.have.length(0);
+      });
+
+      it('renders a scale bar and compass that follow zoom', () => {
+        const wrapper = render({ scaleBarUnits: 'imperial' });
+        const scale = wrapper.state('scale');
+        let overlays = renderOverlays(wrapper);
+        expect(overlays.find('ScaleBar')).to.have.prop('metersPerPixel', 1000 / scale);
+        expect(overlays.find('ScaleBar')).to.have.prop('units', 'imperial');
+        expect(overlays.find('Compass')).to.have.prop('angle', 0);
+
+        sinon.stub(wrapper.instance(), 'currentZoomTransform')
+          .returns(zoomIdentity.scale(scale * 2));
+        wrapper.instance().zoomEvent();
+        wrapper.update();
+        overlays = renderOverlays(wrapper);
+        expect(overlays.find('ScaleBar')).to.have.prop('metersPerPixel', 500 / scale);
+      });
+
+      it('measures from projection metadata of new geometry', () => {
+        const wrapper = render();
+        wrapper.instance().saveSvgRef(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+        wrapper.setProps({ topology: { ...geo, projection: { metersPerUnit: 10 } } });
+        expect(renderOverlays(wrapper).find('ScaleBar'))
+          .to.have.prop('metersPerPixel', 10 / wrapper.state('scale'));
+      });
+    });
+
+    describe('simplification', () => {
+      // presimplified line, whose middle point has an effective area of 0.5 (topology units)
+      const line = { type: 'LineString', coordinates: [[0, 0, Infinity], [10, 10, 0.5], [20, 0, Infinity]] };
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          zoomTransform={{ k: 1, x: 0, y: 0 }}
+          {...props}
+        />
+      );
+
+      it('drops points whose area is less than a square px by default', () => {
+        expect(render().state('pathGenerator')(line)).to.equal('M0,0L20,0');
+      });
+
+      it('accepts a px^2 area, a function of scale, or "off"', () => {
+        expect(render({ simplification: 0.25 }).state('pathGenerator')(line)).to.equal('M0,0L10,10L20,0');
+        expect(render({ simplification: 'off' }).state('pathGenerator')(line)).to.equal('M0,0L10,10L20,0');
+
+        const simplification = sinon.stub().returns(0.25);
+        const wrapper = render({ simplification, zoomTransform: { k: 2, x: 0, y: 0 } });
+        expect(simplification.calledWith(2)).to.be.true;
+
+        // at a scale of 2, the middle point has an area of 2px^2
+        expect(wrapper.state('pathGenerator')(line)).to.equal('M0,0L20,20L40,0');
+      });
+
+      it('recreates path generators when changed', () => {
+        const wrapper = render({ geometryKeyField: 'id', layers: [{ name: 'states', object: 'states', type: 'feature', visible: true }], insets: [{ name: 'inset', locations: [getLocationIds(geo.objects.states.geometries)[0]], x: 0, y: 0, width: 100, height: 100 }] });
+        const { insetViews, pathGenerator } = wrapper.state();
+        wrapper.setProps({ simplification: 'off' });
+        expect(wrapper.state('pathGenerator')).to.not.equal(pathGenerator);
+        expect(wrapper.state('pathGenerator')(line)).to.equal('M0,0L10,10L20,0');
+        expect(wrapper.state('insetViews').inset.pathGenerator).to.not.equal(insetViews.inset.pathGenerator);
+      });
+    });
+
+    describe('zoom state', () => {
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+      const transform = zoomIdentity.translate(10, 20).scale(3);
+
+      it('calls onZoom and updates its view when uncontrolled', () => {
+        const onZoom = sinon.spy();
+        const wrapper = render({ onZoom });
+        sinon.stub(wrapper.instance(), 'currentZoomTransform').returns(transform);
+
+        wrapper.instance().zoomEvent();
+        expect(onZoom.calledOnce).to.be.true;
+        expect(onZoom.calledWith(transform)).to.be.true;
+        expect(wrapper.state('scale')).to.equal(3);
+        expect(wrapper.state('translate')).to.deep.equal([10, 20]);
+      });
+
+      it('renders initial view from zoomTransform', () => {
+        const wrapper = render({ zoomTransform: { k: 2, x: 5, y: 6 } });
+        expect(wrapper.state('scale')).to.equal(2);
+        expect(wrapper.state('translate')).to.deep.equal([5, 6]);
+      });
+
+      it('only follows zoomTransform when controlled', () => {
+        const onZoom = sinon.spy();
+        const zoomTransform = { k: 2, x: 5, y: 6 };
+        const wrapper = render({ onZoom, zoomTransform });
+        sinon.stub(wrapper.instance(), 'currentZoomTransform').returns(transform);
+
+        wrapper.instance().zoomEvent();
+        expect(onZoom.calledWith(transform)).to.be.true;
+        expect(wrapper.state('scale')).to.equal(2);
+
+        wrapper.setProps({ zoomTransform: { k: transform.k, x: transform.x, y: transform.y } });
+        expect(wrapper.state('scale')).to.equal(3);
+        expect(wrapper.state('translate')).to.deep.equal([10, 20]);
+      });
+      it('keeps the view of zoomTransform when resized while controlled', () => {
+        const onZoom = sinon.spy();
+        const zoomTransform = { k: 2, x: 5, y: 6 };
+        const wrapper = render({ onZoom, zoomTransform });
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        wrapper.instance().saveSvgRef(svg);
+        wrapper.instance().componentDidMount();
+
+        wrapper.setProps({ width: 480 });
+        expect(wrapper.state('scale')).to.equal(2);
+        expect(wrapper.state('translate')).to.deep.equal([5, 6]);
+        expect(onZoom.called).to.be.false;
+
+        // d3's zoom behavior is in line with zoomTransform, from which the next interaction starts
+        const { k, x, y } = wrapper.instance().currentZoomTransform();
+        expect({ k, x, y }).to.deep.equal(zoomTransform);
+      });
+    });
+
+    describe('geometry worker', () => {
+      const workerLayers = [
+        { name: 'country', object: 'country', type: 'feature', visible: true, style: {} },
+        { name: 'states', object: 'states', type: 'mesh', visible: true, meshFilter: { type: 'disputedBorders', geometryKeyField: 'id' } },
+        { name: 'hidden', object: 'states', type: 'feature', visible: false },
+        { name: 'points', type: 'points', data: [], dataAccessors: { key: 'id', latitude: 'lat', longitude: 'lon' }, visible: true },
+      ];
+
+      function createWorker() {
+        const listeners = { error: [], message: [] };
+        return {
+          addEventListener: (type, listener) => listeners[type].push(listener),
+          removeEventListener: (type, listener) => pull(listeners[type], listener),
+          postMessage: sinon.spy(),
+
+          // respond to the latest request, as would a worker running utils/geometry-worker,
+          // which receives a structured clone of options
+          respond() {
+            const { id, options } = this.postMessage.lastCall.args[0];
+            const result = processGeometry({ ...options, topology: cloneDeep(options.topology) });
+            forEach([...listeners.message], listener => listener({ data: { id, result } }));
+          },
+
+          fail() {
+            forEach([...listeners.error], listener => listener({ message: 'failed' }));
+          },
+        };
+      }
+
+      const render = (props) => {
+        const wrapper = shallow(
+          <Choropleth
+            colorScale={noop}
+            data={data}
+            geometryKeyField="id"
+            height={500}
+            keyField={keyField}
+            layers={workerLayers}
+            topology={geo}
+            valueField={valueField}
+            width={960}
+            {...props}
+          />
+        );
+        const inst = wrapper.instance();
+        inst.saveSvgRef(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+        inst._svgSelection = { call: sinon.spy(), on: sinon.spy() }; // eslint-disable-line no-underscore-dangle
+        inst.componentDidMount();
+        return wrapper;
+      };
+
+      it('posts only what a worker can process', () => {
+        const request = Choropleth.getGeometryRequest({
+          geometryKeyField: 'id',
+          insets: [{ name: 'inset', locations: [1], x: 0, y: 0, width: 10, height: 10 }],
+          layers: workerLayers,
+          projection: 'mercator',
+          topology: geo,
+        });
+        expect(request.layers).to.deep.equal([
+          { name: 'country', object: 'country', type: 'feature' },
+          { name: 'states', object: 'states', type: 'mesh', meshFilter: { type: 'disputedBorders', geometryKeyField: 'id' } },
+        ]);
+        expect(request.insets).to.deep.equal([{ name: 'inset', locations: [1] }]);
+        expect(request.topology).to.equal(geo);
+
+        const props = { geometryKeyField: 'id', insets: [], layers: workerLayers, topology: geo };
+        expect(Choropleth.getGeometryRequest({ ...props, projection: geoMercator() })).to.be.null;
+        expect(Choropleth.getGeometryRequest({ ...props, layers })).to.be.null;
+        expect(Choropleth.getGeometryRequest({
+          ...props,
+          geometryKeyField: feature => feature.id,
+          insets: [{ name: 'inset', locations: [1] }],
+        })).to.be.null;
+      });
+
+      it('processes geometry within a worker, showing a spinner in the meantime', () => {
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker });
+        expect(wrapper.state('loading')).to.be.true;
+        expect(wrapper.state('cache')).to.deep.equal({});
+        expect(wrapper.find('Spinner')).to.have.length(1);
+        expect(geometryWorker.postMessage.calledOnce).to.be.true;
+
+        geometryWorker.respond();
+        wrapper.update();
+        expect(wrapper.state('loading')).to.be.false;
+        expect(wrapper.state('cache').feature).to.have.property('country');
+        expect(wrapper.state('cache').mesh).to.have.property('states');
+        expect(wrapper.find('Spinner')).to.have.length(0);
+
+        // fit to the map as if processed on the main thread
+        const synchronous = render();
+        expect(wrapper.state('scale')).to.equal(synchronous.state('scale'));
+        expect(wrapper.state('translate')).to.deep.equal(synchronous.state('translate'));
+      });
+
+      it('processes geometry on the main thread if the worker fails', () => {
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker });
+        geometryWorker.fail();
+        expect(wrapper.state('loading')).to.be.false;
+        expect(wrapper.state('cache').feature).to.have.property('country');
+      });
+
+      it('processes geometry on the main thread if it cannot be posted to a worker', () => {
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker, layers });
+        expect(wrapper.state('loading')).to.be.false;
+        expect(wrapper.state('cache').feature).to.have.property('country');
+        expect(geometryWorker.postMessage.called).to.be.false;
+      });
+
+      it('processes new geometry within the worker', () => {
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker });
+        geometryWorker.respond();
+
+        wrapper.setProps({ topology: { ...geo } });
+        expect(wrapper.state('loading')).to.be.true;
+        expect(geometryWorker.postMessage.calledTwice).to.be.true;
+
+        // previous geometry is drawn until new geometry is processed
+        expect(wrapper.state('cache').feature).to.have.property('country');
+
+        geometryWorker.respond();
+        expect(wrapper.state('loading')).to.be.false;
+      });
+
+      it('processes changes of layers within the worker, keeping the current view', () => {
+        // topology that has not been presimplified
+        const topology = { ...geo, arcs: geo.arcs.map(arc => arc.map(([x, y]) => [x, y])) };
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker, topology });
+        geometryWorker.respond();
+
+        const inst = wrapper.instance();
+        const scale = wrapper.state('scale') * 2;
+        sinon.stub(inst, 'currentZoomTransform').returns(zoomIdentity.translate(10, 20).scale(scale));
+        inst.zoomEvent();
+
+        // e.g., borders of selected locations, which change with every selection
+        const meshLayer = { name: 'states', object: 'states', type: 'mesh', visible: true, meshFilter: { type: 'nonDisputedBorders', geometryKeyField: 'id' } };
+        const previousMesh = wrapper.state('cache').mesh.states;
+        wrapper.setProps({ layers: [workerLayers[0], meshLayer] });
+        expect(geometryWorker.postMessage.calledTwice).to.be.true;
+        expect(wrapper.state('loading')).to.be.true;
+        expect(wrapper.state('cache').mesh.states).to.equal(previousMesh);
+
+        // topology of the caller is not presimplified on the main thread
+        expect(topology.arcs.every(arc => arc.every(point => point.length === 2))).to.be.true;
+
+        geometryWorker.respond();
+        expect(wrapper.state('loading')).to.be.false;
+        expect(wrapper.state('cache').mesh.states).to.not.equal(previousMesh);
+        expect(wrapper.state('scale')).to.equal(scale);
+        expect(wrapper.state('translate')).to.deep.equal([10, 20]);
+
+        // changes of style alone are not processed
+        wrapper.setProps({ layers: [{ ...workerLayers[0], style: { fill: 'red' } }, meshLayer] });
+        expect(geometryWorker.postMessage.calledTwice).to.be.true;
+        expect(wrapper.state('loading')).to.be.false;
+      });
+
+      it('stops listening to the worker once unmounted', () => {
+        const geometryWorker = createWorker();
+        const wrapper = render({ geometryWorker });
+        wrapper.unmount();
+        geometryWorker.respond();
+        expect(geometryWorker.postMessage.calledOnce).to.be.true;
+      });
+    });
+
+    describe('insets', () => {
+      const insetLocations = getLocationIds(geo.objects.states.geometries).slice(0, 2);
+      const insetLayers = [
+        { name: 'states', object: 'states', type: 'feature', visible: true },
+        { name: 'borders', object: 'states', type: 'mesh', visible: true, filterFn(a, b) { return a === b; } },
+      ];
+      const insets = [{ name: 'inset', locations: insetLocations, x: 10, y: 300, width: 150, height: 100 }];
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          geometryKeyField="id"
+          height={500}
+          keyField={keyField}
+          layers={insetLayers}
+          onClick={noop}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      it('moves features of insets out of the main map', () => {
+        const { cache, insetCache } = render({ insets }).state();
+        const mainIds = getLocationIds(cache.feature.states.features);
+        const insetIds = getLocationIds(insetCache.inset.states.features);
+
+        expect(insetIds).to.have.members(insetLocations);
+        insetLocations.forEach((locationId) => {
+          expect(mainIds).to.not.include(locationId);
+        });
+        expect(mainIds).to.have.length(geo.objects.states.geometries.length - insetLocations.length);
+      });
+
+      it('excludes borders of features of insets from mesh layers', () => {
+        const withoutInsets = render().state().cache.mesh.borders;
+        const withInsets = render({ insets }).state().cache.mesh.borders;
+        expect(withInsets.coordinates.length).to.be.below(withoutInsets.coordinates.length);
+      });
+
+      it('fits features of each inset within its frame', () => {
+        const { insetViews } = render({ insets }).state();
+        expect(insetViews.inset.scale).to.be.a('number');
+        expect(insetViews.inset.pathGenerator).to.be.a('function');
+      });
+
+      it('renders a framed feature layer for each inset, sharing props with the main map', () => {
+        const wrapper = render({ insets, selectedLocations: [data[0]] });
+        const inset = wrapper.find('Inset');
+        expect(inset).to.have.length(1);
+        expect(inset).to.have.prop('name', 'inset');
+        expect(inset).to.have.prop('x', 10);
+        expect(inset).to.have.prop('y', 300);
+
+        const featureLayer = inset.find('FeatureLayer');
+        expect(featureLayer).to.have.length(1);
+        expect(featureLayer).to.have.prop('onClick', noop);
+        expect(featureLayer).to.have.prop('selectedLocations').that.deep.equals([data[0]]);
+        expect(featureLayer).to.have.prop('pathGenerator', wrapper.state().insetViews.inset.pathGenerator);
+      });
+
+      it('re-extracts geometry when insets change', () => {
+        const wrapper = render({ insets });
+        wrapper.instance().saveSvgRef(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+        wrapper.setProps({ insets: [] });
+        expect(wrapper.state().insetCache).to.deep.equal({});
+        expect(wrapper.state().cache.feature.states.features)
+          .to.have.length(geo.objects.states.geometries.length);
+        expect(wrapper.find('Inset')).to.have.length(0);
+      });
+    });
+
+    describe('pan constraints', () => {
+      const render = (props) => shallow(
+        <Choropleth
+          colorScale={noop}
+          data={data}
+          height={500}
+          keyField={keyField}
+          layers={layers}
+          topology={geo}
+          valueField={valueField}
+          width={960}
+          {...props}
+        />
+      );
+
+      it('does not constrain panning by default', () => {
+        const inst = render().instance();
+        expect(inst.zoom.translateExtent())
+          .to.deep.equal([[-Infinity, -Infinity], [Infinity, Infinity]]);
+      });
+
+      it('constrains panning to padded bounds of geometry', () => {
+        const wrapper = render({ constrainPan: true, panPadding: 10 });
+        const { bounds, scaleBase } = wrapper.state();
+        const pad = 10 / scaleBase;
+
+        expect(wrapper.instance().zoom.translateExtent()).to.deep.equal([
+          [bounds[0][0] - pad, bounds[0][1] - pad],
+          [bounds[1][0] + pad, bounds[1][1] + pad],
+        ]);
+        expect(wrapper.instance().zoom.extent()()).to.deep.equal([[0, 0], [960, 500]]);
+      });
+
+      it('updates constraints when resized', () => {
+        const wrapper = render({ constrainPan: true, panPadding: 10 });
+        wrapper.instance().saveSvgRef(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+        wrapper.setProps({ width: 480 });
+        const { bounds, scaleBase } = wrapper.state();
+        const pad = 10 / scaleBase;
+
+        expect(wrapper.instance().zoom.translateExtent()[0])
+          .to.deep.equal([bounds[0][0] - pad, bounds[0][1] - pad]);
+        expect(wrapper.instance().zoom.extent()()).to.deep.equal([[0, 0], [480, 500]]);
+      });
+    });
   });
 });
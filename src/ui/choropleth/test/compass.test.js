@@ -0,0 +1,17 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+
+import Compass from '../src/compass';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <Compass />', () => {
+  it('renders an arrow rotated toward north', () => {
+    const wrapper = shallow(<Compass angle={-15} size={20} x={50} y={30} />);
+    expect(wrapper.find('g')).to.have.prop('transform', 'translate(50, 30) rotate(-15)');
+    expect(wrapper.find('path').first()).to.have.prop('d', 'M0,-10L5,0H-5Z');
+    expect(wrapper.find('text')).to.have.text('N');
+  });
+});
@@ -2,10 +2,11 @@ import React from 'react';
 import chai, { expect } from 'chai';
 import chaiEnzyme from 'chai-enzyme';
 import { shallow } from 'enzyme';
-import { geoPath } from 'd3';
+import sinon from 'sinon';
+import { geoIdentity, geoPath } from 'd3';
 import { drop, find, omit } from 'lodash';
 import { getGeoJSON, getLocationIds } from '../../../test-utils';
-import { baseColorScale } from '../../../utils';
+import { baseColorScale, bivariateColorScale } from '../../../utils';
 
 import FeatureLayer from '../src/feature-layer';
 import Path from '../src/path';
@@ -250,4 +251,396 @@ describe('Choropleth <FeatureLayer />', () => {
       expect(initialState).to.equal(wrapper.state('sortedFeatures'));
     });
   });
+
+  describe('missingFill', () => {
+    it('fills features without a value with missingFill', () => {
+      const missingFeature = features[0];
+      const wrapper = shallow(
+        <FeatureLayer
+          features={features}
+          data={omit(data, [missingFeature.id])}
+          geometryKeyField="id"
+          keyField="id"
+          missingFill="url(#missing)"
+          valueField="mean"
+          pathGenerator={pathGenerator}
+          colorScale={colorScale}
+        />
+      );
+
+      wrapper.find(Path).forEach((node) => {
+        if (node.prop('feature') === missingFeature) {
+          expect(node).to.have.prop('fill', 'url(#missing)');
+        } else {
+          expect(node.prop('fill')).to.not.equal('url(#missing)');
+        }
+      });
+    });
+
+    it('marks paths of features without a value as missing, so that their fills fade', () => {
+      const missingFeature = features[0];
+      const ease = sinon.spy();
+      const wrapper = shallow(
+        <FeatureLayer
+          features={features}
+          data={{ ...omit(data, [missingFeature.id]), [features[1].id]: { mean: 5 } }}
+          geometryKeyField="id"
+          keyField="id"
+          valueField="mean"
+          pathGenerator={pathGenerator}
+          colorScale={colorScale}
+          transitionDuration={500}
+          transitionEase={ease}
+        />
+      );
+      const findPath = feature => wrapper.find(Path).filterWhere(node =>
+        node.prop('feature') === feature
+      );
+
+      expect(findPath(missingFeature)).to.have.prop('missing', true);
+      expect(findPath(features[1])).to.have.prop('missing', false);
+      expect(findPath(features[1])).to.have.prop('transitionDuration', 500);
+      expect(findPath(features[1])).to.have.prop('transitionEase', ease);
+    });
+  });
+
+  describe('bivariate', () => {
+    const colors = [
+      ['a', 'b'],
+      ['c', 'd'],
+    ];
+    const [first, second, third] = features;
+    const bivariateData = {
+      [first.id]: { id: first.id, mean: 10, change: 0 },
+      [second.id]: { id: second.id, mean: 90, change: 0.8 },
+      [third.id]: { id: third.id, mean: 90 },
+    };
+    const render = props => shallow(
+      <FeatureLayer
+        colorScale={bivariateColorScale([0, 100], [0, 1], colors)}
+        data={bivariateData}
+        features={[first, second, third]}
+        geometryKeyField="id"
+        keyField="id"
+        missingFill="url(#missing)"
+        pathGenerator={pathGenerator}
+        secondaryValueField="change"
+        valueField="mean"
+        {...props}
+      />
+    );
+    const findPath = (wrapper, feature) => wrapper.find(Path).filterWhere(node =>
+      node.prop('feature') === feature
+    );
+
+    it('fills features by both values', () => {
+      const wrapper = render();
+      expect(findPath(wrapper, first)).to.have.prop('fill', 'a');
+      expect(findPath(wrapper, second)).to.have.prop('fill', 'd');
+    });
+
+    it('fills features without both values with missingFill', () => {
+      const wrapper = render();
+      expect(findPath(wrapper, third)).to.have.prop('fill', 'url(#missing)');
+      expect(findPath(wrapper, third)).to.have.prop('missing', true);
+      expect(findPath(wrapper, first)).to.have.prop('missing', false);
+    });
+
+    it('names paths by both values', () => {
+      const wrapper = render({ focusable: true, labelField: 'id' });
+      expect(findPath(wrapper, second)).to.have.prop('ariaLabel', `${second.id}: 90, 0.8`);
+      expect(findPath(wrapper, third)).to.have.prop('ariaLabel', `${third.id}: no data`);
+    });
+
+    it('highlights, and renders last, features of highlightedCell', () => {
+      const wrapper = render({ highlightedCell: [0, 0], pathHoverStyle: { stroke: 'red' } });
+      expect(findPath(wrapper, first)).to.have.prop('hovered', true);
+      expect(findPath(wrapper, second)).to.have.prop('hovered', false);
+      expect(findPath(wrapper, third)).to.have.prop('hovered', false);
+      expect(wrapper.find(Path).last()).to.have.prop('feature', first);
+    });
+  });
+
+  describe('uncertainty', () => {
+    const [first, second, third] = features;
+    const uncertainData = {
+      [first.id]: { id: first.id, mean: 50, lower: 45, upper: 55 },
+      [second.id]: { id: second.id, mean: 50, lower: 0, upper: 100 },
+      [third.id]: { id: third.id, mean: 50 },
+    };
+    const render = props => shallow(
+      <FeatureLayer
+        colorScale={() => 'hsl(0, 100%, 50%)'}
+        data={uncertainData}
+        features={[first, second, third]}
+        geometryKeyField="id"
+        keyField="id"
+        lowerField="lower"
+        pathGenerator={pathGenerator}
+        upperField="upper"
+        valueField="mean"
+        {...props}
+      />
+    );
+    const findPath = (wrapper, feature) => wrapper.find(Path).filterWhere(node =>
+      node.prop('feature') === feature
+    );
+
+    it('desaturates fills by the width of the interval relative to the value', () => {
+      const wrapper = render();
+      expect(findPath(wrapper, first)).to.have.prop('fill', 'rgb(230, 25, 25)');
+      expect(findPath(wrapper, second)).to.have.prop('fill', 'rgb(128, 128, 128)');
+      expect(findPath(wrapper, third)).to.have.prop('fill', 'hsl(0, 100%, 50%)');
+    });
+
+    it('accepts a measure of uncertainty', () => {
+      const uncertaintyScale = sinon.stub().returns(0);
+      const wrapper = render({ uncertaintyScale });
+      expect(uncertaintyScale.calledWith(50, 0, 100)).to.equal(true);
+      expect(findPath(wrapper, second)).to.have.prop('fill', 'hsl(0, 100%, 50%)');
+    });
+
+    it('overlays uncertaintyFill on uncertain features, in lieu of desaturating', () => {
+      const wrapper = render({ uncertaintyFill: 'url(#uncertain)' });
+      expect(findPath(wrapper, second)).to.have.prop('fill', 'hsl(0, 100%, 50%)');
+
+      const overlay = wrapper.find('path');
+      expect(overlay).to.have.length(1);
+      expect(overlay).to.have.prop('fill', 'url(#uncertain)');
+      expect(overlay).to.have.prop('d', pathGenerator(second));
+    });
+
+    it('passes the interval to each path', () => {
+      const wrapper = render();
+      expect(findPath(wrapper, first)).to.have.prop('lower', 45);
+      expect(findPath(wrapper, first)).to.have.prop('upper', 55);
+      expect(findPath(wrapper, third).prop('lower')).to.equal(undefined);
+    });
+  });
+
+  describe('hover', () => {
+    const render = (props) => shallow(
+      <FeatureLayer
+        colorScale={colorScale}
+        data={data}
+        features={features}
+        geometryKeyField="id"
+        keyField="id"
+        pathGenerator={pathGenerator}
+        pathHoverStyle={{ stroke: 'blue' }}
+        valueField="mean"
+        {...props}
+      />
+    );
+    const hovered = wrapper => wrapper.find(Path).filterWhere(node => node.prop('hovered'));
+
+    it('highlights the hovered path, and renders it last', () => {
+      const onMouseOver = sinon.spy();
+      const onMouseLeave = sinon.spy();
+      const wrapper = render({ onMouseLeave, onMouseOver });
+      const path = wrapper.find(Path).first();
+      const event = {};
+
+      path.prop('onMouseOver')(event, path.prop('datum'), { props: path.props() });
+      expect(onMouseOver.calledWith(event, path.prop('datum'))).to.equal(true);
+      expect(hovered(wrapper)).to.have.length(1);
+      expect(hovered(wrapper).prop('feature')).to.equal(path.prop('feature'));
+      expect(hovered(wrapper)).to.have.prop('hoverStyle').that.deep.equals({ stroke: 'blue' });
+      expect(wrapper.find(Path).last().prop('feature')).to.equal(path.prop('feature'));
+
+      path.prop('onMouseLeave')(event, path.prop('datum'), { props: path.props() });
+      expect(onMouseLeave.calledOnce).to.equal(true);
+      expect(hovered(wrapper)).to.have.length(0);
+      expect(wrapper.find(Path).first().prop('feature')).to.equal(path.prop('feature'));
+    });
+
+    it('renders the hovered path after selected paths', () => {
+      const selected = data[features[0].id];
+      const wrapper = render({ selectedLocations: [selected] });
+      const path = wrapper.find(Path).first();
+      path.prop('onMouseOver')({}, path.prop('datum'), { props: path.props() });
+
+      const paths = wrapper.find(Path);
+      expect(paths.last().prop('feature')).to.equal(path.prop('feature'));
+      expect(paths.at(paths.length - 2)).to.have.prop('datum', selected);
+    });
+
+    it('does not track hover without a hover style or className', () => {
+      const onMouseOver = sinon.spy();
+      const wrapper = render({ onMouseOver, pathHoverStyle: undefined });
+      wrapper.find(Path).forEach((node) => {
+        expect(node).to.have.prop('onMouseOver', onMouseOver);
+      });
+    });
+
+    it('highlights the feature of focus, if given, in place of that hovered', () => {
+      const focus = data[features[0].id];
+      const wrapper = render({ focus });
+      expect(hovered(wrapper)).to.have.prop('datum', focus);
+      expect(wrapper.find(Path).last()).to.have.prop('datum', focus);
+
+      const path = wrapper.find(Path).first();
+      path.prop('onMouseOver')({}, path.prop('datum'), { props: path.props() });
+      expect(hovered(wrapper)).to.have.prop('datum', focus);
+
+      wrapper.setProps({ focus: null });
+      expect(hovered(wrapper)).to.have.length(0);
+    });
+
+    it('highlights the feature of focusKey, whether or not it has a datum', () => {
+      const feature = features[1];
+      const wrapper = render({ data: omit(data, [feature.id]), focus: null, focusKey: feature.id });
+      expect(hovered(wrapper)).to.have.length(1);
+      expect(hovered(wrapper).prop('feature') === feature).to.equal(true);
+      expect(hovered(wrapper).prop('datum')).to.equal(undefined);
+
+      wrapper.setProps({ focusKey: null });
+      expect(hovered(wrapper)).to.have.length(0);
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    const render = (props) => shallow(
+      <FeatureLayer
+        colorScale={colorScale}
+        data={data}
+        features={features}
+        focusable
+        geometryKeyField="id"
+        keyField="id"
+        pathGenerator={pathGenerator}
+        valueField="mean"
+        {...props}
+      />
+    );
+    const keyOf = (node) => String(node.prop('feature').id);
+
+    it('does not make paths focusable unless focusable', () => {
+      const wrapper = render({ focusable: false, labelField: 'id' });
+      wrapper.find(Path).forEach((node) => {
+        expect(node.prop('tabIndex')).to.equal(undefined);
+        expect(node.prop('ariaLabel')).to.equal(undefined);
+      });
+    });
+
+    it('makes exactly one path reachable by Tab', () => {
+      const wrapper = render();
+      const tabIndexes = wrapper.find(Path).map(node => node.prop('tabIndex'));
+      expect(tabIndexes.filter(tabIndex => tabIndex === 0)).to.have.length(1);
+      expect(tabIndexes.filter(tabIndex => tabIndex === -1)).to.have.length(features.length - 1);
+    });
+
+    it('names paths by labelField and value', () => {
+      const missingFeature = features[0];
+      const wrapper = render({
+        data: omit(data, [missingFeature.id]),
+        labelField: feature => `state ${feature.id}`,
+        valueFormat: value => `${value}%`,
+      });
+
+      wrapper.find(Path).forEach((node) => {
+        const feature = node.prop('feature');
+        expect(node).to.have.prop('ariaLabel', feature === missingFeature
+          ? `state ${feature.id}: no data`
+          : `state ${feature.id}: ${data[feature.id].mean}%`);
+      });
+    });
+
+    it('marks the path with focus as focused, and makes it the one reachable by Tab', () => {
+      const wrapper = render();
+      const path = wrapper.find(Path).last();
+      path.prop('onFocus')({}, path.prop('datum'), { props: path.props() });
+
+      const focused = wrapper.find(Path).filterWhere(node => node.prop('focused'));
+      expect(focused).to.have.length(1);
+      expect(keyOf(focused)).to.equal(keyOf(path));
+      expect(focused).to.have.prop('tabIndex', 0);
+
+      focused.prop('onBlur')({}, focused.prop('datum'), { props: focused.props() });
+      expect(wrapper.find(Path).filterWhere(node => node.prop('focused'))).to.have.length(0);
+      expect(wrapper.find(Path).find({ tabIndex: 0 }).prop('feature'))
+        .to.equal(path.prop('feature'));
+    });
+
+    it('moves focus in focusOrder with arrow keys, Home and End', () => {
+      const focusOrder = getLocationIds(features).reverse();
+      const wrapper = render({ focusOrder });
+      const focus = sinon.spy();
+      focusOrder.forEach((key) => { wrapper.instance().pathRef(String(key))({ focus }); });
+
+      const pressKey = (keyCode, fromKey) => {
+        const node = wrapper.find(Path).filterWhere(path => keyOf(path) === String(fromKey));
+        const event = { keyCode, preventDefault: sinon.spy() };
+        node.prop('onKeyDown')(event, node.prop('datum'), { props: node.props() });
+        return event;
+      };
+      const tabStop = () => keyOf(wrapper.find(Path).find({ tabIndex: 0 }));
+
+      expect(tabStop()).to.equal(String(focusOrder[0]));
+      pressKey(39, focusOrder[0]);
+      expect(tabStop()).to.equal(String(focusOrder[1]));
+      expect(focus.calledOnce).to.equal(true);
+
+      pressKey(38, focusOrder[1]);
+      expect(tabStop()).to.equal(String(focusOrder[0]));
+
+      pressKey(35, focusOrder[0]);
+      expect(tabStop()).to.equal(String(focusOrder[focusOrder.length - 1]));
+
+      // no feature before the first; focus does not move, and the event is left alone
+      const event = pressKey(37, focusOrder[0]);
+      expect(event.preventDefault.called).to.equal(false);
+    });
+
+    it('finds the nearest feature in the direction of an arrow key', () => {
+      const keyboardOrder = [
+        { key: 'a', centroid: [0, 0] },
+        { key: 'b', centroid: [10, 0] },
+        { key: 'c', centroid: [5, 1] },
+        { key: 'd', centroid: [0, 10] },
+      ];
+
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'a', 39, true)).to.equal('c');
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'a', 40, true)).to.equal('d');
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'b', 37, true)).to.equal('c');
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'a', 37, true)).to.equal(undefined);
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'd', 38, true)).to.equal('a');
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'a', 36, true)).to.equal('a');
+      expect(FeatureLayer.getNeighbor(keyboardOrder, 'a', 35, true)).to.equal('d');
+    });
+
+    it('keeps keyboard order as the map is zoomed or panned', () => {
+      const wrapper = render();
+      const keyboardOrder = wrapper.state('keyboardOrder');
+      expect(keyboardOrder).to.have.length(features.length);
+
+      // every feature is clipped out of view
+      const clipped = Object.assign(() => '', { centroid: () => [NaN, NaN] });
+      wrapper.setProps({ pathGenerator: clipped });
+      expect(wrapper.state('keyboardOrder')).to.equal(keyboardOrder);
+      expect(wrapper.find(Path).find({ tabIndex: 0 })).to.have.length(1);
+
+      // focus moves from features out of view
+      const [first, second] = keyboardOrder;
+      expect(FeatureLayer.getNeighbor(keyboardOrder, first.key, 39, false)).to.equal(second.key);
+    });
+
+    it('orders features geographically, top to bottom, left to right', () => {
+      const keyboardOrder = FeatureLayer.getKeyboardOrder({ features, geometryKeyField: 'id' });
+      const ys = keyboardOrder.map(({ centroid }) => centroid[1]);
+      expect(ys).to.deep.equal([...ys].sort((a, b) => a - b));
+      expect(keyboardOrder).to.have.length(features.length);
+    });
+
+    it('orders features as projected', () => {
+      const keys = order => order.map(({ key }) => key);
+      const keyboardOrder = FeatureLayer.getKeyboardOrder({ features, geometryKeyField: 'id' });
+      const reflected = FeatureLayer.getKeyboardOrder({
+        features,
+        geometryKeyField: 'id',
+        projection: geoIdentity().reflectY(true),
+      });
+      expect(keys(reflected)).to.deep.equal(keys(keyboardOrder).reverse());
+    });
+  });
 });
@@ -0,0 +1,29 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+
+import Inset from '../src/inset';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <Inset />', () => {
+  it('renders a frame, marked as an inset, around its layers', () => {
+    const wrapper = shallow(
+      <Inset height={100} name="alaska" style={{ stroke: 'red' }} width={150} x={10} y={300}>
+        <g className="layer" />
+      </Inset>
+    );
+    const svg = wrapper.find('svg');
+    expect(svg).to.have.prop('data-inset', 'alaska');
+    expect(svg).to.have.prop('x', 10);
+    expect(svg).to.have.prop('y', 300);
+    expect(svg).to.have.prop('width', 150);
+
+    const frame = svg.find('rect');
+    expect(frame).to.have.length(1);
+    expect(frame).to.have.prop('height', 100);
+    expect(frame).to.have.prop('style').that.deep.equals({ stroke: 'red' });
+    expect(svg.find('.layer')).to.have.length(1);
+  });
+});
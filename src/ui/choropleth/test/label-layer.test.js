@@ -0,0 +1,138 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import { geoEquirectangular } from 'd3';
+import { forEach } from 'lodash';
+
+import LabelLayer from '../src/label-layer';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <LabelLayer />', () => {
+  const square = (id, name, [x, y], size) => ({
+    type: 'Feature',
+    id,
+    properties: { name },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]]],
+    },
+  });
+
+  const features = [
+    square(1, 'large', [0, 0], 100),
+    square(2, 'small', [200, 0], 10),
+  ];
+
+  const props = {
+    features,
+    geometryKeyField: 'id',
+    height: 500,
+    labelField: 'properties.name',
+    scale: 1,
+    translate: [0, 0],
+    width: 500,
+  };
+
+  it('renders a label at the centroid of each feature', () => {
+    const wrapper = shallow(<LabelLayer {...props} minArea={0} />);
+    const labels = wrapper.find('text');
+    expect(labels).to.have.length(2);
+    expect(labels.first()).to.have.text('large');
+    expect(labels.first()).to.have.prop('x', 50);
+    expect(labels.first()).to.have.prop('y', 50);
+  });
+
+  it('accepts a function as labelField', () => {
+    const wrapper = shallow(
+      <LabelLayer {...props} labelField={feature => `#${feature.id}`} minArea={0} />
+    );
+    expect(wrapper.find('text').first()).to.have.text('#1');
+  });
+
+  it('hides labels of features smaller than minArea', () => {
+    const wrapper = shallow(<LabelLayer {...props} minArea={400} />);
+    expect(wrapper.find('text')).to.have.length(1);
+    expect(wrapper.find('text')).to.have.text('large');
+  });
+
+  it('follows zoom, showing labels of features that grow larger than minArea', () => {
+    const wrapper = shallow(<LabelLayer {...props} minArea={400} />);
+    wrapper.setProps({ scale: 2, translate: [-50, -10] });
+
+    const labels = wrapper.find('text');
+    expect(labels).to.have.length(2);
+    expect(labels.first()).to.have.prop('x', 50);
+    expect(labels.first()).to.have.prop('y', 90);
+    expect(labels.last()).to.have.prop('x', 360);
+  });
+
+  it('hides labels anchored outside of the map', () => {
+    const wrapper = shallow(<LabelLayer {...props} minArea={0} translate={[-150, 0]} />);
+    expect(wrapper.find('text')).to.have.length(1);
+    expect(wrapper.find('text')).to.have.text('small');
+  });
+
+  it('hides labels that collide with labels of larger features', () => {
+    const overlapping = [
+      square(1, 'large', [0, 0], 100),
+      square(2, 'small', [40, 40], 20),
+    ];
+    const wrapper = shallow(<LabelLayer {...props} features={overlapping} minArea={0} />);
+    expect(wrapper.find('text')).to.have.length(1);
+    expect(wrapper.find('text')).to.have.text('large');
+  });
+
+  it('places labels of concave features within them when placement is "pole"', () => {
+    const u = {
+      type: 'Feature',
+      id: 1,
+      properties: { name: 'u' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [0, 0], [0, 30], [30, 30], [30, 0], [20, 0], [20, 20], [10, 20], [10, 0], [0, 0],
+        ]],
+      },
+    };
+
+    const centroid = shallow(<LabelLayer {...props} features={[u]} minArea={0} />)
+      .find('text');
+    expect(centroid.prop('x')).to.be.within(10, 20);
+    expect(centroid.prop('y')).to.be.below(20);
+
+    const pole = shallow(<LabelLayer {...props} features={[u]} minArea={0} placement="pole" />)
+      .find('text');
+    expect(pole.prop('x') < 10 || pole.prop('x') > 20 || pole.prop('y') > 20).to.equal(true);
+  });
+
+  it('projects anchors of unprojected features', () => {
+    // maps degrees to px, with y reflected
+    const projection = geoEquirectangular()
+      .scale(180 / Math.PI)
+      .translate([100, 100]);
+
+    forEach(['centroid', 'pole'], (placement) => {
+      const label = shallow(
+        <LabelLayer
+          {...props}
+          features={[square(1, 'lonlat', [10, 10], 10)]}
+          minArea={0}
+          placement={placement}
+          projection={projection}
+        />
+      ).find('text');
+      expect(label.prop('x')).to.be.closeTo(115, 0.5);
+      expect(label.prop('y')).to.be.closeTo(85, 0.5);
+    });
+  });
+
+  it('applies style to labels', () => {
+    const wrapper = shallow(
+      <LabelLayer {...props} fontSize={14} minArea={0} style={() => ({ fill: 'red' })} />
+    );
+    expect(wrapper.find('text').first().prop('style'))
+      .to.deep.equal({ fill: 'red', fontSize: '14px' });
+  });
+});
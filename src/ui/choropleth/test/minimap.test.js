@@ -0,0 +1,59 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { customEvent, geoPath } from 'd3';
+import { getGeoJSON } from '../../../test-utils';
+
+import Minimap from '../src/minimap';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <Minimap />', () => {
+  const features = getGeoJSON('states', 'feature').features;
+  const props = {
+    features,
+    height: 50,
+    mapHeight: 500,
+    mapWidth: 1000,
+    pathGenerator: geoPath(),
+    scale: 0.1,
+    transform: { k: 1, x: 0, y: 0 },
+    translate: [0, 0],
+    width: 100,
+  };
+
+  it('draws all features as one path', () => {
+    const wrapper = shallow(<Minimap {...props} />);
+    expect(wrapper.find('path')).to.have.length(1);
+    expect(wrapper.find('path')).to.have.prop('d', geoPath()({
+      type: 'FeatureCollection',
+      features,
+    }));
+  });
+
+  it('outlines the part of the map in view', () => {
+    const wrapper = shallow(<Minimap {...props} />);
+    let rect = wrapper.find('rect');
+    expect(rect).to.have.prop('x', 0);
+    expect(rect).to.have.prop('y', 0);
+    expect(rect).to.have.prop('width', 100);
+    expect(rect).to.have.prop('height', 50);
+
+    // zoomed in 2x, panned so that the center of the map is in view
+    wrapper.setProps({ transform: { k: 2, x: -500, y: -250 } });
+    rect = wrapper.find('rect');
+    expect(rect).to.have.prop('x', 25);
+    expect(rect).to.have.prop('y', 12.5);
+    expect(rect).to.have.prop('width', 50);
+    expect(rect).to.have.prop('height', 25);
+  });
+
+  it('calls onPan with the offset of the viewport as it is dragged', () => {
+    const onPan = sinon.spy();
+    const inst = shallow(<Minimap {...props} onPan={onPan} />).instance();
+    customEvent({ dx: 3, dy: -2 }, inst.onDrag);
+    expect(onPan.calledWith(3, -2)).to.equal(true);
+  });
+});
@@ -0,0 +1,98 @@
+/* eslint-disable no-unused-expressions */
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import { geoEquirectangular } from 'd3';
+
+import { getTopoJSON } from '../../../test-utils';
+
+import Overlays from '../src/overlays';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <Overlays />', () => {
+  const geo = getTopoJSON();
+
+  describe('measurement', () => {
+    // maps degrees to px, with y reflected
+    const projection = geoEquirectangular().scale(180 / Math.PI).translate([0, 0]);
+
+    it('measures from a projection, or from projection metadata on topology', () => {
+      expect(Overlays.resolveMeasure(projection, geo)).to.deep.equal({ projection });
+      expect(Overlays.resolveMeasure(null, geo)).to.be.null;
+      expect(Overlays.resolveMeasure(null, { ...geo, projection: { metersPerUnit: 2 } }))
+        .to.deep.equal({ metersPerUnit: 2 });
+
+      const measure = Overlays.resolveMeasure(null, {
+        ...geo,
+        projection: { type: 'albersUsa', scale: 500, translate: [10, 20] },
+      });
+      expect(measure.projection.scale()).to.equal(500);
+      expect(measure.projection.translate()).to.deep.equal([10, 20]);
+      expect(Overlays.resolveMeasure(null, { ...geo, projection: { type: 'unicorn' } }))
+        .to.be.null;
+    });
+
+    it('measures ground distance and direction of north at a point', () => {
+      // at a zoom of 100, 100px spans 1 degree of longitude at the equator
+      const measurement = Overlays.measureAt({ projection }, 100, [0, 0], [0, 0]);
+      expect(measurement.metersPerPixel).to.be.closeTo(1111.95, 0.01);
+      expect(measurement.northAngle).to.be.closeTo(0, 1e-6);
+
+      expect(Overlays.measureAt({ metersPerUnit: 1000 }, 4, [0, 0], [0, 0]))
+        .to.deep.equal({ metersPerPixel: 250, northAngle: 0 });
+      expect(Overlays.measureAt(null, 1, [0, 0], [0, 0])).to.be.null;
+    });
+
+    it('does not measure points outside of the domain of the projection', () => {
+      const measure = Overlays.resolveMeasure(null, { ...geo, projection: { type: 'albersUsa' } });
+      expect(Overlays.measureAt(measure, 1, [0, 0], [-1000, -1000])).to.be.null;
+    });
+  });
+
+  describe('component', () => {
+    const render = props => shallow(
+      <Overlays
+        compass
+        compassSize={20}
+        height={500}
+        measure={{ metersPerUnit: 1000 }}
+        scale={4}
+        scaleBar
+        scaleBarMaxWidth={100}
+        translate={[0, 0]}
+        width={960}
+        {...props}
+      />
+    );
+
+    it('places a scale bar at the bottom right, and a compass at the top right', () => {
+      const wrapper = render({ scaleBarUnits: 'imperial' });
+      const scaleBar = wrapper.find('ScaleBar');
+      expect(scaleBar).to.have.prop('metersPerPixel', 250);
+      expect(scaleBar).to.have.prop('units', 'imperial');
+      expect(scaleBar).to.have.prop('x', 960 - 16 - 100);
+      expect(scaleBar).to.have.prop('y', 500 - 16);
+
+      const compass = wrapper.find('Compass');
+      expect(compass).to.have.prop('angle', 0);
+      expect(compass).to.have.prop('x', 960 - 16 - 10);
+      expect(compass).to.have.prop('y', 16 + 20);
+    });
+
+    it('renders either of the scale bar or compass alone', () => {
+      let wrapper = render({ compass: false });
+      expect(wrapper.find('ScaleBar')).to.have.length(1);
+      expect(wrapper.find('Compass')).to.have.length(0);
+
+      wrapper = render({ scaleBar: false });
+      expect(wrapper.find('ScaleBar')).to.have.length(0);
+      expect(wrapper.find('Compass')).to.have.length(1);
+    });
+
+    it('renders nothing if distance is unknown', () => {
+      expect(render({ measure: null }).type()).to.be.null;
+    });
+  });
+});
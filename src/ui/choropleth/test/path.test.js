@@ -2,9 +2,9 @@
 import React from 'react';
 import chai, { expect } from 'chai';
 import chaiEnzyme from 'chai-enzyme';
-import { shallow } from 'enzyme';
+import { mount, shallow } from 'enzyme';
 import sinon from 'sinon';
-import { geoPath } from 'd3';
+import { easeLinear, geoPath } from 'd3';
 import { getGeoJSON } from '../../../test-utils';
 
 import Path from '../src/path';
@@ -21,7 +21,7 @@ describe('Choropleth <Path />', () => {
   });
 
   describe('events', () => {
-    it(`calls onClick, mouseMove, mouseLeave, and mouseOver 
+    it(`calls onClick, onDoubleClick, mouseMove, mouseLeave, and mouseOver 
     with event, datum, and the React element`, () => {
       const datum = { location_id: 5, mean: 7 };
       const wrapper = shallow(
@@ -30,6 +30,7 @@ describe('Choropleth <Path />', () => {
           pathGenerator={pathGenerator}
           feature={feature}
           onClick={eventHandler}
+          onDoubleClick={eventHandler}
           onMouseMove={eventHandler}
           onMouseLeave={eventHandler}
           onMouseOver={eventHandler}
@@ -41,7 +42,80 @@ describe('Choropleth <Path />', () => {
       };
 
       const inst = wrapper.instance();
-      ['click', 'mouseMove', 'mouseLeave', 'mouseOver'].forEach((evtName) => {
+      ['click', 'doubleClick', 'mouseMove', 'mouseLeave', 'mouseOver'].forEach((evtName) => {
+        eventHandler.reset();
+        wrapper.simulate(evtName, event);
+        expect(eventHandler.calledOnce).to.be.true;
+        expect(eventHandler.calledWith(event, datum, inst)).to.be.true;
+      });
+    });
+  });
+
+  describe('keyboard', () => {
+    const datum = { location_id: 5, mean: 7 };
+    const event = { keyCode: 0, preventDefault() {} };
+
+    it('is not focusable, nor exposed as interactive, without a tabIndex', () => {
+      const wrapper = shallow(<Path pathGenerator={pathGenerator} feature={feature} />);
+      expect(wrapper).to.not.have.attr('role');
+      expect(wrapper).to.not.have.attr('tabindex');
+    });
+
+    it('is exposed to screen readers as a button with an accessible name', () => {
+      const wrapper = shallow(
+        <Path
+          ariaLabel="Kenya: 42"
+          pathGenerator={pathGenerator}
+          feature={feature}
+          selected
+          tabIndex={0}
+        />
+      );
+      expect(wrapper).to.have.prop('role', 'button');
+      expect(wrapper).to.have.prop('aria-label', 'Kenya: 42');
+      expect(wrapper).to.have.prop('aria-pressed', true);
+      expect(wrapper).to.have.prop('tabIndex', 0);
+    });
+
+    it('calls onClick on Enter or space, and onKeyDown otherwise', () => {
+      const onClick = sinon.spy();
+      const wrapper = shallow(
+        <Path
+          datum={datum}
+          feature={feature}
+          onClick={onClick}
+          onKeyDown={eventHandler}
+          pathGenerator={pathGenerator}
+          tabIndex={-1}
+        />
+      );
+      const inst = wrapper.instance();
+
+      wrapper.simulate('keyDown', { ...event, keyCode: 13 });
+      wrapper.simulate('keyDown', { ...event, keyCode: 32 });
+      expect(onClick.calledTwice).to.be.true;
+      expect(onClick.calledWith(sinon.match({ keyCode: 13 }), datum, inst)).to.be.true;
+      expect(eventHandler.called).to.be.false;
+
+      wrapper.simulate('keyDown', { ...event, keyCode: 39 });
+      expect(eventHandler.calledOnce).to.be.true;
+      expect(eventHandler.calledWith(sinon.match({ keyCode: 39 }), datum, inst)).to.be.true;
+    });
+
+    it('calls onFocus and onBlur with event, datum, and the React element', () => {
+      const wrapper = shallow(
+        <Path
+          datum={datum}
+          feature={feature}
+          onBlur={eventHandler}
+          onFocus={eventHandler}
+          pathGenerator={pathGenerator}
+          tabIndex={-1}
+        />
+      );
+      const inst = wrapper.instance();
+
+      ['focus', 'blur'].forEach((evtName) => {
         eventHandler.reset();
         wrapper.simulate(evtName, event);
         expect(eventHandler.calledOnce).to.be.true;
@@ -102,6 +176,73 @@ describe('Choropleth <Path />', () => {
     });
   });
 
+  describe('focus styling', () => {
+    it('applies focusedStyle on top of selectedStyle when focused', () => {
+      const wrapper = shallow(
+        <Path
+          feature={feature}
+          focusedStyle={{ stroke: 'blue' }}
+          pathGenerator={pathGenerator}
+          selected
+          selectedStyle={{ stroke: 'red', strokeWidth: '3px' }}
+        />
+      );
+
+      expect(wrapper).to.have.style('stroke', 'red');
+      wrapper.setProps({ focused: true });
+      expect(wrapper).to.have.style('stroke', 'blue');
+      expect(wrapper).to.have.style('stroke-width', '3px');
+    });
+
+    it('applies hoverStyle on top of selectedStyle, and focusedStyle on top of both', () => {
+      const wrapper = shallow(
+        <Path
+          feature={feature}
+          focusedStyle={{ stroke: 'blue' }}
+          hoverStyle={{ stroke: 'green', strokeWidth: '4px' }}
+          pathGenerator={pathGenerator}
+          selected
+          selectedStyle={{ stroke: 'red', strokeWidth: '3px' }}
+        />
+      );
+
+      wrapper.setProps({ hovered: true });
+      expect(wrapper).to.have.style('stroke', 'green');
+      expect(wrapper).to.have.style('stroke-width', '4px');
+      wrapper.setProps({ focused: true });
+      expect(wrapper).to.have.style('stroke', 'blue');
+      expect(wrapper).to.have.style('stroke-width', '4px');
+    });
+
+    it('applies hoverClassName when hovered', () => {
+      const wrapper = shallow(
+        <Path
+          feature={feature}
+          hoverClassName="qux"
+          pathGenerator={pathGenerator}
+        />
+      );
+
+      expect(wrapper).to.not.have.className('qux');
+      wrapper.setProps({ hovered: true });
+      expect(wrapper).to.have.className('qux');
+    });
+
+    it('applies focusedClassName when focused', () => {
+      const wrapper = shallow(
+        <Path
+          feature={feature}
+          focusedClassName="baz"
+          pathGenerator={pathGenerator}
+        />
+      );
+
+      expect(wrapper).to.not.have.className('baz');
+      wrapper.setProps({ focused: true });
+      expect(wrapper).to.have.className('baz');
+    });
+  });
+
   describe('classes', () => {
     it('applies className and selectedClassName when selected', () => {
       const wrapper = shallow(
@@ -120,4 +261,98 @@ describe('Choropleth <Path />', () => {
       expect(wrapper).to.have.className('bar');
     });
   });
+
+  describe('fill transitions', () => {
+    it('interpolates between colors', () => {
+      const interpolate = Path.interpolateFill(
+        { fill: '#ff0000', missing: false },
+        { fill: '#0000ff', missing: false }
+      );
+
+      expect(interpolate(0)).to.deep.equal({ fill: 'rgb(255, 0, 0)', opacity: 1 });
+      expect(interpolate(0.5)).to.deep.equal({ fill: 'rgb(128, 0, 128)', opacity: 1 });
+      expect(interpolate(1)).to.deep.equal({ fill: 'rgb(0, 0, 255)', opacity: 1 });
+    });
+
+    it('fades out, then in, when a location gains or loses a value', () => {
+      const interpolate = Path.interpolateFill(
+        { fill: '#ccc', missing: true },
+        { fill: '#0000ff', missing: false }
+      );
+
+      expect(interpolate(0)).to.deep.equal({ fill: '#ccc', opacity: 1 });
+      expect(interpolate(0.25)).to.deep.equal({ fill: '#ccc', opacity: 0.5 });
+      expect(interpolate(0.75)).to.deep.equal({ fill: '#0000ff', opacity: 0.5 });
+      expect(interpolate(1)).to.deep.equal({ fill: '#0000ff', opacity: 1 });
+    });
+
+    it('fades fills that are not colors, e.g., patterns', () => {
+      const interpolate = Path.interpolateFill(
+        { fill: 'url(#missing)' },
+        { fill: '#0000ff' }
+      );
+
+      expect(interpolate(0.25)).to.deep.equal({ fill: 'url(#missing)', opacity: 0.5 });
+      expect(interpolate(0.75)).to.deep.equal({ fill: '#0000ff', opacity: 0.5 });
+    });
+
+    it('changes fill immediately by default', () => {
+      const wrapper = mount(
+        <Path feature={feature} fill="#ff0000" pathGenerator={pathGenerator} />
+      );
+      wrapper.setProps({ fill: '#0000ff' });
+
+      expect(wrapper.find('path').getDOMNode().style.fill).to.equal('#0000ff');
+    });
+
+    it('animates changes of fill over transitionDuration', (done) => {
+      const wrapper = mount(
+        <Path
+          feature={feature}
+          fill="#ff0000"
+          pathGenerator={pathGenerator}
+          style={{ fillOpacity: 0.8 }}
+          transitionDuration={20}
+          transitionEase={easeLinear}
+        />
+      );
+      const node = wrapper.find('path').getDOMNode();
+      wrapper.setProps({ fill: '#0000ff' });
+
+      // starts from the previous fill
+      expect(node.style.fill).to.equal('rgb(255, 0, 0)');
+      expect(node.style.fillOpacity).to.equal('0.8');
+
+      setTimeout(() => {
+        expect(node.style.fill).to.equal('#0000ff');
+        expect(node.style.fillOpacity).to.equal('0.8');
+        wrapper.unmount();
+        done();
+      }, 100);
+    });
+
+    it('removes the fill-opacity it applies while fading once the transition ends', (done) => {
+      const wrapper = mount(
+        <Path
+          feature={feature}
+          fill="#ccc"
+          missing
+          pathGenerator={pathGenerator}
+          transitionDuration={20}
+        />
+      );
+      const node = wrapper.find('path').getDOMNode();
+      wrapper.setProps({ fill: '#0000ff', missing: false });
+
+      expect(node.style.fill).to.equal('#ccc');
+      expect(node.style.fillOpacity).to.equal('1');
+
+      setTimeout(() => {
+        expect(node.style.fill).to.equal('#0000ff');
+        expect(node.style.fillOpacity).to.equal('');
+        wrapper.unmount();
+        done();
+      }, 100);
+    });
+  });
 });
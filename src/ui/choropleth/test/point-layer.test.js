@@ -0,0 +1,110 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { geoEquirectangular } from 'd3';
+
+import { Symbol } from '../../shape';
+import PointLayer from '../src/point-layer';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <PointLayer />', () => {
+  const data = [
+    { id: 'a', lat: 10, lon: 10 },
+    { id: 'b', lat: 12, lon: 11 },
+    { id: 'c', lat: 100, lon: 200 },
+    { id: 'd', lat: null, lon: 5 },
+  ];
+
+  const props = {
+    data,
+    dataAccessors: { key: 'id', latitude: 'lat', longitude: 'lon' },
+    scale: 1,
+    translate: [0, 0],
+  };
+
+  it('renders a symbol for each datum with coordinates', () => {
+    const wrapper = shallow(<PointLayer {...props} />);
+    const symbols = wrapper.find(Symbol);
+    expect(symbols).to.have.length(3);
+
+    const first = symbols.find({ datum: data[0] });
+    expect(first).to.have.prop('translateX', 10);
+    expect(first).to.have.prop('translateY', 10);
+  });
+
+  it('follows zoom', () => {
+    const wrapper = shallow(<PointLayer {...props} />);
+    wrapper.setProps({ scale: 2, translate: [5, -5] });
+
+    const first = wrapper.find(Symbol).find({ datum: data[0] });
+    expect(first).to.have.prop('translateX', 25);
+    expect(first).to.have.prop('translateY', 15);
+  });
+
+  it('projects coordinates of unprojected data', () => {
+    // maps degrees to px, with y reflected
+    const projection = geoEquirectangular()
+      .scale(180 / Math.PI)
+      .translate([100, 100]);
+    const wrapper = shallow(<PointLayer {...props} data={[data[0]]} projection={projection} />);
+
+    const symbol = wrapper.find(Symbol);
+    expect(symbol.prop('translateX')).to.be.closeTo(110, 1e-6);
+    expect(symbol.prop('translateY')).to.be.closeTo(90, 1e-6);
+  });
+
+  it('marks selected points, and renders them last', () => {
+    const wrapper = shallow(<PointLayer {...props} selection={[data[0]]} />);
+    const last = wrapper.find(Symbol).last();
+    expect(last).to.have.prop('datum', data[0]);
+    expect(last).to.have.prop('selected', true);
+  });
+
+  describe('clustering', () => {
+    it('groups points that fall within the same cell', () => {
+      const wrapper = shallow(<PointLayer {...props} cluster clusterRadius={40} />);
+
+      // a and b are clustered; c stands alone
+      const symbols = wrapper.find(Symbol);
+      expect(symbols).to.have.length(2);
+      expect(symbols.find({ datum: data[2] })).to.have.length(1);
+
+      const cluster = symbols.filterWhere(symbol => !!symbol.prop('datum').data);
+      expect(cluster.prop('datum').data).to.deep.equal([data[0], data[1]]);
+      expect(cluster).to.have.prop('translateX', 10.5);
+      expect(cluster).to.have.prop('translateY', 11);
+      expect(wrapper.find('text')).to.have.text('2');
+    });
+
+    it('splits clusters when zoomed in', () => {
+      const wrapper = shallow(<PointLayer {...props} cluster clusterRadius={40} />);
+      wrapper.setProps({ scale: 40 });
+      expect(wrapper.find(Symbol)).to.have.length(3);
+      expect(wrapper.find('text')).to.have.length(0);
+    });
+
+    it('calls onClusterClick with the data within a cluster', () => {
+      const onClusterClick = sinon.spy();
+      const wrapper = shallow(
+        <PointLayer {...props} cluster clusterRadius={40} onClusterClick={onClusterClick} />
+      );
+
+      const cluster = wrapper.find(Symbol).filterWhere(symbol => !!symbol.prop('datum').data);
+      const event = {};
+      cluster.prop('onClick')(event, cluster.prop('datum'));
+      expect(onClusterClick.calledOnce).to.equal(true);
+      expect(onClusterClick.args[0][0]).to.equal(event);
+      expect(onClusterClick.args[0][1]).to.deep.equal([data[0], data[1]]);
+    });
+  });
+
+  it('represents data as GeoJSON points', () => {
+    expect(PointLayer.toFeature(data[0], props.dataAccessors).geometry).to.deep.equal({
+      type: 'Point',
+      coordinates: [10, 10],
+    });
+  });
+});
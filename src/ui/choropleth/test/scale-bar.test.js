@@ -0,0 +1,44 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+
+import ScaleBar from '../src/scale-bar';
+
+chai.use(chaiEnzyme());
+
+describe('Choropleth <ScaleBar />', () => {
+  it('rounds distance down to 1, 2, or 5 times a power of ten', () => {
+    expect(ScaleBar.round(7)).to.equal(5);
+    expect(ScaleBar.round(300)).to.equal(200);
+    expect(ScaleBar.round(1999)).to.equal(1000);
+    expect(ScaleBar.round(0.06)).to.be.closeTo(0.05, 1e-9);
+  });
+
+  it('measures the longest bar of a round distance that fits', () => {
+    expect(ScaleBar.measure(3000, 100, 'metric'))
+      .to.deep.equal({ distance: 200, label: '200 km', width: 200000 / 3000 });
+    expect(ScaleBar.measure(3, 100, 'metric'))
+      .to.deep.equal({ distance: 200, label: '200 m', width: 200 / 3 });
+
+    const imperial = ScaleBar.measure(3000, 100, 'imperial');
+    expect(imperial.label).to.equal('100 mi');
+    expect(imperial.width).to.be.closeTo(53.6448, 1e-4);
+    expect(ScaleBar.measure(1, 100, 'imperial').label).to.equal('200 ft');
+
+    expect(ScaleBar.measure(NaN, 100, 'metric')).to.equal(null);
+    expect(ScaleBar.measure(0, 100, 'metric')).to.equal(null);
+  });
+
+  it('renders a bar and its label', () => {
+    const wrapper = shallow(<ScaleBar metersPerPixel={3000} x={10} y={20} />);
+    expect(wrapper.find('g')).to.have.prop('transform', 'translate(10, 20)');
+    expect(wrapper.find('path')).to.have.prop('d', `M0,-5V0H${200000 / 3000}V-5`);
+    expect(wrapper.find('text')).to.have.text('200 km');
+  });
+
+  it('renders nothing if distance cannot be measured', () => {
+    const wrapper = shallow(<ScaleBar />);
+    expect(wrapper.type()).to.equal(null);
+  });
+});
@@ -0,0 +1,40 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai';
+import { geoPath, geoTransform } from 'd3';
+
+import { getScreenRings, getSelectionRing, intersectsArea } from '../src/selection';
+
+describe('Choropleth area selection', () => {
+  const square = {
+    type: 'Feature',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]],
+    },
+  };
+
+  // doubles coordinates
+  const pathGenerator = geoPath().projection(geoTransform({
+    point(x, y) { this.stream.point(x * 2, y * 2); },
+  }));
+
+  it('outlines a box or lasso from pointer positions', () => {
+    const points = [[0, 0], [10, 5], [4, 20]];
+    expect(getSelectionRing(points, 'box'))
+      .to.deep.equal([[0, 0], [4, 0], [4, 20], [0, 20], [0, 0]]);
+    expect(getSelectionRing(points, 'lasso'))
+      .to.deep.equal([[0, 0], [10, 5], [4, 20], [0, 0]]);
+  });
+
+  it('outlines features as drawn by a path generator', () => {
+    expect(getScreenRings(square, pathGenerator))
+      .to.deep.equal([[[0, 0], [0, 20], [20, 20], [20, 0]]]);
+  });
+
+  it('tests whether features, as drawn, intersect an area', () => {
+    expect(intersectsArea(square, pathGenerator, [[15, 15], [30, 15], [30, 30], [15, 15]]))
+      .to.be.true;
+    expect(intersectsArea(square, pathGenerator, [[25, 25], [30, 25], [30, 30], [25, 25]]))
+      .to.be.false;
+  });
+});
@@ -0,0 +1,109 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai';
+import { geoEquirectangular } from 'd3';
+import sinon from 'sinon';
+
+import { getGeoJSON } from '../../../test-utils';
+
+import {
+  calcInsetViews,
+  calcMinimapView,
+  calcTranslateExtent,
+  createClipExtent,
+  createPathGenerator,
+  getSimplificationArea,
+  isSameTransform,
+} from '../src/view';
+
+describe('Choropleth view', () => {
+  // presimplified line, whose middle point has an effective area of 0.5 (topology units)
+  const line = {
+    type: 'LineString',
+    coordinates: [[0, 0, Infinity], [10, 10, 0.5], [20, 0, Infinity]],
+  };
+
+  it('compares zoom transforms by value', () => {
+    expect(isSameTransform({ k: 2, x: 1, y: 0 }, { k: 2, x: 1, y: 0 })).to.be.true;
+    expect(isSameTransform({ k: 2, x: 1, y: 0 }, { k: 2, x: 1, y: 1 })).to.be.false;
+    expect(isSameTransform(undefined, { k: 1, x: 0, y: 0 })).to.be.false;
+  });
+
+  it('pads clip extent beyond width and height, in place if given one', () => {
+    const clipExtent = createClipExtent(100, 50);
+    expect(clipExtent.extent()).to.deep.equal([[-1, -1], [101, 51]]);
+    expect(createClipExtent(200, 100, clipExtent)).to.equal(clipExtent);
+    expect(clipExtent.extent()).to.deep.equal([[-1, -1], [201, 101]]);
+  });
+
+  it('resolves the px^2 area below which points are dropped', () => {
+    expect(getSimplificationArea(0.5, 2)).to.equal(0.5);
+    expect(getSimplificationArea('off', 2)).to.equal(0);
+
+    const simplification = sinon.stub().returns(3);
+    expect(getSimplificationArea(simplification, 2)).to.equal(3);
+    expect(simplification.calledWith(2)).to.be.true;
+  });
+
+  describe('path generator', () => {
+    const clipExtent = createClipExtent(1000, 1000);
+
+    it('scales, translates, and simplifies preprojected geometry', () => {
+      expect(createPathGenerator(null, 1, 1, [0, 0], clipExtent)(line)).to.equal('M0,0L20,0');
+      expect(createPathGenerator(null, 'off', 2, [5, 5], clipExtent)(line))
+        .to.equal('M5,5L25,25L45,5');
+    });
+
+    it('simplifies unprojected geometry in degrees, before projecting it', () => {
+      // maps a degree to a px, with y reflected
+      const projection = geoEquirectangular().scale(180 / Math.PI).translate([0, 0]);
+      expect(createPathGenerator(projection, 1, 1, [0, 0], clipExtent)(line))
+        .to.equal('M0,0L20,0');
+      expect(createPathGenerator(projection, 0.25, 1, [100, 100], clipExtent)(line))
+        .to.equal('M100,100L110,90L120,100');
+    });
+  });
+
+  it('pads bounds, at scaleBase, to constrain panning', () => {
+    expect(calcTranslateExtent([[0, 0], [100, 50]], 2, 10))
+      .to.deep.equal([[-5, -5], [105, 55]]);
+  });
+
+  it('fits features of each inset within its padded frame', () => {
+    const collection = getGeoJSON('states', 'feature');
+    const insets = [
+      { name: 'inset', x: 0, y: 0, width: 150, height: 100 },
+      { name: 'empty', x: 0, y: 0, width: 150, height: 100 },
+    ];
+    const views = calcInsetViews(insets, { inset: { states: collection } }, null, 1);
+    expect(views).to.have.all.keys('inset');
+
+    const [[x0, y0], [x1, y1]] = views.inset.pathGenerator.bounds(collection);
+    expect(x0).to.be.at.least(5 - 1e-6);
+    expect(y0).to.be.at.least(5 - 1e-6);
+    expect(x1).to.be.at.most(145 + 1e-6);
+    expect(y1).to.be.at.most(95 + 1e-6);
+  });
+
+  it('fits features of visible feature layers within the minimap', () => {
+    const collection = getGeoJSON('states', 'feature');
+    const props = {
+      layers: [
+        { name: 'states', type: 'feature', visible: true },
+        { name: 'hidden', type: 'feature', visible: false },
+      ],
+      minimap: true,
+      minimapHeight: 90,
+      minimapWidth: 120,
+      simplification: 1,
+    };
+    const cache = { feature: { states: collection, hidden: collection } };
+    const bounds = [[0, 0], [240, 90]];
+
+    const view = calcMinimapView(props, bounds, cache, null);
+    expect(view.features).to.deep.equal(collection.features);
+    expect(view.scale).to.equal(0.5);
+
+    expect(calcMinimapView({ ...props, minimap: false }, bounds, cache, null)).to.be.null;
+    expect(calcMinimapView(props, null, cache, null)).to.be.null;
+  });
+});
@@ -0,0 +1,396 @@
+import React, { PropTypes } from 'react';
+import classNames from 'classnames';
+import { assign, bindAll, filter, flatMap, has, isEqual, keyBy, map, toString } from 'lodash';
+import { scaleLinear } from 'd3';
+
+import Choropleth from '../../../choropleth';
+import ChoroplethLegend from '../../../choropleth-legend';
+import ResponsiveContainer from '../../../responsive-container';
+import {
+  CLAMP_TOLERANCE,
+  clampedScale,
+  CommonDefaultProps,
+  CommonPropTypes,
+  exactlyOneOfProp,
+  GeometryPropTypes,
+  getRangeExtent,
+  linspace,
+  projectionTypes,
+  propResolver,
+  propsChanged,
+  PureComponent,
+  stateFromPropUpdates,
+  colorSteps as defaultColorSteps,
+} from '../../../../utils';
+
+import styles from './style.css';
+
+// field of legend data by which density plot symbols are keyed; see propUpdates.legendData
+const LEGEND_KEY_FIELD = 'comparisonLegendKey';
+
+export default class Comparison extends PureComponent {
+  constructor(props) {
+    super(props);
+
+    bindAll(this, [
+      'onMouseLeave',
+      'onMouseOver',
+      'onZoom',
+    ]);
+
+    const state = {
+      // geometry key of location hovered in any map, highlighted in all
+      focusKey: null,
+
+      // shared by all maps once any is panned or zoomed; until then, each map is uncontrolled
+      zoomTransform: undefined,
+    };
+
+    this.state = stateFromPropUpdates(Comparison.propUpdates, {}, props, state);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    this.setState(stateFromPropUpdates(Comparison.propUpdates, this.props, nextProps, this.state));
+  }
+
+  onMouseLeave(event, datum, path) {
+    this.setState({ focusKey: null });
+    this.props.onMouseLeave(event, datum, path);
+  }
+
+  onMouseOver(event, datum, path) {
+    // the hovered location is highlighted in every map by its geometry key: that of its feature,
+    // whether or not it has data, or, for symbols (e.g., of bubble layers), that of its datum
+    const { geometryKeyField, keyField } = this.props;
+    const feature = path && path.props && path.props.feature;
+    let focusKey = null;
+    if (feature) {
+      focusKey = toString(propResolver(feature, geometryKeyField));
+    } else if (datum) {
+      focusKey = toString(propResolver(datum, keyField));
+    }
+
+    this.setState({ focusKey });
+    this.props.onMouseOver(event, datum, path);
+  }
+
+  onZoom(transform) {
+    this.setState({ zoomTransform: transform });
+    this.props.onZoom(transform);
+  }
+
+  renderMaps() {
+    const {
+      geojson,
+      geometryKeyField,
+      keyField,
+      layers,
+      mapClassName,
+      maps,
+      mapStyle,
+      missingFill,
+      onClick,
+      onMouseMove,
+      projection,
+      selectedLocations,
+      titleClassName,
+      titleStyle,
+      topology,
+      valueField,
+    } = this.props;
+    const { colorScale, focusKey, zoomTransform } = this.state;
+
+    // <Choropleth /> requires exactly one of topology or geojson
+    const geometry = topology ? { topology } : { geojson };
+
+    return (
+      <div className={styles.maps}>
+        {map(maps, ({ data, title }, index) => (
+          <div className={classNames(styles.map, mapClassName)} key={index} style={mapStyle}>
+            {title && (
+              <div className={classNames(styles.title, titleClassName)} style={titleStyle}>
+                {title}
+              </div>
+            )}
+            <div className={styles['choropleth-wrapper']}>
+              <ResponsiveContainer>
+                <Choropleth
+                  colorScale={colorScale}
+                  controls
+                  data={data}
+                  focusKey={focusKey}
+                  geometryKeyField={geometryKeyField}
+                  keyField={keyField}
+                  layers={layers}
+                  missingFill={missingFill}
+                  onClick={onClick}
+                  onMouseLeave={this.onMouseLeave}
+                  onMouseMove={onMouseMove}
+                  onMouseOver={this.onMouseOver}
+                  onZoom={this.onZoom}
+                  projection={projection}
+                  selectedLocations={selectedLocations}
+                  valueField={valueField}
+                  zoomTransform={zoomTransform}
+                  {...geometry}
+                />
+              </ResponsiveContainer>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  renderLegend() {
+    const {
+      axisTickFormat,
+      colorSteps,
+      domain,
+      extentPct,
+      legendClassName,
+      legendMargins,
+      legendStyle,
+      onClick,
+      onMouseMove,
+      onSliderMove,
+      sliderHandleFormat,
+      unit,
+      valueField,
+    } = this.props;
+    const { colorScale, legendData, legendSelection } = this.state;
+
+    // data of all maps are plotted together, so a location has a symbol per map;
+    // symbols are keyed by map and location, and a selected location is selected in every map
+    return (
+      <div className={classNames(styles.legend, legendClassName)} style={legendStyle}>
+        <ResponsiveContainer disableHeight>
+          <ChoroplethLegend
+            axisTickFormat={axisTickFormat}
+            colorScale={colorScale}
+            colorSteps={colorSteps}
+            data={legendData}
+            domain={domain}
+            keyField={LEGEND_KEY_FIELD}
+            margins={legendMargins}
+            onClick={onClick}
+            onMouseMove={onMouseMove}
+            onSliderMove={onSliderMove}
+            rangeExtent={getRangeExtent(extentPct, domain)}
+            selectedLocations={legendSelection}
+            sliderHandleFormat={sliderHandleFormat}
+            unit={unit}
+            valueField={valueField}
+          />
+        </ResponsiveContainer>
+      </div>
+    );
+  }
+
+  render() {
+    const { className, style } = this.props;
+
+    return (
+      <div className={classNames(styles.comparison, className)} style={style}>
+        {this.renderMaps()}
+        {this.renderLegend()}
+      </div>
+    );
+  }
+}
+
+Comparison.propTypes = {
+  axisTickFormat: PropTypes.func,
+
+  /* fill of values outside of the range set by the legend slider (see extentPct) */
+  clampedFill: PropTypes.string,
+
+  className: CommonPropTypes.className,
+
+  /*
+    list of hex or rbg color values, interpolated between by the color scale shared by all maps;
+    defaults to that of <Map />
+  */
+  colorSteps: PropTypes.array,
+
+  /* domain of the color scale shared by all maps */
+  domain: PropTypes.array.isRequired,
+
+  /* [minPercent, maxPercent] of domain to place slider handles, outside of which fill is clamped */
+  extentPct: PropTypes.array,
+
+  /* GeoJSON objects to render, keyed by name; alternative to `topology` */
+  geojson: exactlyOneOfProp(GeometryPropTypes),
+
+  /* uniquely identifying field of geometry objects; see <Choropleth /> */
+  geometryKeyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /* unique key of datum; see <Choropleth /> */
+  keyField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+
+  /*
+    layers of each map; see <Choropleth />;
+    the hoverStyle (or hoverClassName) of feature layers highlights the location hovered in any map
+  */
+  layers: PropTypes.arrayOf(PropTypes.object).isRequired,
+
+  /* classname applied to div containing legend */
+  legendClassName: CommonPropTypes.className,
+
+  /* margins passed to ChoroplethLegend */
+  legendMargins: PropTypes.shape({
+    top: PropTypes.number,
+    right: PropTypes.number,
+    bottom: PropTypes.number,
+    left: PropTypes.number,
+  }),
+
+  /* inline style object applied to div containing legend */
+  legendStyle: PropTypes.object,
+
+  /* classname applied to div containing each map and its title */
+  mapClassName: CommonPropTypes.className,
+
+  /*
+    maps to compare, side by side, e.g., of two years, sexes, or scenarios;
+    data is an array of datum objects, title labels the map
+  */
+  maps: PropTypes.arrayOf(PropTypes.shape({
+    data: PropTypes.array.isRequired,
+    title: PropTypes.string,
+  })).isRequired,
+
+  /* inline style object applied to div containing each map and its title */
+  mapStyle: PropTypes.object,
+
+  /* fill of locations without data; see <Choropleth /> */
+  missingFill: PropTypes.string,
+
+  /*
+    passed to each map and the legend, whose datum is a copy of that of its map;
+    signature: function(event, datum, Path) {...}
+  */
+  onClick: PropTypes.func,
+
+  /* passed to each map; signature: function(event, datum, Path) {...} */
+  onMouseLeave: PropTypes.func,
+
+  /*
+    passed to each map and the legend, whose datum is a copy of that of its map;
+    signature: function(event, datum, Path) {...}
+  */
+  onMouseMove: PropTypes.func,
+
+  /* passed to each map; signature: function(event, datum, Path) {...} */
+  onMouseOver: PropTypes.func,
+
+  /* callback for slider handles of the legend; see <ChoroplethLegend /> */
+  onSliderMove: PropTypes.func,
+
+  /*
+    called with d3 zoom transform ({ k, x, y }) whenever any map is panned or zoomed,
+    after which all maps share its view; signature: function(transform) {...}
+  */
+  onZoom: PropTypes.func,
+
+  /* projection with which to render unprojected geometry; see <Choropleth /> */
+  projection: PropTypes.oneOfType([
+    PropTypes.oneOf(projectionTypes()),
+    PropTypes.shape({
+      stream: PropTypes.func.isRequired,
+    }),
+  ]),
+
+  /* array of data objects */
+  selectedLocations: PropTypes.array,
+
+  sliderHandleFormat: PropTypes.func,
+
+  style: CommonPropTypes.style,
+
+  titleClassName: CommonPropTypes.className,
+
+  titleStyle: PropTypes.object,
+
+  /* topojson to render; see <Choropleth /> */
+  topology: exactlyOneOfProp(GeometryPropTypes),
+
+  /* unit of data, used as axis label in legend */
+  unit: PropTypes.string,
+
+  /* key of datum that holds the value to display */
+  valueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]).isRequired,
+};
+
+Comparison.defaultProps = {
+  clampedFill: '#ccc',
+  colorSteps: defaultColorSteps.slice().reverse(),
+  extentPct: [0, 1],
+  legendMargins: {
+    top: 20,
+    right: 50,
+    bottom: 0,
+    left: 50,
+  },
+  onMouseLeave: CommonDefaultProps.noop,
+  onMouseOver: CommonDefaultProps.noop,
+  onZoom: CommonDefaultProps.noop,
+  selectedLocations: [],
+};
+
+Comparison.propUpdates = {
+  colorScale: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, [
+      'clampedFill',
+      'colorSteps',
+      'domain',
+      'extentPct',
+    ], undefined, isEqual)) {
+      return state;
+    }
+
+    const { clampedFill, colorSteps, domain, extentPct } = nextProps;
+    return assign({}, state, {
+      colorScale: clampedScale(clampedFill, CLAMP_TOLERANCE)
+        .base(scaleLinear())
+        .domain(linspace(domain, colorSteps.length))
+        .range(colorSteps)
+        .clamps(getRangeExtent(extentPct, domain)),
+    });
+  },
+  // data of all maps, each copied with a key unique to its map and location
+  legendData: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['keyField', 'maps'])) return state;
+    const { keyField, maps } = nextProps;
+    return assign({}, state, {
+      legendData: flatMap(maps, ({ data }, index) =>
+        map(data, datum => ({
+          ...datum,
+          [LEGEND_KEY_FIELD]: `${index}:${toString(propResolver(datum, keyField))}`,
+        }))
+      ),
+    });
+  },
+  // legend data of selected locations, in every map
+  legendSelection: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['keyField', 'maps', 'selectedLocations'])) {
+      return state;
+    }
+    const { keyField, selectedLocations } = nextProps;
+    const selectedKeys = keyBy(selectedLocations, datum => toString(propResolver(datum, keyField)));
+    return assign({}, state, {
+      legendSelection: filter(state.legendData, datum =>
+        has(selectedKeys, toString(propResolver(datum, keyField)))
+      ),
+    });
+  },
+};
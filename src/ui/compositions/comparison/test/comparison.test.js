@@ -0,0 +1,143 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+import { zoomIdentity } from 'd3';
+import { find } from 'lodash';
+
+import { getLocationIds, getTopoJSON } from '../../../../test-utils';
+import { propResolver } from '../../../../utils';
+
+import Comparison from '../';
+import Choropleth from '../../../choropleth';
+import ChoroplethLegend from '../../../choropleth-legend';
+import FeatureLayer from '../../../choropleth/src/feature-layer';
+import Path from '../../../choropleth/src/path';
+
+chai.use(chaiEnzyme());
+
+describe('<Comparison />', () => {
+  const topology = getTopoJSON();
+  const layers = [{ name: 'states', object: 'states', type: 'feature', visible: true }];
+  const [id1, id2] = getLocationIds(topology.objects.states.geometries);
+  const maps = [
+    { data: [{ id: id1, mean: 10 }, { id: id2, mean: 20 }], title: '1990' },
+    { data: [{ id: id1, mean: 30 }, { id: id2, mean: 40 }], title: '2016' },
+  ];
+
+  const render = props => shallow(
+    <Comparison
+      domain={[0, 100]}
+      geometryKeyField="id"
+      keyField="id"
+      layers={layers}
+      maps={maps}
+      topology={topology}
+      valueField="mean"
+      {...props}
+    />
+  );
+
+  // render a map as it is within its <ResponsiveContainer />
+  const renderMap = (wrapper, index) => {
+    const element = wrapper.find(Choropleth).at(index).node;
+    return shallow(React.cloneElement(element, { height: 400, width: 600 }));
+  };
+
+  it('renders a titled choropleth per map, sharing one color scale and legend', () => {
+    const wrapper = render();
+    const choropleths = wrapper.find(Choropleth);
+
+    expect(choropleths).to.have.length(2);
+    expect(choropleths.at(1)).to.have.prop('data', maps[1].data);
+    expect(choropleths.at(0).prop('colorScale')).to.equal(choropleths.at(1).prop('colorScale'));
+    expect(wrapper).to.contain.text('2016');
+
+    const legend = wrapper.find(ChoroplethLegend);
+    expect(legend).to.have.length(1);
+    expect(legend).to.have.prop('colorScale', choropleths.at(0).prop('colorScale'));
+    expect(legend.prop('data')).to.have.length(4);
+  });
+
+  it('keys symbols of the legend by map and location, selecting locations in every map', () => {
+    const wrapper = render({ selectedLocations: [{ id: id1 }] });
+    const legend = wrapper.find(ChoroplethLegend);
+    const keyField = legend.prop('keyField');
+    const keysOf = data => data.map(datum => propResolver(datum, keyField));
+    expect(keysOf(legend.prop('data')))
+      .to.deep.equal([`0:${id1}`, `0:${id2}`, `1:${id1}`, `1:${id2}`]);
+
+    const selection = legend.prop('selectedLocations');
+    expect(keysOf(selection)).to.deep.equal([`0:${id1}`, `1:${id1}`]);
+    expect(selection.map(datum => datum.mean)).to.deep.equal([10, 30]);
+  });
+
+  it('clamps the shared color scale to extentPct, with the tolerance of the legend', () => {
+    const wrapper = render({ clampedFill: 'grey', extentPct: [0.2, 0.8] });
+    const colorScale = wrapper.find(Choropleth).first().prop('colorScale');
+
+    expect(colorScale(10)).to.equal('grey');
+    expect(colorScale(50)).to.not.equal('grey');
+    expect(colorScale(80.0000001)).to.not.equal('grey');
+    expect(wrapper.find(ChoroplethLegend)).to.have.prop('rangeExtent').that.deep.equals([20, 80]);
+  });
+
+  it('highlights the location hovered in one map in all maps', () => {
+    const onMouseOver = sinon.spy();
+    const onMouseLeave = sinon.spy();
+    const hoverLayers = [{ ...layers[0], hoverStyle: { stroke: 'black' } }];
+
+    // location of id2 has no data in the hovered map
+    const hoveredMaps = [{ data: [maps[0].data[0]] }, maps[1]];
+    const wrapper = render({ layers: hoverLayers, maps: hoveredMaps, onMouseLeave, onMouseOver });
+
+    const featureLayer = renderMap(wrapper, 0).find(FeatureLayer);
+    const feature = find(featureLayer.prop('features'), { id: id2 });
+    const path = { props: { feature } };
+    featureLayer.prop('onMouseOver')({}, undefined, path);
+    expect(onMouseOver.calledWith({}, undefined, path)).to.equal(true);
+
+    wrapper.find(Choropleth).forEach((choropleth) => {
+      expect(choropleth).to.have.prop('focusKey', String(id2));
+    });
+
+    // drawn highlighted in every map, including that without data for it
+    [0, 1].forEach((index) => {
+      const hovered = shallow(renderMap(wrapper, index).find(FeatureLayer).node)
+        .find(Path)
+        .filterWhere(node => node.prop('hovered'));
+      expect(hovered).to.have.length(1);
+      expect(hovered.prop('feature').id).to.equal(id2);
+    });
+
+    featureLayer.prop('onMouseLeave')({}, undefined, path);
+    wrapper.find(Choropleth).forEach((choropleth) => {
+      expect(choropleth).to.have.prop('focusKey', null);
+    });
+    expect(onMouseLeave.callCount).to.equal(1);
+  });
+
+  it('pans and zooms all maps together', () => {
+    const onZoom = sinon.spy();
+    const wrapper = render({ onZoom });
+    const transform = zoomIdentity.translate(10, 20).scale(3);
+
+    expect(wrapper.find(Choropleth).first().prop('zoomTransform')).to.equal(undefined);
+
+    // pan and zoom the first map
+    const zoomed = renderMap(wrapper, 0);
+    sinon.stub(zoomed.instance(), 'currentZoomTransform').returns(transform);
+    zoomed.instance().zoomEvent();
+    expect(onZoom.calledWith(transform)).to.equal(true);
+
+    wrapper.find(Choropleth).forEach((choropleth) => {
+      expect(choropleth).to.have.prop('zoomTransform', transform);
+    });
+
+    // the other map is drawn at the view of the first
+    const other = renderMap(wrapper, 1);
+    expect(other.state('scale')).to.equal(3);
+    expect(other.state('translate')).to.deep.equal([10, 20]);
+  });
+});
@@ -1,5 +1,7 @@
+import Comparison from './comparison';
 import Map from './map';
 
 export {
+  Comparison,
   Map
 };
@@ -7,30 +7,59 @@ import {
   keyBy,
   flatMap,
   filter,
-  get as getValue,
+  find,
   includes,
+  intersection,
   intersectionWith,
+  isArray,
   isEqual,
   map,
+  sortBy,
   toString,
+  uniqBy,
+  uniqueId,
+  xor,
 } from 'lodash';
-import { scaleLinear } from 'd3';
+import { scaleLinear, scaleOrdinal, scaleThreshold, schemeCategory10 } from 'd3';
 import Button from '../../../button';
 import Choropleth from '../../../choropleth';
-import ChoroplethLegend from '../../../choropleth-legend';
+import ChoroplethLegend, { BivariateLegend } from '../../../choropleth-legend';
+import Legend from '../../../legend';
 import ResponsiveContainer from '../../../responsive-container';
+import { FillPattern, patternPropType } from '../../../shape';
+import Slider from '../../../slider';
 import {
+  bivariateColorScale,
+  bivariateColorSteps,
+  CLAMP_TOLERANCE,
   clampedScale,
+  classificationTypes,
   CommonPropTypes,
+  exactlyOneOfProp,
+  GeometryPropTypes,
+  getBreaks,
+  getClassCount,
+  getRangeExtent,
   linspace,
-  numFromPercent,
+  projectionTypes,
   propResolver,
+  propsChanged,
+  sampleColors,
   stateFromPropUpdates,
   colorSteps as defaultColorSteps,
 } from '../../../../utils';
 
 import styles from './style.css';
 
+// fill of missing or clamped data if no pattern is given
+const FLAT_FILL = '#ccc';
+
+// style of features in the cell of the bivariate legend that is hovered
+const HIGHLIGHTED_FEATURE_STYLE = { stroke: 'black', strokeWidth: '2px' };
+
+// style of items of the category legend whose category is hidden
+const HIDDEN_CATEGORY_STYLE = { opacity: 0.4, textDecoration: 'line-through' };
+
 /**
  * this function is a direct copy of `defaultMemoize` from reselect (https://github.com/reactjs/reselect)
  * copied here to avoid dependency for the benefit of a single utility function
@@ -56,14 +85,135 @@ function memoizeByLastCall(func) {
 }
 
 /**
- * @param {Array} extentPct
- * @param {Array} domain
- * @return {Array}
+ * @param {Object} props
+ * @return {Object} named geometry objects, i.e., topology.objects or geojson
+ */
+function getGeometryObjects({ geojson, topology }) {
+  return topology ? topology.objects : geojson;
+}
+
+/**
+ * @param {Object} object - topojson GeometryCollection, or GeoJSON FeatureCollection or Feature
+ * @return {Array} geometries of topojson object, or features of GeoJSON object
+ */
+function getGeometries(object) {
+  if (object.geometries) return object.geometries;
+  if (object.features) return object.features;
+  return [object];
+}
+
+/**
+ * @param {Object} [pattern] - see <FillPattern />
+ * @param {String} id - id of pattern
+ * @return {String} reference to pattern, or flat fill if no pattern is given
  */
-export function getRangeExtent([x1Pct, x2Pct], domain) {
-  return [numFromPercent(x1Pct, domain), numFromPercent(x2Pct, domain)];
+function getPatternFill(pattern, id) {
+  return pattern ? FillPattern.url(id) : FLAT_FILL;
 }
 
+/**
+ * @param {Object} props - see Map.propTypes
+ * @return {Array} domain of the continuous color scale;
+ *                 a placeholder in categorical mode, in which domain may be omitted
+ */
+function getDomain({ domain }) {
+  return domain || [0, 1];
+}
+
+/**
+ * @param {Object} item - item of the category legend
+ * @return {Object|null} inline style of item
+ */
+function getCategoryItemStyle(item) {
+  return item.hidden ? HIDDEN_CATEGORY_STYLE : null;
+}
+
+/**
+ * @param {Object} props - see Map.propTypes
+ * @return {Function} base of color scale: continuous, or, if classed, a threshold scale
+ */
+function getBaseScale({ classification }) {
+  return classification ? scaleThreshold() : scaleLinear();
+}
+
+/**
+ * @param {Object} props - see Map.propTypes
+ * @param {Array} extent - [min, max] of values to which colors are applied
+ * @return {Array} domain of color scale: colorSteps spread evenly over extent,
+ *                 or, if classed, thresholds between classes of values within extent
+ */
+function getColorDomain({ classes, classification, colorSteps, data, valueField }, extent) {
+  if (!classification) return linspace(extent, colorSteps.length);
+
+  const values = map(data, datum => propResolver(datum, valueField));
+  return getBreaks(classification, values, classes, extent);
+}
+
+/**
+ * @param {Object} props - see Map.propTypes
+ * @return {Array} range of color scale: colorSteps, or, if classed, the color of each class
+ */
+function getColorRange({ classes, classification, colorSteps }) {
+  if (!classification) return colorSteps;
+  return sampleColors(colorSteps, getClassCount(classification, classes));
+}
+
+/**
+ * @param {Function} colorScale - clampedScale
+ * @param {String} clampedValue
+ * @return {Function} copy of colorScale that returns clampedValue for values outside its clamps
+ */
+function withClampedValue(colorScale, clampedValue) {
+  const scale = clampedScale(clampedValue, CLAMP_TOLERANCE)
+    .base(colorScale.base().copy())
+    .domain(colorScale.domain())
+    .range(colorScale.range());
+  return colorScale.clamps() ? scale.clamps(colorScale.clamps()) : scale;
+}
+
+/**
+ * times are compared as strings, so that, e.g., 1990 and '1990' are the same time
+ * @param {Array} data
+ * @param {String|Function} timeField
+ * @return {Array} ascending, distinct times of data
+ */
+const getTimes = memoizeByLastCall((data, timeField) =>
+  sortBy(uniqBy(map(data, datum => propResolver(datum, timeField)), toString))
+);
+
+/**
+ * @param {Array} times - as returned by getTimes
+ * @param {Number|String} time
+ * @return {Number|String|undefined} time of times that is the same as time, if any
+ */
+function findTime(times, time) {
+  return find(times, value => toString(value) === toString(time));
+}
+
+/**
+ * @param {Array} data - data of all times
+ * @param {String|Function} timeField
+ * @param {Number|String} time
+ * @return {Array} data of time
+ */
+const filterTime = memoizeByLastCall((data, timeField, time) =>
+  filter(data, datum => toString(propResolver(datum, timeField)) === toString(time))
+);
+
+/**
+ * in categorical mode, locations of hidden categories are drawn as if without data
+ * @param {Array} data
+ * @param {String|Function} valueField
+ * @param {Array} hiddenCategories
+ * @return {Array} data, less that of hidden categories
+ */
+const filterHiddenCategories = memoizeByLastCall((data, valueField, hiddenCategories) =>
+  (hiddenCategories.length
+    ? filter(data, datum => !includes(hiddenCategories, propResolver(datum, valueField)))
+    : data
+  )
+);
+
 /**
  *
  * @param {Array} data
@@ -79,27 +229,51 @@ export default class Map extends React.Component {
   constructor(props) {
     super(props);
 
-    const { colorSteps, domain, extentPct, topojsonObjects } = props;
-    const rangeExtent = getRangeExtent(extentPct, domain);
+    const { extentPct, topojsonObjects } = props;
+    const rangeExtent = getRangeExtent(extentPct, getDomain(props));
+
+    // ids of pattern fills, unique to each map
+    this.patternIds = {
+      clamped: uniqueId('ihme-map-clamped-pattern-'),
+      missing: uniqueId('ihme-map-missing-pattern-'),
+      uncertain: uniqueId('ihme-map-uncertain-pattern-'),
+    };
 
     bindAll(this, [
       'createLayers',
-      'disputedBordersMeshFilter',
       'getGeometryIds',
-      'nonDisputedBordersMeshFilter',
-      'selectedBordersMeshFilter',
+      'onBivariateLegendMouseLeave',
+      'onBivariateLegendMouseOver',
+      'onCategoryLegendClick',
+      'onLoopChange',
+      'onPlayClick',
+      'onTimeSliderMove',
+      'stepTime',
       'onSetScale',
       'onResetScale',
     ]);
 
-    const layers = flatMap(topojsonObjects, this.createLayers);
+    // in bivariate mode, features are highlighted when their cell of the legend is hovered
+    this.getHighlightableLayers = memoizeByLastCall(layers =>
+      map(layers, layer => (layer.type === 'feature'
+        ? { ...layer, hoverStyle: HIGHLIGHTED_FEATURE_STYLE }
+        : layer
+      ))
+    );
+
+    const layers = flatMap(topojsonObjects, name => this.createLayers(name, []));
 
     const state = {
-      colorScale: clampedScale('#ccc', 0.000001)
-        .base(scaleLinear())
-        .domain(linspace(rangeExtent, colorSteps.length))
-        .range(colorSteps),
+      colorScale: clampedScale(getPatternFill(props.clampedPattern, this.patternIds.clamped),
+                               CLAMP_TOLERANCE)
+        .base(getBaseScale(props))
+        .domain(getColorDomain(props, rangeExtent))
+        .range(getColorRange(props)),
+      hiddenCategories: [],
+      highlightedCell: null,
       layers,
+      loop: props.loop,
+      playing: false,
       render: !props.loading,
     };
 
@@ -108,6 +282,11 @@ export default class Map extends React.Component {
 
   componentWillReceiveProps(nextProps) {
     this.setState(stateFromPropUpdates(Map.propUpdates, this.props, nextProps, this.state, this));
+
+    // restart the timer of playback at a new frame rate
+    if (this.state.playing && nextProps.frameRate !== this.props.frameRate) {
+      this.startTimer(nextProps.frameRate);
+    }
   }
 
   shouldComponentUpdate(nextProps, nextState) {
@@ -117,13 +296,46 @@ export default class Map extends React.Component {
             && PureRenderMixin.shouldComponentUpdate.call(this, nextProps, nextState);
   }
 
+  componentWillUnmount() {
+    this.stopTimer();
+  }
+
+  onBivariateLegendMouseLeave() {
+    this.setState({ highlightedCell: null });
+  }
+
+  onBivariateLegendMouseOver(event, cell) {
+    this.setState({ highlightedCell: cell });
+  }
+
+  onCategoryLegendClick(event, { category }) {
+    const hiddenCategories = xor(this.state.hiddenCategories, [category]);
+    this.setState({ hiddenCategories }, () => {
+      const { onToggleCategory } = this.props;
+      if (typeof onToggleCategory === 'function') onToggleCategory(category, hiddenCategories);
+    });
+  }
+
+  onLoopChange(event) {
+    this.setState({ loop: event.target.checked });
+  }
+
+  onPlayClick() {
+    if (this.state.playing) this.pause();
+    else this.play();
+  }
+
+  onTimeSliderMove(event, { low }) {
+    this.setTime(low);
+  }
+
   onSetScale() {
-    const { colorSteps, domain, extentPct, onSetScale } = this.props;
+    const { domain, extentPct, onSetScale } = this.props;
     const rangeExtent = getRangeExtent(extentPct, domain);
     this.setState({
       colorScale: this.state.colorScale
         .clamps(rangeExtent)
-        .domain(linspace(rangeExtent, colorSteps.length))
+        .domain(getColorDomain(this.props, rangeExtent))
         .copy(),
       setScaleExtentPct: extentPct,
     }, () => {
@@ -132,11 +344,11 @@ export default class Map extends React.Component {
   }
 
   onResetScale() {
-    const { colorSteps, domain, onResetScale } = this.props;
+    const { domain, onResetScale } = this.props;
     this.setState({
       colorScale: this.state.colorScale
         .clamps(domain)
-        .domain(linspace(domain, colorSteps.length))
+        .domain(getColorDomain(this.props, domain))
         .copy(),
       setScaleExtentPct: null,
     }, () => {
@@ -144,83 +356,72 @@ export default class Map extends React.Component {
     });
   }
 
+  /**
+   * @return {Array} data of the current time, or, if data is not time-indexed, all data
+   */
+  getFrameData() {
+    const { data, timeField } = this.props;
+    if (timeField === undefined) return data;
+    return filterTime(data, timeField, this.state.time);
+  }
+
+  /**
+   * @param {Number|String} time - one of state.times
+   */
+  setTime(time) {
+    if (time === this.state.time) return;
+    this.setState({ time }, () => {
+      const { onTimeChange } = this.props;
+      if (typeof onTimeChange === 'function') onTimeChange(time);
+    });
+  }
+
   /**
    * returns array of location ids of visible geometries on the choropleth
-   * @param {object} topojson
+   * @param {object} objects - topology.objects or geojson
    * @param {array} layers
    * @returns {array}
    */
-  getGeometryIds(topojson, layers) {
+  getGeometryIds(objects, layers) {
     const { geometryKeyField } = this.props;
     const layerNameToConfigMap = keyBy(layers, 'name');
-    const relevantObjects = filter(topojson.objects, (_, key) => layerNameToConfigMap[key]);
+    const relevantObjects = filter(objects, (_, key) => layerNameToConfigMap[key]);
     return flatMap(relevantObjects, (object) =>
-      object.geometries.map((geometry) =>
+      getGeometries(object).map((geometry) =>
         propResolver(geometry, geometryKeyField)
       )
     );
   }
 
-  disputedBordersMeshFilter(geometry, neighborGeometry) {
-    /* eslint-disable max-len */
-    const { geometryKeyField } = this.props;
-    return geometry !== neighborGeometry && (
-      includes(getValue(geometry, ['properties', 'disputes'], []), propResolver(neighborGeometry, geometryKeyField)) ||
-      includes(getValue(neighborGeometry, ['properties', 'disputes'], []), propResolver(geometry, geometryKeyField))
-    );
-    /* eslint-enable max-len */
-  }
-
-  nonDisputedBordersMeshFilter(geometry, neighborGeometry) {
-    /* eslint-disable max-len */
-    const { geometryKeyField } = this.props;
-    return geometry === neighborGeometry || !(
-      includes(getValue(geometry, ['properties', 'disputes'], []), propResolver(neighborGeometry, geometryKeyField)) ||
-      includes(getValue(neighborGeometry, ['properties', 'disputes'], []), propResolver(geometry, geometryKeyField))
-    );
-    /* eslint-enable max-len */
-  }
-
-  selectedBordersMeshFilter(geometry, neighborGeometry) {
-    const { geometryKeyField } = this.props;
-    const { keysOfSelectedLocations } = this.state;
-
-    const geometryKey = toString(propResolver(geometry, geometryKeyField));
-    const geometryDisputes = getValue(geometry, ['properties', 'disputes'], []).map(toString);
-    const neighborGeometryKey = toString(propResolver(neighborGeometry, geometryKeyField));
-    const neighborGeometryDisputes = getValue(neighborGeometry, [
-      'properties',
-      'disputes',
-    ], []).map(toString);
-
-    return (
-        // geometry is one of the geometries selected
-        includes(keysOfSelectedLocations, geometryKey)
-
-        // neighborGeometry is one of the geometries selected
-        || includes(keysOfSelectedLocations, neighborGeometryKey)
-
-        // or one of the selections disputed by geometry or neighborGeometry
-        || keysOfSelectedLocations.some(locId =>
-          includes(geometryDisputes, locId) || includes(neighborGeometryDisputes, locId)
-        )
-      )
-
-      && !(
-        includes(keysOfSelectedLocations, geometryKey)
-        && includes(neighborGeometryDisputes, geometryKey)
-
-        || includes(keysOfSelectedLocations, neighborGeometryKey)
-        && includes(geometryDisputes, neighborGeometryKey)
-      );
-  }
-
-  createLayers(name) {
+  /**
+   * @param {String} name - name of topojson object
+   * @param {Array} keysOfSelectedLocations - see Map.propUpdates.selections
+   * @return {Array} layers of <Choropleth />
+   */
+  createLayers(name, keysOfSelectedLocations) {
     // guard against creating layers that don't in fact correspond to a topojson object
-    if (!this.props.topology.objects.hasOwnProperty(name)) return [];
+    if (!getGeometryObjects(this.props).hasOwnProperty(name)) return [];
+
+    // borders cannot be meshed from GeoJSON, so stroke the features themselves
+    if (!this.props.topology) {
+      return [
+        {
+          name,
+          object: name,
+          style: { stroke: 'black', strokeWidth: '1px' },
+          selectedStyle: { stroke: 'black', strokeWidth: '2px' },
+          type: 'feature',
+          visible: true,
+        },
+      ];
+    }
 
     const styleReset = { stroke: 'none' };
 
+    // borders are filtered by name, rather than by function, so that geometry can be
+    // extracted off of the main thread; see <Choropleth /> geometryWorker
+    const { geometryKeyField } = this.props;
+
     // array is used to maintain layer order
     return [
       {
@@ -236,7 +437,7 @@ export default class Map extends React.Component {
         object: name,
         style: { stroke: 'black', strokeWidth: '1px', strokeDasharray: '5, 5' },
         type: 'mesh',
-        filterFn: this.disputedBordersMeshFilter,
+        meshFilter: { type: 'disputedBorders', geometryKeyField },
         visible: true,
       },
       {
@@ -244,7 +445,7 @@ export default class Map extends React.Component {
         object: name,
         style: { stroke: 'black', strokeWidth: '1px' },
         type: 'mesh',
-        filterFn: this.nonDisputedBordersMeshFilter,
+        meshFilter: { type: 'nonDisputedBorders', geometryKeyField },
         visible: true,
       },
       {
@@ -252,12 +453,63 @@ export default class Map extends React.Component {
         object: name,
         style: { stroke: 'black', strokeWidth: '2px' },
         type: 'mesh',
-        filterFn: this.selectedBordersMeshFilter,
+        meshFilter: {
+          type: 'selectedBorders',
+          geometryKeyField,
+          selectedKeys: keysOfSelectedLocations,
+        },
         visible: true,
       },
     ];
   }
 
+  /**
+   * start playback from the current time; playing from the last time starts over
+   */
+  play() {
+    const { time, times } = this.state;
+    if (time === times[times.length - 1]) this.setTime(times[0]);
+    this.setState({ playing: true });
+    this.startTimer(this.props.frameRate);
+  }
+
+  pause() {
+    this.stopTimer();
+    this.setState({ playing: false });
+  }
+
+  /**
+   * advance playback by one frame; at the last time, either loop or stop.
+   * while data is loading, playback waits on the current time
+   */
+  stepTime() {
+    if (this.props.loading) return;
+
+    const { loop, time, times } = this.state;
+    const index = times.indexOf(time);
+    if (index < times.length - 1) {
+      this.setTime(times[index + 1]);
+    } else if (loop) {
+      this.setTime(times[0]);
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * @param {Number} frameRate - frames per second
+   */
+  startTimer(frameRate) {
+    this.stopTimer();
+    this._timer = setInterval(this.stepTime, 1000 / frameRate);
+  }
+
+  stopTimer() {
+    if (this._timer === undefined) return;
+    clearInterval(this._timer);
+    this._timer = undefined;
+  }
+
   renderTitle() {
     const { title, titleClassName, titleStyle } = this.props;
     if (!title) return null;
@@ -268,24 +520,45 @@ export default class Map extends React.Component {
 
   renderMap() {
     const {
-      data,
+      geojson,
       keyField,
       geometryKeyField,
+      geometryWorker,
+      lowerField,
       mapClassName,
       mapStyle,
       onClick,
       onMouseLeave,
       onMouseMove,
       onMouseOver,
+      projection,
+      secondaryValueField,
       selectedLocations,
       topology,
+      uncertaintyScale,
+      uncertaintyThreshold,
+      upperField,
       valueField,
       zoomControlsClassName,
       zoomControlsStyle,
     } = this.props;
-    const { colorScale, layers } = this.state;
+    const {
+      bivariateScale,
+      categoryScale,
+      hiddenCategories,
+      highlightedCell,
+      layers,
+      missingFill,
+      patterns,
+      uncertaintyFill,
+    } = this.state;
+    const colorScale = bivariateScale || categoryScale || this.state.colorScale;
+    const data = this.getFrameData();
+
+    if (!topology && !geojson) return null;
 
-    if (!topology) return null;
+    // <Choropleth /> requires exactly one of topology or geojson
+    const geometry = topology ? { topology } : { geojson };
     return (
       <div className={classNames(styles.map, mapClassName)} style={mapStyle}>
         <ResponsiveContainer>
@@ -294,34 +567,139 @@ export default class Map extends React.Component {
             controls
             controlsClassName={zoomControlsClassName}
             controlsStyle={zoomControlsStyle}
-            data={data}
+            data={categoryScale
+              ? filterHiddenCategories(data, valueField, hiddenCategories)
+              : data
+            }
             geometryKeyField={geometryKeyField}
+            geometryWorker={geometryWorker}
+            highlightedCell={highlightedCell}
             keyField={keyField}
-            layers={layers}
+            layers={bivariateScale ? this.getHighlightableLayers(layers) : layers}
+            lowerField={lowerField}
+            missingFill={missingFill}
             onClick={onClick}
             onMouseLeave={onMouseLeave}
             onMouseMove={onMouseMove}
             onMouseOver={onMouseOver}
+            patterns={patterns}
+            projection={projection}
+            secondaryValueField={secondaryValueField}
             selectedLocations={selectedLocations}
-            topology={topology}
+            uncertaintyFill={uncertaintyFill}
+            uncertaintyScale={uncertaintyScale}
+            uncertaintyThreshold={uncertaintyThreshold}
+            upperField={upperField}
             valueField={valueField}
+            {...geometry}
           />
         </ResponsiveContainer>
       </div>
     );
   }
 
+  renderTimeControls() {
+    const { timeControlsClassName, timeControlsStyle, timeField } = this.props;
+    const { loop, playing, time, times } = this.state;
+    if (timeField === undefined || times.length < 2) return null;
+
+    return (
+      <div
+        className={classNames(styles['time-controls'], timeControlsClassName)}
+        style={timeControlsStyle}
+      >
+        <Button
+          className={styles.button}
+          onClick={this.onPlayClick}
+          text={playing ? 'Pause' : 'Play'}
+        />
+        <label className={styles['loop-label']}>
+          <input checked={loop} onChange={this.onLoopChange} type="checkbox" />
+          Loop
+        </label>
+        <div className={styles['time-slider-wrapper']}>
+          <ResponsiveContainer disableHeight>
+            <Slider
+              onDrag={this.onTimeSliderMove}
+              onKey={this.onTimeSliderMove}
+              onTrackClick={this.onTimeSliderMove}
+              range={times}
+              ticks
+              value={time}
+            />
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  }
+
+  renderBivariateLegend() {
+    const {
+      axisTickFormat,
+      legendClassName,
+      legendStyle,
+      secondaryUnit,
+      unit,
+    } = this.props;
+
+    return (
+      <div className={classNames(styles.legend, legendClassName)} style={legendStyle}>
+        <BivariateLegend
+          colorScale={this.state.bivariateScale}
+          onMouseLeave={this.onBivariateLegendMouseLeave}
+          onMouseOver={this.onBivariateLegendMouseOver}
+          tickFormat={axisTickFormat}
+          xLabel={unit}
+          yLabel={secondaryUnit}
+        />
+      </div>
+    );
+  }
+
+  renderCategoryLegend() {
+    const { categories, legendClassName, legendStyle, unit } = this.props;
+    const { categoryScale, hiddenCategories } = this.state;
+
+    const items = map(categories, category => ({
+      category,
+      color: categoryScale(category),
+      hidden: includes(hiddenCategories, category),
+      label: toString(category),
+      type: 'square',
+    }));
+
+    return (
+      <div className={classNames(styles.legend, legendClassName)} style={legendStyle}>
+        <Legend
+          items={items}
+          itemStyles={getCategoryItemStyle}
+          labelKey="label"
+          onClick={this.onCategoryLegendClick}
+          symbolColorKey="color"
+          symbolTypeKey="type"
+          title={unit}
+          ulClassName={styles['category-list']}
+          wrapperClassName={styles['category-legend']}
+        />
+      </div>
+    );
+  }
+
   renderLegend() {
+    if (this.state.bivariateScale) return this.renderBivariateLegend();
+    if (this.state.categoryScale) return this.renderCategoryLegend();
+
     const {
       axisTickFormat,
+      classification,
       colorSteps,
-      data,
       domain,
       extentPct,
       keyField,
       legendClassName,
       legendMargins,
       legendStyle,
+      lowerField,
       onClick,
       onMouseLeave,
       onMouseMove,
@@ -330,6 +708,7 @@ export default class Map extends React.Component {
       selectedLocations,
       sliderHandleFormat,
       unit,
+      upperField,
       valueField,
     } = this.props;
 
@@ -337,6 +716,7 @@ export default class Map extends React.Component {
       colorScale,
       locationIdsOnMap,
       setScaleExtentPct,
+      swatches,
     } = this.state;
 
     const linearGradientStops = setScaleExtentPct || [0, 1];
@@ -348,11 +728,12 @@ export default class Map extends React.Component {
           <ResponsiveContainer disableHeight>
             <ChoroplethLegend
               axisTickFormat={axisTickFormat}
-              colorSteps={colorSteps}
+              colorSteps={classification ? colorScale.range() : colorSteps}
               colorScale={colorScale}
-              data={filterData(data, locationIdsOnMap, keyField)}
+              data={filterData(this.getFrameData(), locationIdsOnMap, keyField)}
               domain={domain}
               keyField={keyField}
+              lowerField={lowerField}
               margins={legendMargins}
               onClick={onClick}
               onMouseLeave={onMouseLeave}
@@ -362,7 +743,10 @@ export default class Map extends React.Component {
               rangeExtent={rangeExtent}
               selectedLocations={selectedLocations}
               sliderHandleFormat={sliderHandleFormat}
+              swatches={swatches}
+              thresholds={classification ? colorScale.domain() : undefined}
               unit={unit}
+              upperField={upperField}
               valueField={valueField}
               x1={linearGradientStops[0] * 100}
               x2={linearGradientStops[1] * 100}
@@ -393,6 +777,7 @@ export default class Map extends React.Component {
       <div className={classNames(styles['map-container'], className)} style={style}>
         {render && this.renderMap()}
         {render && this.renderTitle()}
+        {render && this.renderTimeControls()}
         {render && this.renderLegend()}
       </div>
     );
@@ -402,8 +787,54 @@ export default class Map extends React.Component {
 Map.propTypes = {
   axisTickFormat: PropTypes.func,
 
+  /*
+    rows, from low to high secondary value, of colors, from low to high value,
+    of the color matrix used in bivariate mode (see secondaryValueField);
+    defaults to a 3x3 matrix; see bivariateColorSteps
+  */
+  bivariateColors: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)),
+
+  /*
+    if given, values are categories (e.g., ['endemic', 'at risk', 'eliminated']), each filled by
+    one of categoryColors, and a legend of a swatch of each category, clicking which hides or shows
+    locations of that category, replaces the choropleth legend;
+    locations of hidden categories are drawn as if without data
+  */
+  categories: PropTypes.arrayOf(PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+  ])),
+
+  /* colors of categories, in order; see categories */
+  categoryColors: PropTypes.arrayOf(PropTypes.string),
+
   className: PropTypes.string,
 
+  /* label of the legend swatch of clampedPattern */
+  clampedLabel: PropTypes.string,
+
+  /*
+    pattern fill (see <FillPattern />) of values outside of the range set by the legend slider,
+    e.g., { type: 'dots', color: '#999', size: 5 }; if null (default), clamped values are filled
+    flat grey
+  */
+  clampedPattern: patternPropType,
+
+  /* number of classes of a named classification; see classification */
+  classes: PropTypes.number,
+
+  /*
+    if given, values are divided into classes, each of one color sampled from colorSteps,
+    and the legend draws a block of each color in place of the gradient;
+    one of 'quantile', 'equalInterval', 'jenks' (natural breaks), dividing the values of data
+    within the color scale extent into `classes` classes,
+    or an array of ascending thresholds between classes, e.g., [10, 20, 50]
+  */
+  classification: PropTypes.oneOfType([
+    PropTypes.oneOf(classificationTypes()),
+    PropTypes.arrayOf(PropTypes.number),
+  ]),
+
   /*
     list of hex or rbg color values
     color scale will interpolate between these values
@@ -412,15 +843,25 @@ Map.propTypes = {
   */
   colorSteps: PropTypes.array,
 
-  /* array of datum objects */
+  /* array of datum objects; if time-indexed (see timeField), data of all times */
   data: PropTypes.array.isRequired,
 
-  /* domain of color scale */
-  domain: PropTypes.array.isRequired,
+  /* domain of color scale; required unless categorical (see categories) */
+  domain: (props, propName, ...rest) =>
+    (props.categories ? PropTypes.array : PropTypes.array.isRequired)(props, propName, ...rest),
+
+  /*
+    GeoJSON objects to render, keyed by name; alternative to `topology`.
+    features are stroked in lieu of the (disputed) border meshes drawn for topojson
+  */
+  geojson: exactlyOneOfProp(GeometryPropTypes),
 
   /* [minPercent, maxPercent] of color scale domain to place slider handles */
   extentPct: PropTypes.array,
 
+  /* frames (i.e., times) per second of playback; see timeField */
+  frameRate: PropTypes.number,
+
   /*
     uniquely identifying field of geometry objects;
     see <Choropleth /> propTypes for more detail
@@ -430,6 +871,12 @@ Map.propTypes = {
     PropTypes.func,
   ]).isRequired,
 
+  /*
+    Web Worker by which geometry is processed off of the main thread;
+    see <Choropleth /> propTypes for more detail
+  */
+  geometryWorker: PropTypes.object,
+
   /*
     unique key of datum;
     see <Choropleth /> propTypes for more detail
@@ -456,8 +903,32 @@ Map.propTypes = {
   /* is data for this component currently being fetched */
   loading: PropTypes.bool,
 
+  /*
+    key of datum that holds the lower bound of the uncertainty interval of its value;
+    if given, along with upperField, locations of uncertain value are desaturated
+    (or overlaid with uncertaintyPattern), the legend draws the interval of each datum,
+    and paths passed to event callbacks carry their interval; see <Choropleth />
+  */
+  lowerField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
+  /* whether playback starts over from the first time once past the last; see timeField */
+  loop: PropTypes.bool,
+
   mapClassName: CommonPropTypes.className,
 
+  /* label of the legend swatch of missingPattern */
+  missingLabel: PropTypes.string,
+
+  /*
+    pattern fill (see <FillPattern />) of locations without data,
+    e.g., { type: 'hatch', color: '#999' }; if null (default), locations without data are filled
+    flat grey
+  */
+  missingPattern: patternPropType,
+
   mapStyle: CommonPropTypes.style,
 
   /*
@@ -484,6 +955,18 @@ Map.propTypes = {
    */
   onMouseOver: PropTypes.func,
 
+  /*
+    callback for change of the time shown, by time slider or playback (see timeField);
+    signature: function(time) {...}
+  */
+  onTimeChange: PropTypes.func,
+
+  /*
+    callback for clicking an item of the category legend (see categories);
+    signature: function(category, hiddenCategories) {...}
+  */
+  onToggleCategory: PropTypes.func,
+
   /*
     callback for "Set scale" button;
     passed current rangeExtent (in data space) as first and only argument
@@ -500,6 +983,33 @@ Map.propTypes = {
   */
   onResetScale: PropTypes.func.isRequired,
 
+  /*
+    projection with which to render unprojected geometry;
+    see <Choropleth /> propTypes for more detail
+  */
+  projection: PropTypes.oneOfType([
+    PropTypes.oneOf(projectionTypes()),
+    PropTypes.shape({
+      stream: PropTypes.func.isRequired,
+    }),
+  ]),
+
+  /* domain of the second variable in bivariate mode; see secondaryValueField */
+  secondaryDomain: PropTypes.array,
+
+  /* unit of the second variable, used as axis label in bivariate legend */
+  secondaryUnit: PropTypes.string,
+
+  /*
+    key of datum that holds a second value to display; if given, locations are filled by
+    both values through a 2D color matrix (see bivariateColors), and a square bivariate legend,
+    hovering a cell of which highlights its locations, replaces the choropleth legend
+  */
+  secondaryValueField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* array of data objects */
   selectedLocations: PropTypes.array,
 
@@ -507,6 +1017,31 @@ Map.propTypes = {
 
   style: CommonPropTypes.style,
 
+  /*
+    time to show; defaults to the first time of data (see timeField);
+    compared to times of data as a string, e.g., 1990 shows data of time '1990'
+  */
+  time: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ]),
+
+  /* classname applied to div containing time slider and playback controls */
+  timeControlsClassName: CommonPropTypes.className,
+
+  /* inline style object applied to div containing time slider and playback controls */
+  timeControlsStyle: PropTypes.object,
+
+  /*
+    key of datum that holds its time (e.g., year); if given, data are of many times,
+    of which one at a time is shown, chosen by a time slider or played in sequence;
+    colors (e.g., classes) are of values of all times, so that they hold across frames
+  */
+  timeField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   title: PropTypes.string,
 
   titleClassName: CommonPropTypes.className,
@@ -514,22 +1049,42 @@ Map.propTypes = {
   titleStyle: PropTypes.object,
 
   /*
-    array of keys on topology.objects (e.g., 'national', 'ADM1', 'health_districts');
-    if a key on topology.objects is omitted, it will not be rendered
+    array of keys on topology.objects or geojson (e.g., 'national', 'ADM1', 'health_districts');
+    if a key is omitted, it will not be rendered
   */
   topojsonObjects: PropTypes.arrayOf(PropTypes.string),
 
   /*
-    preprojected topojson to render;
+    preprojected (unless `projection` is given) topojson to render;
     given inclusion of mesh filters, there is a hard dependency on particular topojson
   */
-  topology: PropTypes.shape({
-    objects: PropTypes.object.isRequired,
-  }).isRequired,
+  topology: exactlyOneOfProp(GeometryPropTypes),
+
+  /* label of the legend swatch of uncertaintyPattern */
+  uncertaintyLabel: PropTypes.string,
+
+  /*
+    pattern fill (see <FillPattern />) overlaid on locations of uncertainty at or above
+    uncertaintyThreshold; its background defaults to 'none', so that fills show through;
+    if null, locations are instead desaturated by uncertainty; see lowerField
+  */
+  uncertaintyPattern: patternPropType,
+
+  /* see <Choropleth /> */
+  uncertaintyScale: PropTypes.func,
+
+  /* see <Choropleth /> */
+  uncertaintyThreshold: PropTypes.number,
 
   /* unit of data, used as axis label in choropleth legend */
   unit: PropTypes.string,
 
+  /* key of datum that holds the upper bound of its value; see lowerField */
+  upperField: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.func,
+  ]),
+
   /* key of datum that holds the value to display */
   valueField: PropTypes.oneOfType([
     PropTypes.string,
@@ -545,8 +1100,14 @@ Map.propTypes = {
 };
 
 Map.defaultProps = {
+  bivariateColors: bivariateColorSteps(3),
+  categoryColors: schemeCategory10,
+  clampedLabel: 'Outside range',
+  clampedPattern: null,
+  classes: 5,
   colorSteps: defaultColorSteps.slice().reverse(),
   extentPct: [0, 1],
+  frameRate: 1,
   legendMargins: {
     top: 20,
     right: 50,
@@ -554,57 +1115,180 @@ Map.defaultProps = {
     left: 50,
   },
   loading: false,
+  loop: false,
+  missingLabel: 'No data',
+  missingPattern: null,
   selectedLocations: [],
   topojsonObjects: ['national'],
+  uncertaintyLabel: 'Uncertain',
+  uncertaintyPattern: null,
 };
 
 Map.propUpdates = {
+  bivariateScale: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, [
+      'bivariateColors',
+      'domain',
+      'secondaryDomain',
+      'secondaryValueField',
+    ], undefined, isEqual)) {
+      return state;
+    }
+
+    const { bivariateColors, domain, secondaryDomain, secondaryValueField } = nextProps;
+    return assign({}, state, {
+      bivariateScale: secondaryValueField === undefined
+        ? null
+        : bivariateColorScale(domain, secondaryDomain, bivariateColors),
+    });
+  },
+  categoryScale: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['categories', 'categoryColors'], undefined, isEqual)) {
+      return state;
+    }
+
+    const { categories, categoryColors } = nextProps;
+    return assign({}, state, {
+      categoryScale: categories ? scaleOrdinal().domain(categories).range(categoryColors) : null,
+      // forget hidden categories that no longer exist
+      hiddenCategories: intersection(state.hiddenCategories, categories),
+    });
+  },
+  classification: (state, _, prevProps, nextProps) => {
+    // values determine classes of named classifications (e.g., quantile), but not thresholds
+    const valuesChanged = !!nextProps.classification && !isArray(nextProps.classification)
+      && propsChanged(prevProps, nextProps, ['data', 'valueField']);
+    if (!valuesChanged
+      && !propsChanged(prevProps, nextProps, ['classes', 'classification'], undefined, isEqual)) {
+      return state;
+    }
+
+    const extent = state.setScaleExtentPct
+      ? getRangeExtent(state.setScaleExtentPct, getDomain(nextProps))
+      : getDomain(nextProps);
+    return assign({}, state, {
+      colorScale: state.colorScale
+        .base(getBaseScale(nextProps))
+        .domain(getColorDomain(nextProps, extent))
+        .range(getColorRange(nextProps))
+        .copy(),
+    });
+  },
   colorSteps: (state, _, prevProps, nextProps) => {
     if (nextProps.colorSteps === prevProps.colorSteps) return state;
     return assign({}, state, {
       colorScale: state.colorScale
-        .range(nextProps.colorSteps)
+        .range(getColorRange(nextProps))
         .copy(),
     });
   },
   domain: (state, _, prevProps, nextProps) => {
     if (isEqual(nextProps.domain, prevProps.domain)) return state;
     const domain = state.setScaleExtentPct
-      ? getRangeExtent(state.setScaleExtentPct, nextProps.domain)
-      : nextProps.domain;
-    const clamp = getRangeExtent(nextProps.extentPct, nextProps.domain);
+      ? getRangeExtent(state.setScaleExtentPct, getDomain(nextProps))
+      : getDomain(nextProps);
+    const clamp = getRangeExtent(nextProps.extentPct, getDomain(nextProps));
     return assign({}, state, {
       colorScale: state.colorScale
         .clamps(clamp)
-        .domain(linspace(domain, nextProps.colorSteps.length))
+        .domain(getColorDomain(nextProps, domain))
         .copy(),
     });
   },
   extent: (state, _, prevProps, nextProps) => {
     if (isEqual(nextProps.extentPct, prevProps.extentPct)) return state;
-    const rangeExtent = getRangeExtent(nextProps.extentPct, nextProps.domain);
+    const rangeExtent = getRangeExtent(nextProps.extentPct, getDomain(nextProps));
     return assign({}, state, {
       colorScale: state.colorScale.clamps(rangeExtent).copy(),
     });
   },
+  loop: (state, _, prevProps, nextProps) => {
+    if (nextProps.loop === prevProps.loop) return state;
+    return assign({}, state, { loop: nextProps.loop });
+  },
+  patterns: (state, _, prevProps, nextProps, context) => {
+    if (!propsChanged(prevProps, nextProps, [
+      'clampedLabel',
+      'clampedPattern',
+      'missingLabel',
+      'missingPattern',
+      'uncertaintyLabel',
+      'uncertaintyPattern',
+    ])) {
+      return state;
+    }
+
+    const {
+      clampedLabel,
+      clampedPattern,
+      missingLabel,
+      missingPattern,
+      uncertaintyLabel,
+      uncertaintyPattern,
+    } = nextProps;
+    const { patternIds } = context;
+    const clampedFill = getPatternFill(clampedPattern, patternIds.clamped);
+    const missingFill = getPatternFill(missingPattern, patternIds.missing);
+    const uncertaintyFill = uncertaintyPattern ? FillPattern.url(patternIds.uncertain) : undefined;
+
+    const patterns = [];
+    const swatches = [];
+    if (missingPattern) {
+      patterns.push({ ...missingPattern, id: patternIds.missing });
+      swatches.push({ fill: missingFill, label: missingLabel });
+    }
+    if (clampedPattern) {
+      patterns.push({ ...clampedPattern, id: patternIds.clamped });
+      swatches.push({ fill: clampedFill, label: clampedLabel });
+    }
+    if (uncertaintyPattern) {
+      patterns.push({ background: 'none', ...uncertaintyPattern, id: patternIds.uncertain });
+      swatches.push({ fill: uncertaintyFill, label: uncertaintyLabel });
+    }
+
+    return assign({}, state, {
+      colorScale: withClampedValue(state.colorScale, clampedFill),
+      missingFill,
+      patterns,
+      swatches,
+      uncertaintyFill,
+    });
+  },
   render: (state, _, prevProps, nextProps) => {
     if (!state.render && !nextProps.loading) {
       return assign({}, state, { render: true });
     }
     return state;
   },
-  selections: (state, _, prevProps, nextProps) => {
+  selections: (state, _, prevProps, nextProps, context) => {
     if (isEqual(nextProps.selectedLocations, prevProps.selectedLocations)) return state;
+    const keysOfSelectedLocations = map(nextProps.selectedLocations, datum =>
+      toString(propResolver(datum, nextProps.keyField))
+    );
     return assign({}, state, {
-      keysOfSelectedLocations: map(nextProps.selectedLocations, datum =>
-        toString(propResolver(datum, nextProps.keyField))
-      ),
-      // spread state.layers array into new array to ensure they are not referentially equal
-      // this is for the benefit of ensuring that the layers are re-rendered by <Choropleth />
+      keysOfSelectedLocations,
+      // new layers ensure that borders of selected locations are re-extracted by <Choropleth />
       // see Choropleth::componentWillReceiveProps
-      layers: [...state.layers],
+      layers: flatMap(nextProps.topojsonObjects, name =>
+        context.createLayers(name, keysOfSelectedLocations)
+      ),
     });
   },
+  times: (state, _, prevProps, nextProps) => {
+    if (!propsChanged(prevProps, nextProps, ['data', 'time', 'timeField'])) return state;
+
+    const { data, time, timeField } = nextProps;
+    if (timeField === undefined) return assign({}, state, { time: undefined, times: [] });
+
+    // state.time is always one of times, as it is of data
+    const times = getTimes(data, timeField);
+    let nextTime = findTime(times, state.time);
+    if (time !== prevProps.time && findTime(times, time) !== undefined) {
+      nextTime = findTime(times, time);
+    }
+    if (nextTime === undefined) nextTime = times[0];
+    return assign({}, state, { time: nextTime, times });
+  },
   topojsonObjects: (state, _, prevProps, nextProps, context) => {
     // if map detail level is changed,
     // filter layers passed to choropleth and update internal mapping of which datum have a
@@ -612,10 +1296,12 @@ Map.propUpdates = {
     if (isEqual(prevProps.topojsonObjects, nextProps.topojsonObjects)) return state;
 
     // evaluate visibility of each layer
-    const layers = flatMap(nextProps.topojsonObjects, context.createLayers);
+    const layers = flatMap(nextProps.topojsonObjects, name =>
+      context.createLayers(name, state.keysOfSelectedLocations)
+    );
     return assign({}, state, {
       layers,
-      locationIdsOnMap: context.getGeometryIds(nextProps.topology, layers),
+      locationIdsOnMap: context.getGeometryIds(getGeometryObjects(nextProps), layers),
     });
   },
 };
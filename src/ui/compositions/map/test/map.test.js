@@ -0,0 +1,287 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { mount, shallow } from 'enzyme';
+import sinon from 'sinon';
+import { filter, find, noop } from 'lodash';
+
+import { getLocationIds, getTopoJSON } from '../../../../test-utils';
+
+import Map from '../';
+import Choropleth from '../../../choropleth';
+import FeatureLayer from '../../../choropleth/src/feature-layer';
+import Path from '../../../choropleth/src/path';
+import Legend from '../../../legend';
+import Slider from '../../../slider';
+
+chai.use(chaiEnzyme());
+
+describe('<Map />', () => {
+  const topology = getTopoJSON();
+  const [id1, id2, id3] = getLocationIds(topology.objects.states.geometries);
+
+  // render the choropleth as it is within its <ResponsiveContainer />
+  const renderChoropleth = (wrapper) => {
+    const element = wrapper.find(Choropleth).node;
+    return shallow(React.cloneElement(element, { height: 400, width: 600 }));
+  };
+
+  // paths of the features of the map, as drawn
+  const renderPaths = wrapper =>
+    shallow(renderChoropleth(wrapper).find(FeatureLayer).node).find(Path);
+
+  const fillOf = (paths, id) =>
+    paths.filterWhere(path => path.prop('feature').id === id).prop('fill');
+
+  describe('categorical mode', () => {
+    const categories = ['endemic', 'at risk', 'eliminated'];
+    const categoryColors = ['red', 'orange', 'green'];
+    const data = [
+      { id: id1, category: 'endemic' },
+      { id: id2, category: 'at risk' },
+      { id: id3, category: 'endemic' },
+    ];
+
+    const render = props => shallow(
+      <Map
+        categories={categories}
+        categoryColors={categoryColors}
+        data={data}
+        geometryKeyField="id"
+        keyField="id"
+        onResetScale={noop}
+        onSliderMove={noop}
+        topojsonObjects={['states']}
+        topology={topology}
+        valueField="category"
+        {...props}
+      />
+    );
+
+    const clickCategory = (wrapper, category) => {
+      const legend = wrapper.find(Legend);
+      legend.prop('onClick')({}, find(legend.prop('items'), { category }));
+    };
+
+    it('fills each location by the color of its category', () => {
+      const wrapper = render();
+      const colorScale = wrapper.find(Choropleth).prop('colorScale');
+      expect(colorScale('at risk')).to.equal('orange');
+
+      const paths = renderPaths(wrapper);
+      expect(fillOf(paths, id1)).to.equal('red');
+      expect(fillOf(paths, id2)).to.equal('orange');
+      expect(fillOf(paths, id3)).to.equal('red');
+    });
+
+    it('renders a swatch of each category in place of the choropleth legend', () => {
+      const items = render().find(Legend).prop('items');
+      expect(items.map(item => item.category)).to.deep.equal(categories);
+      expect(items.map(item => item.color)).to.deep.equal(categoryColors);
+    });
+
+    it('hides locations of a category when its swatch is clicked, and shows them again', () => {
+      const onToggleCategory = sinon.spy();
+      const wrapper = render({ onToggleCategory });
+
+      clickCategory(wrapper, 'endemic');
+      expect(onToggleCategory.calledWith('endemic', ['endemic'])).to.equal(true);
+      expect(wrapper.find(Choropleth).prop('data')).to.deep.equal([data[1]]);
+      expect(find(wrapper.find(Legend).prop('items'), { category: 'endemic' }))
+        .to.have.property('hidden', true);
+
+      // drawn as if without data
+      let paths = renderPaths(wrapper);
+      expect(fillOf(paths, id1)).to.equal('#ccc');
+      expect(fillOf(paths, id2)).to.equal('orange');
+      expect(fillOf(paths, id3)).to.equal('#ccc');
+
+      clickCategory(wrapper, 'endemic');
+      expect(onToggleCategory.calledWith('endemic', [])).to.equal(true);
+      expect(wrapper.find(Choropleth).prop('data')).to.equal(data);
+      expect(find(wrapper.find(Legend).prop('items'), { category: 'endemic' }))
+        .to.have.property('hidden', false);
+
+      paths = renderPaths(wrapper);
+      expect(fillOf(paths, id1)).to.equal('red');
+      expect(fillOf(paths, id3)).to.equal('red');
+    });
+
+    it('shows locations of categories that are no longer given', () => {
+      const wrapper = render();
+      clickCategory(wrapper, 'endemic');
+      wrapper.setProps({ categories: ['at risk', 'eliminated'] });
+      expect(wrapper.find(Choropleth).prop('data')).to.equal(data);
+    });
+  });
+
+  describe('time playback', () => {
+    // includes a time of 0, which is falsy
+    const years = [0, 1, 2];
+    const data = years.reduce((acc, year) => [
+      ...acc,
+      { id: id1, mean: year * 10, year },
+      { id: id2, mean: year * 20, year },
+    ], []);
+    const dataOf = year => filter(data, { year });
+
+    let clock;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const pendingTimers = () => Object.keys(clock.timers || {}).length;
+
+    const element = props => (
+      <Map
+        data={data}
+        domain={[0, 100]}
+        geometryKeyField="id"
+        keyField="id"
+        onResetScale={noop}
+        onSliderMove={noop}
+        timeField="year"
+        topojsonObjects={['states']}
+        topology={topology}
+        valueField="mean"
+        {...props}
+      />
+    );
+
+    const playButton = wrapper => wrapper.find('button').filterWhere(button =>
+      button.text() === 'Play' || button.text() === 'Pause'
+    );
+
+    it('shows data of one time at a time, chosen by the time slider', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = shallow(element({ onTimeChange }));
+      expect(wrapper.find(Choropleth).prop('data')).to.deep.equal(dataOf(0));
+      expect(wrapper.find(Slider)).to.have.prop('range').that.deep.equals(years);
+
+      wrapper.find(Slider).prop('onDrag')({}, { low: 2 });
+      expect(wrapper.find(Choropleth).prop('data')).to.deep.equal(dataOf(2));
+      expect(onTimeChange.calledWith(2)).to.equal(true);
+
+      wrapper.find(Slider).prop('onTrackClick')({}, { low: 0 });
+      expect(wrapper.find(Choropleth).prop('data')).to.deep.equal(dataOf(0));
+      expect(wrapper.find(Slider)).to.have.prop('value', 0);
+      expect(onTimeChange.calledWith(0)).to.equal(true);
+    });
+
+    it('matches time to times of data as strings', () => {
+      const wrapper = shallow(element({ time: '1' }));
+      expect(wrapper.find(Slider)).to.have.prop('value', 1);
+      expect(wrapper.find(Choropleth).prop('data')).to.deep.equal(dataOf(1));
+
+      const stringData = data.map(datum => ({ ...datum, year: String(datum.year) }));
+      wrapper.setProps({ data: stringData, time: 2 });
+      expect(wrapper.find(Slider)).to.have.prop('value', '2');
+      expect(wrapper.find(Choropleth).prop('data'))
+        .to.deep.equal(filter(stringData, { year: '2' }));
+    });
+
+    it('plays times in sequence at frameRate, stopping after the last', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ frameRate: 2, onTimeChange }));
+
+      playButton(wrapper).simulate('click');
+      expect(playButton(wrapper).text()).to.equal('Pause');
+      expect(onTimeChange.called).to.equal(false);
+
+      clock.tick(500);
+      expect(onTimeChange.lastCall.args).to.deep.equal([1]);
+      clock.tick(500);
+      expect(onTimeChange.lastCall.args).to.deep.equal([2]);
+
+      clock.tick(500);
+      expect(playButton(wrapper).text()).to.equal('Play');
+      expect(pendingTimers()).to.equal(0);
+
+      clock.tick(5000);
+      expect(onTimeChange.callCount).to.equal(2);
+
+      // playing from the last time starts over
+      playButton(wrapper).simulate('click');
+      expect(onTimeChange.lastCall.args).to.deep.equal([0]);
+      wrapper.unmount();
+    });
+
+    it('pauses playback, clearing its timer', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ onTimeChange }));
+
+      playButton(wrapper).simulate('click');
+      clock.tick(1000);
+      expect(onTimeChange.callCount).to.equal(1);
+
+      playButton(wrapper).simulate('click');
+      expect(playButton(wrapper).text()).to.equal('Play');
+      expect(pendingTimers()).to.equal(0);
+
+      clock.tick(5000);
+      expect(onTimeChange.callCount).to.equal(1);
+      wrapper.unmount();
+    });
+
+    it('waits on the current time while data loads, and may be paused meanwhile', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ onTimeChange }));
+
+      playButton(wrapper).simulate('click');
+      wrapper.setProps({ loading: true });
+      clock.tick(3000);
+      expect(onTimeChange.called).to.equal(false);
+
+      // the map does not update while loading, but playback is paused all the same
+      playButton(wrapper).simulate('click');
+      expect(pendingTimers()).to.equal(0);
+
+      wrapper.setProps({ loading: false });
+      expect(playButton(wrapper).text()).to.equal('Play');
+      clock.tick(3000);
+      expect(onTimeChange.called).to.equal(false);
+      wrapper.unmount();
+    });
+
+    it('restarts playback at a new frameRate', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ onTimeChange }));
+
+      playButton(wrapper).simulate('click');
+      wrapper.setProps({ frameRate: 4 });
+      expect(pendingTimers()).to.equal(1);
+
+      clock.tick(250);
+      expect(onTimeChange.lastCall.args).to.deep.equal([1]);
+      wrapper.unmount();
+    });
+
+    it('loops back to the first time when loop is checked', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ onTimeChange }));
+
+      wrapper.find('input[type="checkbox"]').simulate('change', { target: { checked: true } });
+      playButton(wrapper).simulate('click');
+      clock.tick(3000);
+      expect(onTimeChange.args).to.deep.equal([[1], [2], [0]]);
+      expect(playButton(wrapper).text()).to.equal('Pause');
+      wrapper.unmount();
+    });
+
+    it('clears the timer of playback once unmounted', () => {
+      const onTimeChange = sinon.spy();
+      const wrapper = mount(element({ onTimeChange }));
+
+      playButton(wrapper).simulate('click');
+      expect(pendingTimers()).to.equal(1);
+
+      wrapper.unmount();
+      expect(pendingTimers()).to.equal(0);
+      clock.tick(5000);
+      expect(onTimeChange.called).to.equal(false);
+    });
+  });
+});
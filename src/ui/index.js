@@ -2,8 +2,8 @@ import Axis from './axis';
 import AxisChart from './axis-chart';
 import Button from './button';
 import Choropleth from './choropleth';
-import ChoroplethLegend from './choropleth-legend';
-import { Map } from './compositions';
+import ChoroplethLegend, { BivariateLegend } from './choropleth-legend';
+import { Comparison, Map } from './compositions';
 import ExpansionContainer, { Expandable } from './expansion-container';
 import Group, { Option } from './group';
 import HtmlLabel from './html-label';
@@ -12,6 +12,7 @@ import ResponsiveContainer from './responsive-container';
 import { SingleSelect, MultiSelect } from './select';
 import {
   Area,
+  FillPattern,
   Line,
   MultiLine,
   MultiScatter,
@@ -26,11 +27,14 @@ export default {
   Area,
   Axis,
   AxisChart,
+  BivariateLegend,
   Button,
   Choropleth,
   ChoroplethLegend,
+  Comparison,
   Expandable,
   ExpansionContainer,
+  FillPattern,
   Group,
   HtmlLabel,
   Legend,
@@ -1,4 +1,5 @@
 export { default as Area } from './src/area';
+export { default as FillPattern, patternPropType } from './src/fill-pattern';
 export { default as Line } from './src/line';
 export { default as MultiLine } from './src/multi-line';
 export { default as MultiScatter } from './src/multi-scatter';
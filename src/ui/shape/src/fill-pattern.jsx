@@ -0,0 +1,144 @@
+import React, { PropTypes } from 'react';
+import { assign } from 'lodash';
+
+import { PureComponent } from '../../../utils';
+
+const PATTERN_TYPES = ['hatch', 'dots'];
+
+export default class FillPattern extends PureComponent {
+  /**
+   * Reference to a pattern, for use as a fill, e.g., <path fill={FillPattern.url('missing')} />
+   * @param {String} id - id of pattern
+   * @return {String}
+   */
+  static url(id) {
+    return `url(#${id})`;
+  }
+
+  /**
+   * Parse the id of a pattern from a fill, if it refers to one
+   * @param {String} fill
+   * @return {String|null}
+   */
+  static parseUrl(fill) {
+    const match = /^url\(#(.+)\)$/.exec(fill);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Draw the same pattern as <FillPattern /> as a CanvasPattern,
+   * for use as the fillStyle of a canvas context
+   * @param {CanvasRenderingContext2D} context - context on which pattern will be used
+   * @param {Object} pattern - props of <FillPattern />
+   * @return {CanvasPattern|null} null if a canvas cannot be created
+   */
+  static createCanvasPattern(context, pattern) {
+    const { angle, background, color, radius, size, strokeWidth, type } =
+      assign({}, FillPattern.defaultProps, pattern);
+
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
+    const tileContext = tile.getContext('2d');
+    if (!tileContext) return null;
+
+    if (background !== 'none') {
+      tileContext.fillStyle = background;
+      tileContext.fillRect(0, 0, size, size);
+    }
+
+    tileContext.beginPath();
+    if (type === 'dots') {
+      tileContext.arc(size / 2, size / 2, radius, 0, 2 * Math.PI);
+      tileContext.fillStyle = color;
+      tileContext.fill();
+    } else {
+      tileContext.moveTo(size / 2, 0);
+      tileContext.lineTo(size / 2, size);
+      tileContext.strokeStyle = color;
+      tileContext.lineWidth = strokeWidth;
+      tileContext.stroke();
+    }
+
+    const canvasPattern = context.createPattern(tile, 'repeat');
+
+    // rotation of canvas patterns is not universally supported; unrotated hatching is vertical
+    const Matrix = typeof window !== 'undefined' && window.DOMMatrix;
+    if (canvasPattern && canvasPattern.setTransform && Matrix) {
+      canvasPattern.setTransform(new Matrix().rotate(angle));
+    }
+
+    return canvasPattern;
+  }
+
+  render() {
+    const { angle, background, color, id, radius, size, strokeWidth, type } = this.props;
+
+    return (
+      <pattern
+        height={size}
+        id={id}
+        patternTransform={`rotate(${angle})`}
+        patternUnits="userSpaceOnUse"
+        width={size}
+      >
+        {background !== 'none' && <rect fill={background} height={size} width={size} />}
+        {type === 'dots'
+          ? <circle cx={size / 2} cy={size / 2} fill={color} r={radius} />
+          : <line
+            stroke={color}
+            strokeWidth={strokeWidth}
+            x1={size / 2}
+            x2={size / 2}
+            y1={0}
+            y2={size}
+          />
+        }
+      </pattern>
+    );
+  }
+}
+
+const PATTERN_PROP_TYPES = {
+  /* degrees by which pattern is rotated; e.g., 45 for diagonal hatching */
+  angle: PropTypes.number,
+
+  /* fill behind hatching or dots; 'none' for transparent */
+  background: PropTypes.string,
+
+  /* color of hatching or dots */
+  color: PropTypes.string,
+
+  /* document-unique id of pattern; reference as a fill with FillPattern.url(id) */
+  id: PropTypes.string,
+
+  /* px radius of dots */
+  radius: PropTypes.number,
+
+  /* px width and height of repeating tile, i.e., spacing of hatching or dots */
+  size: PropTypes.number,
+
+  /* px width of hatching */
+  strokeWidth: PropTypes.number,
+
+  /* one of 'hatch', 'dots' */
+  type: PropTypes.oneOf(PATTERN_TYPES),
+};
+
+/* shape of pattern definitions accepted as props of other components, e.g., <Choropleth /> */
+export const patternPropType = PropTypes.shape(PATTERN_PROP_TYPES);
+
+FillPattern.propTypes = {
+  ...PATTERN_PROP_TYPES,
+  id: PropTypes.string.isRequired,
+};
+
+FillPattern.defaultProps = {
+  angle: 45,
+  background: '#fff',
+  color: '#999',
+  radius: 1.25,
+  size: 6,
+  strokeWidth: 1.5,
+  type: 'hatch',
+};
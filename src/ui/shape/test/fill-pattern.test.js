@@ -0,0 +1,46 @@
+import React from 'react';
+import chai, { expect } from 'chai';
+import chaiEnzyme from 'chai-enzyme';
+import { shallow } from 'enzyme';
+import sinon from 'sinon';
+
+import { FillPattern } from '../';
+
+chai.use(chaiEnzyme());
+
+describe('<FillPattern />', () => {
+  it('renders a repeating pattern of hatching', () => {
+    const wrapper = shallow(<FillPattern id="missing" color="red" size={8} />);
+    const pattern = wrapper.find('pattern');
+    expect(pattern).to.have.attr('id', 'missing');
+    expect(pattern).to.have.prop('patternUnits', 'userSpaceOnUse');
+    expect(pattern).to.have.attr('width', '8');
+    expect(pattern).to.have.prop('patternTransform', 'rotate(45)');
+    expect(wrapper.find('line')).to.have.attr('stroke', 'red');
+    expect(wrapper.find('circle')).to.not.be.present();
+  });
+
+  it('renders a repeating pattern of dots', () => {
+    const wrapper = shallow(<FillPattern id="clamped" type="dots" color="blue" radius={2} />);
+    expect(wrapper.find('circle')).to.have.attr('fill', 'blue');
+    expect(wrapper.find('circle')).to.have.attr('r', '2');
+    expect(wrapper.find('line')).to.not.be.present();
+  });
+
+  it('omits background if "none"', () => {
+    expect(shallow(<FillPattern id="a" />).find('rect')).to.be.present();
+    expect(shallow(<FillPattern id="a" background="none" />).find('rect')).to.not.be.present();
+  });
+
+  it('references patterns by url', () => {
+    expect(FillPattern.url('missing')).to.equal('url(#missing)');
+    expect(FillPattern.parseUrl('url(#missing)')).to.equal('missing');
+    expect(FillPattern.parseUrl('#ccc')).to.be.null;
+  });
+
+  it('returns null when a canvas pattern cannot be drawn', () => {
+    // jsdom does not implement canvas
+    const context = { createPattern: sinon.spy() };
+    expect(FillPattern.createCanvasPattern(context, { id: 'a' })).to.be.null;
+  });
+});
@@ -137,7 +137,7 @@ export default class Slider extends PureComponent {
       // Check that the mouse X pos is within the handle extent,
       // and that the computed value is in the range list
       if (!inRange(pageX - handleExtent, nextPos - handleExtent) ||
-            !this.state.range[index]) return;
+            this.state.range[index] === undefined) return;
 
       this.updateValueFromEvent(event, index, key, this.props.onDrag);
     };
@@ -187,7 +187,8 @@ export default class Slider extends PureComponent {
   }
 
   updateValueFromEvent(event, index, key, callback) {
-    if (index !== this.state.indexes[key] && this.state.range[index]) {
+    // values of range may be falsy (e.g., 0)
+    if (index !== this.state.indexes[key] && this.state.range[index] !== undefined) {
       const indexes = { ...this.state.indexes, [key]: index };
       const values = getValuesForIndexes(indexes, this.state.range);
 
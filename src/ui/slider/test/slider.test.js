@@ -31,4 +31,31 @@ describe('<Slider />', () => {
     wrapper.setProps({ value: { low: 2, high: 10 } });
     expect(wrapper.instance().state.indexes).to.deep.equal({ low: 1, high: 9 });
   });
+
+  it('moves to falsy values of range, e.g., 0, but not past its ends', () => {
+    const onKey = sinon.spy();
+    const wrapper = mount(
+      <Slider
+        range={[0, 1, 2]}
+        value={1}
+        onChange={onChange}
+        onKey={onKey}
+      />
+    );
+    const pressKey = (keyCode) => {
+      wrapper.instance().onHandleKeyDown('low')({
+        keyCode,
+        preventDefault() {},
+        stopPropagation() {},
+      });
+    };
+
+    pressKey(37);
+    expect(onKey.calledOnce).to.equal(true);
+    expect(onKey.lastCall.args[1]).to.deep.equal({ low: 0 });
+
+    wrapper.setProps({ value: 0 });
+    pressKey(37);
+    expect(onKey.calledOnce).to.equal(true);
+  });
 });
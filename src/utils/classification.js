@@ -0,0 +1,126 @@
+import { quantile } from 'd3';
+import { filter, isArray, isFinite, map, range, sortBy, sortedUniq } from 'lodash';
+
+/**
+ * Thresholds dividing [min, max] into classes of equal width
+ * @param {Array} values -> ignored; see getBreaks
+ * @param {Number} classes -> number of classes
+ * @param {Array} domain -> [min, max]
+ * @returns {Array} classes - 1 thresholds
+ */
+function equalIntervalBreaks(values, classes, [min, max]) {
+  return map(range(1, classes), i => min + ((i * (max - min)) / classes));
+}
+
+/**
+ * Thresholds dividing sorted values into classes of (about) equal count
+ * @param {Array} values -> sorted, finite values
+ * @param {Number} classes
+ * @returns {Array} classes - 1 thresholds
+ */
+function quantileBreaks(values, classes) {
+  if (!values.length) return [];
+  return map(range(1, classes), i => quantile(values, i / classes));
+}
+
+/**
+ * Thresholds of Jenks natural breaks, i.e., classes that minimize the variance within each;
+ * computed by Fisher's dynamic program, in O(classes * values^2)
+ * @param {Array} values -> sorted, finite values
+ * @param {Number} classes
+ * @returns {Array} up to classes - 1 thresholds; each the least value of a class
+ */
+function jenksBreaks(values, classes) {
+  const n = values.length;
+
+  // with as many classes as distinct values, each value is a class
+  const distinct = sortedUniq(values);
+  if (distinct.length <= classes) return distinct.slice(1);
+
+  // lowerLimits[l][j]: 1-based index of the least value of the last of j classes of the first l values
+  // variances[l][j]: least sum of within-class variance of j classes of the first l values
+  const lowerLimits = map(range(n + 1), () => map(range(classes + 1), () => 0));
+  const variances = map(range(n + 1), () => map(range(classes + 1), () => Infinity));
+  for (let j = 1; j <= classes; j++) {
+    lowerLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumOfSquares = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lowerLimit = l - m + 1;
+      const value = values[lowerLimit - 1];
+      sum += value;
+      sumOfSquares += value * value;
+      variance = sumOfSquares - ((sum * sum) / m);
+
+      const previous = lowerLimit - 1;
+      if (previous !== 0) {
+        for (let j = 2; j <= classes; j++) {
+          if (variances[l][j] >= variance + variances[previous][j - 1]) {
+            lowerLimits[l][j] = lowerLimit;
+            variances[l][j] = variance + variances[previous][j - 1];
+          }
+        }
+      }
+    }
+
+    lowerLimits[l][1] = 1;
+    variances[l][1] = variance;
+  }
+
+  // walk back from the last class to the first
+  const breaks = [];
+  let last = n;
+  for (let j = classes; j > 1; j--) {
+    const lowerLimit = lowerLimits[last][j];
+    breaks.unshift(values[lowerLimit - 1]);
+    last = lowerLimit - 1;
+  }
+  return breaks;
+}
+
+const CLASSIFICATIONS = {
+  equalInterval: equalIntervalBreaks,
+  jenks: jenksBreaks,
+  quantile: quantileBreaks,
+};
+
+/**
+ * Get a list of the names of classification schemes.
+ * @returns {Array} e.g., ['equalInterval', 'jenks', 'quantile']
+ */
+export function classificationTypes() {
+  return Object.keys(CLASSIFICATIONS);
+}
+
+/**
+ * Number of classes of a classification
+ * @param {String|Array} classification -> name of scheme, or thresholds
+ * @param {Number} classes -> number of classes of a named scheme
+ * @returns {Number}
+ */
+export function getClassCount(classification, classes) {
+  return isArray(classification) ? classification.length + 1 : classes;
+}
+
+/**
+ * Thresholds between classes of values, e.g., for the domain of a d3 scaleThreshold
+ * @param {String|Array} classification -> one of classificationTypes(), or thresholds,
+ *                                         which are returned as given
+ * @param {Array} values -> values to classify; non-finite values are ignored
+ * @param {Number} classes -> number of classes of a named scheme
+ * @param {Array} domain -> [min, max]; values outside of domain are ignored
+ * @returns {Array} ascending thresholds; value < thresholds[0] is of the first class
+ */
+export function getBreaks(classification, values, classes, domain) {
+  if (isArray(classification)) return classification;
+
+  const [min, max] = domain;
+  const sorted = sortBy(filter(values, value => isFinite(value) && value >= min && value <= max));
+  return CLASSIFICATIONS[classification](sorted, classes, domain);
+}
@@ -1,4 +1,5 @@
-import { scaleLinear } from 'd3';
+import { color, hsl, interpolateLab, scaleLinear, scaleQuantize } from 'd3';
+import { clamp, isFinite, map, range } from 'lodash';
 
 import { linspace } from './array';
 
@@ -20,6 +21,17 @@ export const colorSteps = [
   '#313695',  // dark blue
 ];
 
+/**
+ * corners of the default bivariate color matrix, after Joshua Stevens
+ * (http://www.joshuastevens.net/cartography/make-a-bivariate-choropleth-map/)
+ */
+export const bivariateColorCorners = [
+  '#e8e8e8', // low x, low y
+  '#5ac8c8', // high x, low y
+  '#be64ac', // low x, high y
+  '#3b4994', // high x, high y
+];
+
 /**
  * Basic, clamped, linear color scale
  * @param {Array} domain -> [min, max]
@@ -29,3 +41,87 @@ export const baseColorScale = (domain = [0, 1]) =>
   scaleLinear()
     .domain(linspace(domain, colorSteps.length))
     .range(colorSteps);
+
+/**
+ * Evenly spaced colors of a color scheme, e.g., the fill of each class of a classed map
+ * @param {Array} colors -> color steps, e.g., colorSteps
+ * @param {Number} count -> number of colors to sample
+ * @returns {Array}
+ */
+export function sampleColors(colors, count) {
+  if (count === colors.length) return colors;
+
+  const scale = scaleLinear()
+    .domain(linspace([0, 1], colors.length))
+    .range(colors);
+  return map(range(count), i => scale(count === 1 ? 0.5 : i / (count - 1)));
+}
+
+/**
+ * Reduce the saturation of a color, e.g., the fill of a location with an uncertain value
+ * @param {String} fill -> color; returned as is if not a color, e.g., a pattern fill
+ * @param {Number} amount -> fraction of saturation to remove, in [0, 1]
+ * @returns {String}
+ */
+export function desaturate(fill, amount) {
+  if (!(amount > 0) || !color(fill)) return fill;
+
+  const desaturated = hsl(fill);
+  desaturated.s *= 1 - clamp(amount, 0, 1);
+  return desaturated.toString();
+}
+
+/**
+ * Square matrix of colors for a bivariate color scale, interpolated between four corners
+ * @param {Number} [size] -> number of classes of each variable, e.g., 3 for a 3x3 matrix
+ * @param {Array} [corners] -> [lowLow, highXLowY, lowXHighY, highHigh]
+ * @returns {Array} rows, from low to high y, of colors, from low to high x
+ */
+export function bivariateColorSteps(size = 3, corners = bivariateColorCorners) {
+  const [lowLow, highX, highY, highHigh] = corners;
+  const lowX = interpolateLab(lowLow, highY);
+  const highXOfRow = interpolateLab(highX, highHigh);
+
+  return map(range(size), (row) => {
+    const t = row / (size - 1);
+    const interpolateRow = interpolateLab(lowX(t), highXOfRow(t));
+    return map(range(size), column => interpolateRow(column / (size - 1)));
+  });
+}
+
+/**
+ * Bivariate color scale; divides each domain into as many equal classes as the matrix has
+ * columns (x) or rows (y), and returns the color of the cell in which a pair of values falls
+ * e.g., bivariateColorScale([0, 100], [-1, 1])(50, 0.5) -> colors[2][1]
+ * @param {Array} [xDomain] -> [min, max] of first variable
+ * @param {Array} [yDomain] -> [min, max] of second variable
+ * @param {Array} [colors] -> see bivariateColorSteps
+ * @returns {Function} function(x, y) {...} -> color; undefined if either value is not finite;
+ *   scale.cell(x, y) returns [column, row] of the pair (or null), scale.colors() returns colors,
+ *   and scale.x and scale.y are the quantize scales of each variable
+ */
+export function bivariateColorScale(
+  xDomain = [0, 1],
+  yDomain = [0, 1],
+  colors = bivariateColorSteps()
+) {
+  const x = scaleQuantize().domain(xDomain).range(range(colors[0].length));
+  const y = scaleQuantize().domain(yDomain).range(range(colors.length));
+
+  const cell = (xValue, yValue) => {
+    if (!isFinite(xValue) || !isFinite(yValue)) return null;
+    return [x(xValue), y(yValue)];
+  };
+
+  const scale = (xValue, yValue) => {
+    const [column, row] = cell(xValue, yValue) || [];
+    return row === undefined ? undefined : colors[row][column];
+  };
+
+  scale.cell = cell;
+  scale.colors = () => colors;
+  scale.x = x;
+  scale.y = y;
+
+  return scale;
+}
@@ -35,6 +35,19 @@ export function domainFromPercent(newDomain, oldDomain, rangeExtent) {
   return [numFromPercent(x1Pct, newDomain), numFromPercent(x2Pct, newDomain)];
 }
 
+// tolerance of the clamps of color scales (see clampedScale), within which values are clamped
+// to neither side, e.g., those at the ends of a range extent (see getRangeExtent)
+export const CLAMP_TOLERANCE = 0.000001;
+
+/**
+ * @param {Array} extentPct -> [x1Pct, x2Pct], each between [0, 1] inclusive
+ * @param {Array} domain
+ * @return {Array} -> numbers at x1Pct and x2Pct of domain
+ */
+export function getRangeExtent([x1Pct, x2Pct], domain) {
+  return [numFromPercent(x1Pct, domain), numFromPercent(x2Pct, domain)];
+}
+
 /**
  * Base check that value is within the range of extent (up to and including start and end)
  * if no extent is given, returns true
@@ -1,16 +1,169 @@
 import * as topojson from 'topojson';
-import { reduce } from 'lodash';
-import { geoPath } from 'd3';
+import {
+  forEach,
+  get as getValue,
+  includes,
+  map,
+  mapValues,
+  partition,
+  reduce,
+  toString,
+} from 'lodash';
+import {
+  geoAlbers,
+  geoAlbersUsa,
+  geoAzimuthalEqualArea,
+  geoAzimuthalEquidistant,
+  geoConicConformal,
+  geoConicEqualArea,
+  geoConicEquidistant,
+  geoEquirectangular,
+  geoGnomonic,
+  geoMercator,
+  geoNaturalEarth1,
+  geoOrthographic,
+  geoPath,
+  geoStereographic,
+  geoTransverseMercator,
+} from 'd3';
+
+import { propResolver } from './objects';
 
 const defaultMeshFilter = () => { return true; };
 
+const PROJECTIONS = {
+  albers: geoAlbers,
+  albersUsa: geoAlbersUsa,
+  azimuthalEqualArea: geoAzimuthalEqualArea,
+  azimuthalEquidistant: geoAzimuthalEquidistant,
+  conicConformal: geoConicConformal,
+  conicEqualArea: geoConicEqualArea,
+  conicEquidistant: geoConicEquidistant,
+  equirectangular: geoEquirectangular,
+  gnomonic: geoGnomonic,
+  mercator: geoMercator,
+  naturalEarth: geoNaturalEarth1,
+  orthographic: geoOrthographic,
+  stereographic: geoStereographic,
+  transverseMercator: geoTransverseMercator,
+};
+
+/**
+ * Get a list of shortened d3 projection names.
+ * @returns {Array} list of shortened projection names.
+ */
+export function projectionTypes() {
+  return Object.keys(PROJECTIONS);
+}
+
+/**
+ * Get a d3 projection factory by shortened name (e.g., 'naturalEarth' -> d3.geoNaturalEarth1).
+ * @param {String} type
+ * @returns {Function|undefined} projection factory; undefined if type is not a known projection
+ */
+export function getProjection(type) {
+  return PROJECTIONS[type];
+}
+
+/**
+ * @param {Object} geometry -> topojson geometry object
+ * @param {Object} neighborGeometry
+ * @param {String|Function} geometryKeyField
+ * @returns {Boolean} whether geometry lists neighborGeometry in its 'disputes' property
+ */
+function disputes(geometry, neighborGeometry, geometryKeyField) {
+  return includes(
+    getValue(geometry, ['properties', 'disputes'], []),
+    propResolver(neighborGeometry, geometryKeyField)
+  );
+}
+
+/**
+ * mesh filters that a layer may name (as layer.meshFilter), rather than give as a function,
+ * so that it may be extracted off of the main thread (see utils/geometry-worker);
+ * each is called as function(geometry, neighborGeometry, layer.meshFilter)
+ */
+const MESH_FILTERS = {
+  // borders between geometries, either of which disputes the other
+  disputedBorders(geometry, neighborGeometry, { geometryKeyField }) {
+    return geometry !== neighborGeometry && (
+      disputes(geometry, neighborGeometry, geometryKeyField)
+      || disputes(neighborGeometry, geometry, geometryKeyField)
+    );
+  },
+
+  // outlines, and borders between geometries, neither of which disputes the other
+  nonDisputedBorders(geometry, neighborGeometry, { geometryKeyField }) {
+    return geometry === neighborGeometry || !(
+      disputes(geometry, neighborGeometry, geometryKeyField)
+      || disputes(neighborGeometry, geometry, geometryKeyField)
+    );
+  },
+
+  // borders of selected geometries (given by selectedKeys),
+  // except those disputed by selected geometries
+  selectedBorders(geometry, neighborGeometry, { geometryKeyField, selectedKeys = [] }) {
+    const geometryKey = toString(propResolver(geometry, geometryKeyField));
+    const geometryDisputes = map(getValue(geometry, ['properties', 'disputes'], []), toString);
+    const neighborGeometryKey = toString(propResolver(neighborGeometry, geometryKeyField));
+    const neighborGeometryDisputes =
+      map(getValue(neighborGeometry, ['properties', 'disputes'], []), toString);
+
+    return (
+        // geometry is one of the geometries selected
+        includes(selectedKeys, geometryKey)
+
+        // neighborGeometry is one of the geometries selected
+        || includes(selectedKeys, neighborGeometryKey)
+
+        // or one of the selections disputed by geometry or neighborGeometry
+        || selectedKeys.some(key =>
+          includes(geometryDisputes, key) || includes(neighborGeometryDisputes, key)
+        )
+      )
+
+      && !(
+        includes(selectedKeys, geometryKey)
+        && includes(neighborGeometryDisputes, geometryKey)
+
+        || includes(selectedKeys, neighborGeometryKey)
+        && includes(geometryDisputes, neighborGeometryKey)
+      );
+  },
+};
+
+/**
+ * Get a list of the types of named mesh filters.
+ * @returns {Array} e.g., ['disputedBorders', ...]
+ */
+export function meshFilterTypes() {
+  return Object.keys(MESH_FILTERS);
+}
+
+/**
+ * Resolve the function by which a mesh layer filters borders
+ * @param {Object} layer -> see extractGeoJSON
+ * @returns {Function} function(geometry, neighborGeometry) {...}
+ */
+export function resolveMeshFilter(layer) {
+  if (layer.filterFn) return layer.filterFn;
+
+  const meshFilter = layer.meshFilter && MESH_FILTERS[layer.meshFilter.type];
+  if (!meshFilter) return defaultMeshFilter;
+  return (geometry, neighborGeometry) => meshFilter(geometry, neighborGeometry, layer.meshFilter);
+}
+
 /**
  * extract topojson layers as geoJSON
  * @param {Object} topology -> valid topojson
  * @param {Array} layers -> layers to include
- *   each layer is an object with keys 'name', 'type', and, optionally, 'filterFn'
+ *   each layer is an object with keys 'name', 'type',
+ *   and, optionally, either 'filterFn' or 'meshFilter'
  *   'name' must map to a key in topology.objects
  *   'type' is one of 'feature' or 'mesh', defaults to 'feature'
+ *   'filterFn' is passed to topojson.mesh;
+ *   'meshFilter' names a filter instead, e.g., { type: 'disputedBorders', geometryKeyField: 'id' }
+ *   (see meshFilterTypes)
  * @return {Object} -> { mesh: {...}, feature: {...}  }
  */
 export function extractGeoJSON(topology, layers) {
@@ -27,7 +180,7 @@ export function extractGeoJSON(topology, layers) {
             ...acc.mesh,
             [layer.name]: topojson.mesh(topology,
                                         topology.objects[layer.object],
-                                        layer.filterFn || defaultMeshFilter),
+                                        resolveMeshFilter(layer)),
           },
         };
       case 'feature': // FALL THROUGH
@@ -43,6 +196,111 @@ export function extractGeoJSON(topology, layers) {
   }, {});
 }
 
+/**
+ * select GeoJSON objects as layers, in the same shape as returned by extractGeoJSON;
+ * mesh layers are skipped, given that shared borders cannot be derived from GeoJSON
+ * @param {Object} geojson -> object of GeoJSON FeatureCollections, Features, or geometries,
+ *   keyed by name (analogous to topology.objects)
+ * @param {Array} layers -> layers to include; see extractGeoJSON
+ *   'object' must map to a key in geojson
+ * @return {Object} -> { feature: {...}  }
+ */
+export function selectGeoJSON(geojson, layers) {
+  return reduce(layers, (acc, layer) => {
+    // make certain the layer exists on the geojson
+    if (!geojson.hasOwnProperty(layer.object) || layer.type === 'mesh') return acc;
+
+    const object = geojson[layer.object];
+    let collection;
+    switch (object.type) {
+      case 'FeatureCollection':
+        collection = object;
+        break;
+      case 'Feature':
+        collection = { type: 'FeatureCollection', features: [object] };
+        break;
+      default: // geometry object
+        collection = {
+          type: 'FeatureCollection',
+          features: [{ type: 'Feature', properties: {}, geometry: object }],
+        };
+    }
+
+    return {
+      ...acc,
+      feature: {
+        ...acc.feature,
+        [layer.name]: collection,
+      },
+    };
+  }, {});
+}
+
+/**
+ * extract layers as GeoJSON from either topojson or named GeoJSON objects
+ * @param {Object} [topology] -> presimplified topojson; takes precedence over geojson
+ * @param {Object} [geojson] -> GeoJSON objects keyed by name
+ * @param {Array} layers -> see extractGeoJSON
+ * @return {Object} -> { feature: {...}, mesh: {...} }
+ */
+export function extractLayers(topology, geojson, layers) {
+  return topology ? extractGeoJSON(topology, layers) : selectGeoJSON(geojson, layers);
+}
+
+/**
+ * extract layers, moving features of insets out of the main map and into layers of their insets;
+ * borders of features of insets are excluded from mesh layers
+ * @param {Object} [topology] -> presimplified topojson; see extractLayers
+ * @param {Object} [geojson] -> GeoJSON objects keyed by name
+ * @param {Array} layers
+ * @param {Object} options
+ * @param {String|Function} options.geometryKeyField
+ * @param {Array} options.insets -> [{ name, locations }, ...]
+ * @return {Object} -> { cache: { feature: {...}, mesh: {...} }, insetCache },
+ *   where insetCache is of shape { [inset.name]: { [layer.name]: FeatureCollection } }
+ */
+export function extractLayersAndInsets(topology, geojson, layers, { geometryKeyField, insets }) {
+  if (!insets.length) {
+    return { cache: extractLayers(topology, geojson, layers), insetCache: {} };
+  }
+
+  // name of inset, keyed by resolved geometryKeyField of the features it contains
+  const insetNames = reduce(insets, (acc, inset) => {
+    forEach(inset.locations, (locationId) => {
+      acc[toString(locationId)] = inset.name; // eslint-disable-line no-param-reassign
+    });
+    return acc;
+  }, {});
+  const getInsetName = (geometry) =>
+    insetNames[toString(propResolver(geometry, geometryKeyField))];
+
+  const extracted = extractLayers(topology, geojson, map(layers, (layer) => {
+    if (layer.type !== 'mesh') return layer;
+    const filterFn = resolveMeshFilter(layer);
+    return {
+      ...layer,
+      filterFn: (geometry, neighborGeometry) =>
+        !getInsetName(geometry) && !getInsetName(neighborGeometry)
+        && filterFn(geometry, neighborGeometry),
+    };
+  }));
+
+  const insetCache = {};
+  const feature = mapValues(extracted.feature, (collection, layerName) => {
+    const [insetFeatures, features] = partition(collection.features, getInsetName);
+    forEach(insetFeatures, (insetFeature) => {
+      const insetName = getInsetName(insetFeature);
+      const insetLayers = insetCache[insetName] || (insetCache[insetName] = {});
+      const insetCollection = insetLayers[layerName]
+        || (insetLayers[layerName] = { ...collection, features: [] });
+      insetCollection.features.push(insetFeature);
+    });
+    return { ...collection, features };
+  });
+
+  return { cache: { ...extracted, feature }, insetCache };
+}
+
 /**
  * Combine and return all GeoJSON 'features' in one array.
  * @param {Object} extractedGeoJSON -> expect type of object returned by extractGeoJSON
@@ -72,10 +330,12 @@ export function concatGeoJSON(extractedGeoJSON) {
 /**
  * compute projected bounding box (in pixel space) of geometry
  * @param featureCollection
+ * @param {Object} [projection] -> d3 projection with which to project geometry;
+ *                                if omitted, geometry is assumed to be preprojected
  * @returns {Array} [[left, top], [right, bottom]]
  */
-export function computeBounds(featureCollection) {
-  return geoPath().projection(null).bounds(featureCollection);
+export function computeBounds(featureCollection, projection = null) {
+  return geoPath().projection(projection).bounds(featureCollection);
 }
 
 /**
@@ -133,14 +393,220 @@ export function calcTranslate(width, height, scale, bounds = [[], []], center =
 
 /**
  * @param geoJSON {Object} -> expect object as returned by ihme-ui/utils/geo/extractGeoJSON
+ * @param {Object} [projection] -> d3 projection; see computeBounds
  * @returns {Array}
  */
-export function concatAndComputeGeoJSONBounds(geoJSON) {
+export function concatAndComputeGeoJSONBounds(geoJSON, projection) {
   // returns projected bounding box (in pixel space)
   // of entire geometry
   // returns [[left, top], [right, bottom]]
   return computeBounds({
     type: 'FeatureCollection',
     features: concatGeoJSON(geoJSON),
+  }, projection);
+}
+
+/**
+ * squared distance from point to segment
+ * @param {Number} px
+ * @param {Number} py
+ * @param {Array} a -> [x, y] start of segment
+ * @param {Array} b -> [x, y] end of segment
+ * @returns {Number}
+ */
+function segmentDistanceSquared(px, py, a, b) {
+  let [x, y] = a;
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = (((px - x) * dx) + ((py - y) * dy)) / ((dx * dx) + (dy * dy));
+    if (t > 1) {
+      [x, y] = b;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = px - x;
+  dy = py - y;
+  return (dx * dx) + (dy * dy);
+}
+
+/**
+ * signed distance from point to outline of polygon; positive if point is inside polygon
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Array} polygon -> GeoJSON polygon coordinates, i.e., [exteriorRing, ...holes]
+ * @returns {Number}
+ */
+function polygonDistance(x, y, polygon) {
+  let inside = false;
+  let minDistanceSquared = Infinity;
+
+  polygon.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const a = ring[i];
+      const b = ring[j];
+
+      // ray casting
+      if ((a[1] > y) !== (b[1] > y) &&
+          x < ((((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1])) + a[0])) {
+        inside = !inside;
+      }
+
+      minDistanceSquared = Math.min(minDistanceSquared, segmentDistanceSquared(x, y, a, b));
+    }
+  });
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistanceSquared);
+}
+
+/**
+ * @param {Number} x -> center of cell
+ * @param {Number} y -> center of cell
+ * @param {Number} halfSize -> half of cell side length
+ * @param {Array} polygon
+ * @returns {Object} { x, y, halfSize, distance, max },
+ *   where max is the greatest distance to polygon outline possible within the cell
+ */
+function createCell(x, y, halfSize, polygon) {
+  const distance = polygonDistance(x, y, polygon);
+  return { x, y, halfSize, distance, max: distance + (halfSize * Math.SQRT2) };
+}
+
+/**
+ * find the pole of inaccessibility of a polygon: the interior point farthest from its outline,
+ * which, unlike the centroid, is guaranteed to fall within concave polygons
+ * adapted from https://github.com/mapbox/polylabel
+ * @param {Array} polygon -> GeoJSON polygon coordinates, i.e., [exteriorRing, ...holes]
+ * @param {Number} [precision] -> tolerance of result, in units of polygon coordinates;
+ *   defaults to 1% of the larger dimension of the polygon's bounding box
+ * @returns {Array} [x, y]
+ */
+export function poleOfInaccessibility(polygon, precision) {
+  const exterior = polygon[0];
+  const xs = exterior.map(point => point[0]);
+  const ys = exterior.map(point => point[1]);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+  const cellSize = Math.min(maxX - minX, maxY - minY);
+
+  if (cellSize === 0) return [minX, minY];
+
+  const tolerance = precision || (Math.max(maxX - minX, maxY - minY) / 100);
+
+  // cover polygon with initial cells
+  const cells = [];
+  for (let x = minX; x < maxX; x += cellSize) {
+    for (let y = minY; y < maxY; y += cellSize) {
+      cells.push(createCell(x + (cellSize / 2), y + (cellSize / 2), cellSize / 2, polygon));
+    }
+  }
+
+  // first best guess is center of bounding box
+  let best = createCell(minX + ((maxX - minX) / 2), minY + ((maxY - minY) / 2), 0, polygon);
+
+  while (cells.length) {
+    // pick the most promising cell
+    let index = 0;
+    for (let i = 1; i < cells.length; i += 1) {
+      if (cells[i].max > cells[index].max) index = i;
+    }
+    const cell = cells.splice(index, 1)[0];
+
+    if (cell.distance > best.distance) best = cell;
+
+    // subdivide cell only if it may contain a better solution
+    if (cell.max - best.distance > tolerance) {
+      const halfSize = cell.halfSize / 2;
+      cells.push(
+        createCell(cell.x - halfSize, cell.y - halfSize, halfSize, polygon),
+        createCell(cell.x + halfSize, cell.y - halfSize, halfSize, polygon),
+        createCell(cell.x - halfSize, cell.y + halfSize, halfSize, polygon),
+        createCell(cell.x + halfSize, cell.y + halfSize, halfSize, polygon)
+      );
+    }
+  }
+
+  return [best.x, best.y];
+}
+
+/**
+ * whether a point is inside a polygon, by the even-odd rule
+ * @param {Array} polygon -> GeoJSON polygon coordinates, i.e., [exteriorRing, ...holes]
+ * @param {Array} point -> [x, y]
+ * @returns {Boolean}
+ */
+function polygonContains(polygon, [x, y]) {
+  let inside = false;
+
+  polygon.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const a = ring[i];
+      const b = ring[j];
+
+      // ray casting
+      if ((a[1] > y) !== (b[1] > y) &&
+          x < ((((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1])) + a[0])) {
+        inside = !inside;
+      }
+    }
   });
+
+  return inside;
+}
+
+/**
+ * whether segments ab and cd cross
+ * @param {Array} a -> [x, y]
+ * @param {Array} b -> [x, y]
+ * @param {Array} c -> [x, y]
+ * @param {Array} d -> [x, y]
+ * @returns {Boolean}
+ */
+function segmentsIntersect(a, b, c, d) {
+  const orientation = (p, q, r) =>
+    Math.sign(((q[0] - p[0]) * (r[1] - p[1])) - ((q[1] - p[1]) * (r[0] - p[0])));
+
+  return orientation(a, b, c) !== orientation(a, b, d)
+    && orientation(c, d, a) !== orientation(c, d, b);
+}
+
+/**
+ * @param {Array} polygon -> GeoJSON polygon coordinates
+ * @returns {Array} [[minX, minY], [maxX, maxY]]
+ */
+function polygonBounds(polygon) {
+  return polygon.reduce(([[minX, minY], [maxX, maxY]], ring) => ring.reduce(
+    ([[x0, y0], [x1, y1]], [x, y]) =>
+      [[Math.min(x0, x), Math.min(y0, y)], [Math.max(x1, x), Math.max(y1, y)]],
+    [[minX, minY], [maxX, maxY]]
+  ), [[Infinity, Infinity], [-Infinity, -Infinity]]);
+}
+
+/**
+ * whether two planar polygons (e.g., in screen space) overlap:
+ * either contains a vertex of the other, or their outlines cross
+ * @param {Array} a -> GeoJSON polygon coordinates, i.e., [exteriorRing, ...holes];
+ *   rings are combined by the even-odd rule, so may also be those of a multipolygon
+ * @param {Array} b -> GeoJSON polygon coordinates
+ * @returns {Boolean}
+ */
+export function polygonsIntersect(a, b) {
+  const [[aMinX, aMinY], [aMaxX, aMaxY]] = polygonBounds(a);
+  const [[bMinX, bMinY], [bMaxX, bMaxY]] = polygonBounds(b);
+  if (aMinX > bMaxX || bMinX > aMaxX || aMinY > bMaxY || bMinY > aMaxY) return false;
+
+  const containsVertexOf = (polygon, other) =>
+    other.some(ring => ring.some(point => polygonContains(polygon, point)));
+  if (containsVertexOf(a, b) || containsVertexOf(b, a)) return true;
+
+  return a.some(ringA => ringA.some((pointA, i) => {
+    const nextA = ringA[(i + 1) % ringA.length];
+    return b.some(ringB => ringB.some((pointB, j) =>
+      segmentsIntersect(pointA, nextA, pointB, ringB[(j + 1) % ringB.length])
+    ));
+  }));
 }
@@ -0,0 +1,111 @@
+/* global self, WorkerGlobalScope */
+import { presimplify } from 'topojson';
+import { uniqueId } from 'lodash';
+
+import { concatAndComputeGeoJSONBounds, extractLayersAndInsets, getProjection } from './geo';
+
+// prefix of ids by which responses are matched to requests
+const REQUEST_ID_PREFIX = 'ihme-ui-geometry-';
+
+/**
+ * presimplify and extract layers of geometry, and compute their bounds;
+ * the work <Choropleth /> does on receiving new geometry, in a form that a Web Worker can do
+ * @param {Object} options -> must be structured-cloneable, i.e., free of functions
+ * @param {Object} [options.topology] -> unsimplified topojson; takes precedence over geojson
+ * @param {Object} [options.geojson] -> GeoJSON objects keyed by name
+ * @param {Array} options.layers -> see extractGeoJSON; mesh filters must be named by 'meshFilter'
+ * @param {Array} [options.insets] -> see extractLayersAndInsets
+ * @param {String} [options.geometryKeyField] -> see extractLayersAndInsets
+ * @param {String} [options.projection] -> name of projection (see getProjection);
+ *                                        if omitted, geometry is assumed to be preprojected
+ * @return {Object} -> { bounds, cache, insetCache }; see extractLayersAndInsets
+ */
+export function processGeometry({
+  geojson,
+  geometryKeyField,
+  insets = [],
+  layers,
+  projection,
+  topology,
+}) {
+  const { cache, insetCache } = extractLayersAndInsets(
+    topology && presimplify(topology),
+    geojson,
+    layers,
+    { geometryKeyField, insets }
+  );
+  const projectionFactory = projection && getProjection(projection);
+
+  return {
+    bounds: concatAndComputeGeoJSONBounds(cache, projectionFactory ? projectionFactory() : null),
+    cache,
+    insetCache,
+  };
+}
+
+/**
+ * respond to requests to process geometry (see requestGeometry) posted to a worker
+ * @param {Object} scope -> global scope of a Web Worker, i.e., self
+ */
+export function registerGeometryWorker(scope) {
+  scope.addEventListener('message', ({ data }) => {
+    if (!data || !data.id || !data.options) return;
+
+    let response;
+    try {
+      response = { id: data.id, result: processGeometry(data.options) };
+    } catch (error) {
+      response = { id: data.id, error: error.message };
+    }
+    scope.postMessage(response);
+  });
+}
+
+/**
+ * process geometry off of the main thread, within a Web Worker running this module
+ * @param {Worker} worker
+ * @param {Object} options -> see processGeometry
+ * @param {Function} callback -> function(error, result) {...}; see processGeometry
+ * @return {Function} cancels the request, after which callback is not called
+ */
+export function requestGeometry(worker, options, callback) {
+  const id = uniqueId(REQUEST_ID_PREFIX);
+
+  /* eslint-disable no-use-before-define */
+  function onMessage({ data }) {
+    if (!data || data.id !== id) return;
+    cancel();
+    if (data.error) callback(new Error(data.error));
+    else callback(null, data.result);
+  }
+
+  // e.g., the script of the worker failed to load
+  function onError(event) {
+    cancel();
+    callback(event.error || new Error(event.message));
+  }
+  /* eslint-enable no-use-before-define */
+
+  function cancel() {
+    worker.removeEventListener('message', onMessage);
+    worker.removeEventListener('error', onError);
+  }
+
+  worker.addEventListener('message', onMessage);
+  worker.addEventListener('error', onError);
+
+  try {
+    worker.postMessage({ id, options });
+  } catch (error) {
+    // options could not be cloned
+    cancel();
+    callback(error);
+  }
+
+  return cancel;
+}
+
+// when loaded as the script of a Web Worker, e.g., new Worker('ihme-ui/utils/geometry-worker.js')
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  registerGeometryWorker(self);
+}
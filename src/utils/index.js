@@ -3,15 +3,28 @@ export {
   linspace,
 } from './array';
 
+export {
+  classificationTypes,
+  getBreaks,
+  getClassCount,
+} from './classification';
+
 export {
   colorSteps,
   baseColorScale,
+  bivariateColorCorners,
+  bivariateColorScale,
+  bivariateColorSteps,
+  desaturate,
+  sampleColors,
 } from './colors';
 
 export {
+  CLAMP_TOLERANCE,
   percentOfRange,
   numFromPercent,
   domainFromPercent,
+  getRangeExtent,
   isWithinRange,
   ensureWithinRange,
 } from './domain';
@@ -28,8 +41,23 @@ export {
   concatAndComputeGeoJSONBounds,
   concatGeoJSON,
   extractGeoJSON,
+  extractLayers,
+  extractLayersAndInsets,
+  getProjection,
+  meshFilterTypes,
+  poleOfInaccessibility,
+  polygonsIntersect,
+  projectionTypes,
+  resolveMeshFilter,
+  selectGeoJSON,
 } from './geo';
 
+export {
+  processGeometry,
+  registerGeometryWorker,
+  requestGeometry,
+} from './geometry-worker';
+
 export {
   numberFormat,
 } from './numbers';
@@ -58,6 +86,7 @@ export {
 export {
   CommonPropTypes,
   CommonDefaultProps,
+  GeometryPropTypes,
   atLeastOneOfProp,
   exactlyOneOfProp,
   propsChanged,
@@ -31,6 +31,16 @@ export const CommonPropTypes = {
   ]),
 };
 
+// geometry of map compositions (e.g., <Map />), of which exactly one is given; see exactlyOneOfProp
+export const GeometryPropTypes = {
+  geojson: PropTypes.objectOf(PropTypes.shape({
+    type: PropTypes.string.isRequired,
+  })),
+  topology: PropTypes.shape({
+    objects: PropTypes.object.isRequired,
+  }),
+};
+
 export const CommonDefaultProps = {
   noop,
   identity,
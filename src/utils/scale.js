@@ -69,16 +69,18 @@ export function clampedScale(clampedValue = '#ccc', tolerance) {
   scale.base = (base) => {
     if (!base) return baseScale;
 
+    // continuous scales are clamped; others (e.g., scaleThreshold) cannot be
+    const clamp = nextBase => (nextBase.clamp ? nextBase.clamp(true) : nextBase);
+
     if (!baseScale) {
-      baseScale = base.clamp(true);
+      baseScale = clamp(base);
     } else {
       // copy over existing configuration
       const existingDomain = baseScale.domain().slice();
       const existingRange = baseScale.range().slice();
-      baseScale = base
+      baseScale = clamp(base
         .domain(existingDomain)
-        .range(existingRange)
-        .clamp(true);
+        .range(existingRange));
     }
     return scale;
   };
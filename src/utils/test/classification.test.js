@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+
+import {
+  classificationTypes,
+  getBreaks,
+  getClassCount,
+} from '../index';
+
+describe('classification helpers', () => {
+  const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+  it('lists the names of classification schemes', () => {
+    expect(classificationTypes()).to.include.members(['equalInterval', 'jenks', 'quantile']);
+  });
+
+  it('counts the classes of a classification', () => {
+    expect(getClassCount('quantile', 5)).to.equal(5);
+    expect(getClassCount([10, 20], 5)).to.equal(3);
+  });
+
+  it('returns user-supplied thresholds as given', () => {
+    expect(getBreaks([3, 7], values, 5, [0, 12])).to.deep.equal([3, 7]);
+  });
+
+  it('divides the domain into classes of equal width', () => {
+    expect(getBreaks('equalInterval', values, 4, [0, 100])).to.deep.equal([25, 50, 75]);
+  });
+
+  it('divides values into classes of equal count', () => {
+    expect(getBreaks('quantile', values, 4, [0, 12])).to.deep.equal([3.75, 6.5, 9.25]);
+  });
+
+  it('ignores values that are not finite, or are outside of the domain', () => {
+    expect(getBreaks('quantile', [...values, null, NaN, 100], 4, [0, 12]))
+      .to.deep.equal([3.75, 6.5, 9.25]);
+  });
+
+  it('finds natural breaks between clusters of values', () => {
+    const clustered = [1, 2, 3, 20, 21, 22, 23, 50, 51, 52, 53, 54];
+    expect(getBreaks('jenks', clustered, 3, [0, 100])).to.deep.equal([20, 50]);
+    expect(getBreaks('jenks', [...clustered].reverse(), 3, [0, 100])).to.deep.equal([20, 50]);
+  });
+
+  it('places each distinct value in its own class if there are no more than classes', () => {
+    expect(getBreaks('jenks', [4, 1, 4, 2], 5, [0, 10])).to.deep.equal([2, 4]);
+  });
+});
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { rgb } from 'd3';
+
+import {
+  bivariateColorCorners,
+  bivariateColorScale,
+  bivariateColorSteps,
+  desaturate,
+  sampleColors,
+} from '../index';
+
+describe('color helpers', () => {
+  describe('desaturate', () => {
+    it('removes a fraction of the saturation of a color', () => {
+      expect(desaturate('hsl(0, 100%, 50%)', 0.5)).to.equal('rgb(191, 64, 64)');
+      expect(desaturate('hsl(0, 100%, 50%)', 2)).to.equal('rgb(128, 128, 128)');
+    });
+
+    it('returns fills that are not colors, or that are not to be desaturated, as is', () => {
+      expect(desaturate('url(#missing)', 0.5)).to.equal('url(#missing)');
+      expect(desaturate('red', 0)).to.equal('red');
+    });
+  });
+
+  describe('sampleColors', () => {
+    it('samples evenly spaced colors, including the first and last', () => {
+      const colors = ['#000000', '#ffffff'];
+      expect(sampleColors(colors, 3)).to.deep.equal([
+        'rgb(0, 0, 0)',
+        'rgb(128, 128, 128)',
+        'rgb(255, 255, 255)',
+      ]);
+      expect(sampleColors(colors, 2)).to.equal(colors);
+    });
+  });
+
+  describe('bivariateColorSteps', () => {
+    it('returns a square matrix whose corners are those given', () => {
+      [3, 4].forEach((size) => {
+        const colors = bivariateColorSteps(size);
+        expect(colors).to.have.length(size);
+        colors.forEach(row => expect(row).to.have.length(size));
+
+        const [lowLow, highX, highY, highHigh] = bivariateColorCorners;
+        expect(colors[0][0]).to.equal(rgb(lowLow).toString());
+        expect(colors[0][size - 1]).to.equal(rgb(highX).toString());
+        expect(colors[size - 1][0]).to.equal(rgb(highY).toString());
+        expect(colors[size - 1][size - 1]).to.equal(rgb(highHigh).toString());
+      });
+    });
+  });
+
+  describe('bivariateColorScale', () => {
+    const colors = [
+      ['a', 'b', 'c'],
+      ['d', 'e', 'f'],
+      ['g', 'h', 'i'],
+    ];
+    const scale = bivariateColorScale([0, 90], [-1, 1], colors);
+
+    it('returns the color of the cell in which a pair of values falls', () => {
+      expect(scale(0, -1)).to.equal('a');
+      expect(scale(89, -1)).to.equal('c');
+      expect(scale(45, 0.5)).to.equal('h');
+      expect(scale(50, 0)).to.equal('e');
+    });
+
+    it('clamps values outside of its domains', () => {
+      expect(scale(-10, 10)).to.equal('g');
+    });
+
+    it('resolves the [column, row] of a pair of values', () => {
+      expect(scale.cell(45, 0.5)).to.deep.equal([1, 2]);
+      expect(scale.cell(null, 0.5)).to.equal(null);
+      expect(scale.cell(45, NaN)).to.equal(null);
+    });
+
+    it('returns undefined if either value is missing', () => {
+      expect(scale(undefined, 0)).to.equal(undefined);
+    });
+
+    it('exposes its colors', () => {
+      expect(scale.colors()).to.equal(colors);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import {
   percentOfRange,
   numFromPercent,
   domainFromPercent,
+  getRangeExtent,
   isWithinRange,
   ensureWithinRange,
 } from '../domain';
@@ -63,6 +64,12 @@ describe('domain helpers', () => {
     });
   });
 
+  it('converts a pair of percentages to the numbers they correspond to within a domain', () => {
+    expect(getRangeExtent([0, 1], [10, 20])).to.deep.equal([10, 20]);
+    expect(getRangeExtent([0.2, 0.8], [0, 100])).to.deep.equal([20, 80]);
+    expect(getRangeExtent([0.5, 0.75], [-100, 100])).to.deep.equal([0, 50]);
+  });
+
   it('validates that a number is within a specified range, up to and including bounds', () => {
     const specs = [
       { value: 1990, extent: [1990, 1994], expectation: true },
@@ -1,11 +1,20 @@
 import { expect } from 'chai';
+import { geoMercator } from 'd3';
+import { flatten, map } from 'lodash';
 
-import { getTopoJSON } from '../../test-utils';
+import { getGeoJSON, getTopoJSON } from '../../test-utils';
 
 import {
   extractGeoJSON,
   concatGeoJSON,
   computeBounds,
+  getProjection,
+  meshFilterTypes,
+  poleOfInaccessibility,
+  polygonsIntersect,
+  projectionTypes,
+  resolveMeshFilter,
+  selectGeoJSON,
 } from '../geo';
 
 describe('Geo utils', () => {
@@ -35,6 +44,29 @@ describe('Geo utils', () => {
     expect(extractedGeoJSON.feature).to.not.have.property('nonExistent');
   });
 
+  it('selects geoJSON objects as feature layers', () => {
+    const states = getGeoJSON('states', 'feature');
+    const geojson = {
+      states,
+      country: states.features[0],
+      point: { type: 'Point', coordinates: [0, 0] },
+    };
+    const selected = selectGeoJSON(geojson, [
+      ...layers,
+      { name: 'point', object: 'point', type: 'feature' },
+      { name: 'states-feature', object: 'states', type: 'feature' },
+    ]);
+
+    expect(selected).to.not.have.property('mesh');
+    expect(selected.feature).to.have.all.keys('country', 'point', 'states-feature');
+    expect(selected.feature['states-feature']).to.equal(states);
+    expect(selected.feature.country)
+      .to.have.property('features')
+      .that.deep.equals([states.features[0]]);
+    expect(selected.feature.point.features[0])
+      .to.have.deep.property('geometry.type', 'Point');
+  });
+
   it('concatenates the results of extractGeoJSON into a single array', () => {
     // only Features are supported by `d3.geo.path` functions.
     expect(concatenatedGeoJSON).to.be.an('array').of.length(1);
@@ -56,4 +88,146 @@ describe('Geo utils', () => {
       });
     });
   });
+
+  it('computes bounds of a geoJSON feature given a projection', () => {
+    const point = { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } };
+    const projection = geoMercator().translate([100, 50]);
+
+    expect(computeBounds(point, projection)).to.deep.equal([[100, 50], [100, 50]]);
+  });
+
+  describe('named mesh filters', () => {
+    // three squares in a row, a | b | c, where b disputes c
+    const topology = {
+      type: 'Topology',
+      arcs: [
+        [[1, 0], [1, 1]],
+        [[2, 0], [2, 1]],
+        [[1, 1], [0, 1], [0, 0], [1, 0]],
+        [[2, 1], [1, 1]],
+        [[1, 0], [2, 0]],
+        [[2, 0], [3, 0], [3, 1], [2, 1]],
+      ],
+      objects: {
+        squares: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'Polygon', arcs: [[2, 0]], id: 'a', properties: {} },
+            { type: 'Polygon', arcs: [[4, 1, 3, -1]], id: 'b', properties: { disputes: ['c'] } },
+            { type: 'Polygon', arcs: [[5, -2]], id: 'c', properties: {} },
+          ],
+        },
+      },
+    };
+
+    // x-coordinates of points of mesh
+    const extractMesh = meshFilter => map(flatten(extractGeoJSON(topology, [
+      { name: 'borders', object: 'squares', type: 'mesh', meshFilter },
+    ]).mesh.borders.coordinates), 0);
+
+    it('provides a list of mesh filter names', () => {
+      expect(meshFilterTypes())
+        .to.include.members(['disputedBorders', 'nonDisputedBorders', 'selectedBorders']);
+    });
+
+    it('filters disputed borders', () => {
+      expect(extractMesh({ type: 'disputedBorders', geometryKeyField: 'id' }))
+        .to.deep.equal([2, 2]);
+      expect(extractMesh({ type: 'nonDisputedBorders', geometryKeyField: 'id' }))
+        .to.include.members([0, 1, 3]);
+    });
+
+    it('filters borders of selected geometries', () => {
+      const xs = extractMesh({
+        type: 'selectedBorders',
+        geometryKeyField: 'id',
+        selectedKeys: ['a'],
+      });
+      expect(xs).to.include.members([0, 1]);
+      expect(xs).to.not.include.members([2]);
+    });
+
+    it('prefers filterFn, and defaults to an unfiltered mesh', () => {
+      const filterFn = () => false;
+      expect(resolveMeshFilter({ filterFn, meshFilter: { type: 'disputedBorders' } }))
+        .to.equal(filterFn);
+      expect(resolveMeshFilter({ meshFilter: { type: 'unicorn' } })()).to.be.true;
+      expect(resolveMeshFilter({})()).to.be.true;
+    });
+  });
+
+  describe('projections', () => {
+    it('provides a list of projection names', () => {
+      expect(projectionTypes()).to.include.members(['albersUsa', 'mercator', 'naturalEarth']);
+    });
+
+    it('returns a projection factory by name', () => {
+      expect(getProjection('mercator')).to.equal(geoMercator);
+      expect(getProjection('unicorn')).to.be.undefined;
+    });
+  });
+
+  describe('poleOfInaccessibility', () => {
+    it('finds the center of a convex polygon', () => {
+      const square = [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]];
+      const [x, y] = poleOfInaccessibility(square, 0.01);
+      expect(x).to.be.closeTo(5, 0.1);
+      expect(y).to.be.closeTo(5, 0.1);
+    });
+
+    it('finds a point within a concave polygon whose centroid lies outside of it', () => {
+      // U-shaped polygon, open at the top
+      const polygon = [[
+        [0, 0], [30, 0], [30, 30], [20, 30], [20, 10], [10, 10], [10, 30], [0, 30], [0, 0],
+      ]];
+      const [x, y] = poleOfInaccessibility(polygon);
+      const insideBase = y < 10;
+      const insideArm = y >= 10 && (x < 10 || x > 20);
+      expect(insideBase || insideArm).to.equal(true);
+      expect(x).to.be.within(0, 30);
+      expect(y).to.be.within(0, 30);
+    });
+
+    it('avoids holes', () => {
+      const polygon = [
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[3, 3], [7, 3], [7, 7], [3, 7], [3, 3]],
+      ];
+      const [x, y] = poleOfInaccessibility(polygon);
+      expect(x > 3 && x < 7 && y > 3 && y < 7).to.equal(false);
+    });
+  });
+
+  describe('polygonsIntersect', () => {
+    const square = (x, y, size) =>
+      [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]];
+
+    it('detects overlapping polygons', () => {
+      expect(polygonsIntersect(square(0, 0, 10), square(5, 5, 10))).to.equal(true);
+    });
+
+    it('detects a polygon within another', () => {
+      expect(polygonsIntersect(square(0, 0, 10), square(2, 2, 2))).to.equal(true);
+      expect(polygonsIntersect(square(2, 2, 2), square(0, 0, 10))).to.equal(true);
+    });
+
+    it('detects outlines that cross, though neither contains a vertex of the other', () => {
+      const wide = [[[0, 4], [10, 4], [10, 6], [0, 6], [0, 4]]];
+      const tall = [[[4, 0], [6, 0], [6, 10], [4, 10], [4, 0]]];
+      expect(polygonsIntersect(wide, tall)).to.equal(true);
+    });
+
+    it('rejects disjoint polygons', () => {
+      expect(polygonsIntersect(square(0, 0, 10), square(20, 0, 10))).to.equal(false);
+
+      // within bounding box, but not polygon
+      const triangle = [[[0, 0], [10, 0], [0, 10], [0, 0]]];
+      expect(polygonsIntersect(triangle, square(8, 8, 1))).to.equal(false);
+    });
+
+    it('does not consider polygons within holes as intersecting', () => {
+      const donut = [...square(0, 0, 10), ...square(3, 3, 4)];
+      expect(polygonsIntersect(donut, square(4, 4, 2))).to.equal(false);
+    });
+  });
 });
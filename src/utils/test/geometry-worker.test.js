@@ -0,0 +1,120 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { forEach, without } from 'lodash';
+
+import { getTopoJSON } from '../../test-utils';
+
+import { concatAndComputeGeoJSONBounds, extractGeoJSON } from '../geo';
+import { processGeometry, registerGeometryWorker, requestGeometry } from '../geometry-worker';
+
+describe('Geometry worker', () => {
+  const layers = [
+    { name: 'country', object: 'country', type: 'feature' },
+    { name: 'states', object: 'states', type: 'mesh' },
+  ];
+
+  // dispatches events to listeners, as does a Worker, or the global scope of one
+  function createTarget() {
+    const listeners = {};
+    return {
+      addEventListener(type, listener) {
+        listeners[type] = [...(listeners[type] || []), listener];
+      },
+      removeEventListener(type, listener) {
+        listeners[type] = without(listeners[type], listener);
+      },
+      dispatch(type, event) {
+        forEach(listeners[type], listener => listener(event));
+      },
+      listeners,
+    };
+  }
+
+  // a worker, connected (synchronously) to a scope running this module
+  function createWorker() {
+    const worker = createTarget();
+    const scope = createTarget();
+    worker.postMessage = sinon.spy(data => scope.dispatch('message', { data }));
+    scope.postMessage = data => worker.dispatch('message', { data });
+    registerGeometryWorker(scope);
+    return worker;
+  }
+
+  it('extracts layers, and computes their bounds', () => {
+    const topology = getTopoJSON();
+    const { bounds, cache, insetCache } = processGeometry({ layers, topology });
+    const expected = extractGeoJSON(getTopoJSON(), layers);
+
+    expect(cache).to.have.all.keys('feature', 'mesh');
+    expect(cache.feature.country.features).to.have.length(expected.feature.country.features.length);
+    expect(bounds).to.deep.equal(concatAndComputeGeoJSONBounds(cache));
+    expect(insetCache).to.deep.equal({});
+  });
+
+  it('projects bounds by the name of a projection', () => {
+    const geojson = { point: { type: 'Point', coordinates: [0, 0] } };
+    const { bounds } = processGeometry({
+      geojson,
+      layers: [{ name: 'point', object: 'point', type: 'feature' }],
+      projection: 'mercator',
+    });
+    expect(bounds).to.deep.equal([[480, 250], [480, 250]]);
+  });
+
+  it('responds to requests posted to a worker', () => {
+    const worker = createWorker();
+    const callback = sinon.spy();
+    requestGeometry(worker, { layers, topology: getTopoJSON() }, callback);
+
+    expect(callback.calledOnce).to.be.true;
+    expect(callback.args[0][0]).to.be.null;
+    expect(callback.args[0][1].cache.mesh).to.have.property('states');
+
+    // listeners are removed once the request is answered
+    expect(worker.listeners.message).to.have.length(0);
+    expect(worker.listeners.error).to.have.length(0);
+  });
+
+  it('ignores responses to other requests', () => {
+    const worker = createTarget();
+    worker.postMessage = sinon.spy();
+    const callback = sinon.spy();
+    requestGeometry(worker, { layers }, callback);
+
+    worker.dispatch('message', { data: { id: 'other', result: {} } });
+    expect(callback.called).to.be.false;
+
+    const { id } = worker.postMessage.args[0][0];
+    worker.dispatch('message', { data: { id, result: 'result' } });
+    expect(callback.calledWith(null, 'result')).to.be.true;
+  });
+
+  it('passes errors of the worker to callback', () => {
+    const worker = createWorker();
+    const callback = sinon.spy();
+
+    // topology is missing
+    requestGeometry(worker, { layers: [{ name: 'x', object: 'x' }], topology: {} }, callback);
+    expect(callback.args[0][0]).to.be.an.instanceof(Error);
+
+    const failingWorker = createTarget();
+    failingWorker.postMessage = sinon.spy();
+    const onError = sinon.spy();
+    requestGeometry(failingWorker, { layers }, onError);
+    failingWorker.dispatch('error', { message: 'script failed to load' });
+    expect(onError.args[0][0].message).to.equal('script failed to load');
+  });
+
+  it('can be canceled', () => {
+    const worker = createTarget();
+    worker.postMessage = sinon.spy();
+    const callback = sinon.spy();
+    const cancel = requestGeometry(worker, { layers }, callback);
+    const { id } = worker.postMessage.args[0][0];
+
+    cancel();
+    worker.dispatch('message', { data: { id, result: {} } });
+    expect(callback.called).to.be.false;
+  });
+});
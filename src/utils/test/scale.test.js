@@ -1,5 +1,5 @@
 import chai from 'chai';
-import { scaleOrdinal, scaleLinear, scaleLog } from 'd3';
+import { scaleOrdinal, scaleLinear, scaleLog, scaleThreshold } from 'd3';
 
 const expect = chai.expect;
 
@@ -137,5 +137,20 @@ describe('scale utilities', () => {
       expect(scale(0.7509)).to.equal(0.7509);
       expect(scale(0.752)).to.equal('foo');
     });
+
+    it('accepts a base scale that cannot be clamped, e.g., a threshold scale', () => {
+      const scale = clampedScale('foo')
+        .base(scaleThreshold())
+        .domain([10, 20])
+        .range(['a', 'b', 'c'])
+        .clamps([0, 30]);
+
+      expect(scale(5)).to.equal('a');
+      expect(scale(20)).to.equal('c');
+      expect(scale(40)).to.equal('foo');
+
+      scale.base(scaleLinear());
+      expect(scale.domain()).to.deep.equal([10, 20]);
+    });
   });
 });